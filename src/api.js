@@ -0,0 +1,230 @@
+// InfoJobs API client - token lifecycle, retries with backoff, requests-per-second budget and usage stats
+import { createHash } from 'node:crypto';
+import { Actor, log } from 'apify';
+import { gotScraping } from 'got-scraping';
+import { toApiParams } from './filters.js';
+
+const API_BASE = 'https://api.infojobs.net/api/9';
+const TOKEN_URL = 'https://www.infojobs.net/oauth/authorize';
+
+const TOKEN_STORE_NAME = 'infojobs-api-auth';
+const DEFAULT_TOKEN_TTL_SECS = 3600;
+// Refresh a little before the token actually expires.
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+
+// Headers some API gateways use to report quota; whichever InfoJobs sends is logged.
+const QUOTA_HEADERS = ['x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset', 'x-quota-remaining'];
+
+export function getApiCreds(cfg = {}) {
+    const id = cfg.apiClientId || process.env.INFOJOBS_CLIENT_ID;
+    const secret = cfg.apiClientSecret || process.env.INFOJOBS_CLIENT_SECRET;
+    if (!id || !secret) return null;
+    return { id, secret };
+}
+
+export function createApiClient({
+    creds,
+    proxyConfiguration,
+    requestsPerSecond = 5,
+    maxRetries = 5,
+    baseUrl = API_BASE,
+    tokenUrl = TOKEN_URL,
+    cacheToken = true,
+}) {
+    return {
+        creds,
+        proxyConfiguration,
+        baseUrl,
+        tokenUrl,
+        cacheToken,
+        maxRetries,
+        minIntervalMs: requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0,
+        nextSlotAt: 0,
+        token: null,
+        tokenExpiresAt: 0,
+        tokenPromise: null,
+        stats: { requests: 0, retries: 0, rateLimited: 0, serverErrors: 0, tokenRefreshes: 0, quota: {} },
+    };
+}
+
+// Returns a valid access token, from memory, the token cache store or the OAuth endpoint (in that order).
+export async function getToken(client, { force = false } = {}) {
+    if (!force && client.token && Date.now() < client.tokenExpiresAt) return client.token;
+    // Concurrent callers share one token request.
+    client.tokenPromise ??= obtainToken(client, force).finally(() => {
+        client.tokenPromise = null;
+    });
+    return client.tokenPromise;
+}
+
+// GET against the API. Retries 401 once with a fresh token, and 429/5xx/network errors with exponential
+// backoff honoring Retry-After. Throws an error with `statusCode` when the request finally fails; `retried` is set
+// when that happened after the retries, so callers do not retry it again.
+export async function apiRequest(client, path, searchParams) {
+    const url = /^https?:/.test(path) ? path : `${client.baseUrl}${path}`;
+    let refreshed = false;
+    let lastError;
+
+    for (let attempt = 0; attempt <= client.maxRetries; attempt++) {
+        await waitForSlot(client);
+        const token = await getToken(client);
+        client.stats.requests += 1;
+
+        let res;
+        try {
+            res = await gotScraping({
+                url,
+                searchParams,
+                headers: { Authorization: `Bearer ${token}` },
+                proxyUrl: await client.proxyConfiguration?.newUrl(),
+                responseType: 'json',
+                throwHttpErrors: false,
+                retry: { limit: 0 },
+            });
+        } catch (err) {
+            lastError = err;
+            await backoff(client, attempt, null, `network error (${err.message})`);
+            continue;
+        }
+
+        trackQuota(client, res.headers);
+
+        if (res.statusCode < 300) return res.body || {};
+
+        if (res.statusCode === 401 && !refreshed) {
+            log.info('API token rejected (401). Refreshing token...');
+            refreshed = true;
+            await getToken(client, { force: true });
+            attempt -= 1;
+            continue;
+        }
+
+        lastError = httpError(`API ${path} responded with status ${res.statusCode}`, res.statusCode);
+        if (res.statusCode === 429) {
+            client.stats.rateLimited += 1;
+        } else if (res.statusCode >= 500) {
+            client.stats.serverErrors += 1;
+        } else {
+            throw lastError;
+        }
+        await backoff(client, attempt, res.headers['retry-after'], `status ${res.statusCode}`);
+    }
+    lastError.retried = true;
+    throw lastError;
+}
+
+export async function fetchApiPage(client, { page, pageSize, keyword, location, category, filters }) {
+    const searchParams = new URLSearchParams({
+        maxResults: String(pageSize),
+        page: String(page),
+    });
+    if (keyword) searchParams.set('q', keyword);
+    if (location) searchParams.set('provinceIds', location);
+    if (category) searchParams.set('categoryIds', category);
+    for (const [key, value] of toApiParams(filters)) searchParams.append(key, value);
+
+    const body = await apiRequest(client, '/offer', searchParams);
+    const items = body.items || body.offers || body.results || [];
+    const totalPages = body.totalPages || body.totalPagesCount || body.totalPagesAvailable || page;
+    const totalResults = Number.isInteger(body.totalResults) ? body.totalResults : null;
+
+    return { items, totalPages, totalResults };
+}
+
+export async function fetchApiDetail(client, id) {
+    return apiRequest(client, `/offer/${id}`);
+}
+
+export function logApiUsage(client) {
+    if (!client) return;
+    const { requests, retries, rateLimited, serverErrors, tokenRefreshes, quota } = client.stats;
+    const quotaText = Object.entries(quota)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(' ');
+    log.info(
+        `API usage | requests=${requests} retries=${retries} 429s=${rateLimited} 5xx=${serverErrors} ` +
+            `tokenRefreshes=${tokenRefreshes}${quotaText ? ` ${quotaText}` : ''}`,
+    );
+}
+
+async function obtainToken(client, force) {
+    const store = client.cacheToken ? await Actor.openKeyValueStore(TOKEN_STORE_NAME) : null;
+    const cacheKey = `TOKEN-${createHash('sha1').update(client.creds.id).digest('hex')}`;
+
+    if (store && !force) {
+        const cached = await store.getValue(cacheKey);
+        if (cached?.token && cached.expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN_MS) {
+            client.token = cached.token;
+            client.tokenExpiresAt = cached.expiresAt - TOKEN_EXPIRY_MARGIN_MS;
+            log.info('InfoJobs API token loaded from cache.');
+            return client.token;
+        }
+    }
+
+    const auth = Buffer.from(`${client.creds.id}:${client.creds.secret}`).toString('base64');
+    const res = await gotScraping({
+        url: client.tokenUrl,
+        method: 'POST',
+        headers: {
+            Authorization: `Basic ${auth}`,
+            'content-type': 'application/x-www-form-urlencoded',
+        },
+        body: 'grant_type=client_credentials',
+        responseType: 'json',
+        throwHttpErrors: true,
+    });
+    const token = res.body?.access_token;
+    if (!token) throw new Error('Token endpoint returned no access_token');
+
+    const ttlSecs = Number(res.body.expires_in) || DEFAULT_TOKEN_TTL_SECS;
+    const expiresAt = Date.now() + ttlSecs * 1000;
+    client.token = token;
+    client.tokenExpiresAt = expiresAt - TOKEN_EXPIRY_MARGIN_MS;
+    client.stats.tokenRefreshes += 1;
+    if (store) await store.setValue(cacheKey, { token, expiresAt });
+    log.info(`InfoJobs API token acquired (valid for ${Math.round(ttlSecs / 60)} min).`);
+    return token;
+}
+
+// Spaces requests out to the requests-per-second budget, also across concurrent callers.
+async function waitForSlot(client) {
+    if (!client.minIntervalMs) return;
+    const now = Date.now();
+    const slot = Math.max(now, client.nextSlotAt);
+    client.nextSlotAt = slot + client.minIntervalMs;
+    if (slot > now) await sleep(slot - now);
+}
+
+async function backoff(client, attempt, retryAfter, reason) {
+    if (attempt >= client.maxRetries) return;
+    client.stats.retries += 1;
+    const delay = Math.min(parseRetryAfter(retryAfter) ?? 1000 * 2 ** attempt + Math.random() * 250, MAX_BACKOFF_MS);
+    log.debug(`API ${reason}. Retry ${attempt + 1}/${client.maxRetries} in ${Math.round(delay)} ms.`);
+    await sleep(delay);
+}
+
+// Retry-After is either delay seconds or an HTTP date.
+function parseRetryAfter(value) {
+    if (value == null || value === '') return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function trackQuota(client, headers = {}) {
+    for (const name of QUOTA_HEADERS) {
+        if (headers[name] != null) client.stats.quota[name] = headers[name];
+    }
+}
+
+function httpError(message, statusCode) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
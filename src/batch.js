@@ -0,0 +1,146 @@
+// Multi-query batch runs - several searches in one run, every offer stored once with all matching query tags
+import { createHash } from 'node:crypto';
+import { Actor, log } from 'apify';
+
+const SUMMARY_KEY = 'SEARCH_SUMMARY';
+const BUFFER_KEY_PREFIX = 'BATCH-';
+
+// Per-search keys override the top-level input; everything else (proxy, monitoring, ...) is shared.
+const SHARED_ONLY_KEYS = [
+    'searches',
+    'proxyConfiguration',
+    'monitor',
+    'monitorStoreName',
+    'collectCompanies',
+    'skillExtraction',
+    'extraSkills',
+    'outputFormats',
+    'csvDelimiter',
+    'csvColumns',
+    'outputFields',
+    'omitFields',
+    'outputStoreName',
+];
+
+// Returns [{ id, query, input }]. Without a `searches` array the run is a single search over the input.
+export function buildSearchInputs(input) {
+    if (!Array.isArray(input.searches) || !input.searches.length) {
+        return [{ id: 'default', query: describeQuery(input), input }];
+    }
+
+    const ids = new Set();
+    return input.searches.map((entry, i) => {
+        const search = typeof entry === 'string' ? { keyword: entry } : entry || {};
+        const own = Object.fromEntries(Object.entries(search).filter(([key]) => !SHARED_ONLY_KEYS.includes(key)));
+        const merged = { ...input, startUrl: undefined, startUrls: [], ...own };
+        delete merged.searches;
+
+        const id = String(search.id || search.search_id || `search-${i + 1}`);
+        if (ids.has(id)) throw new Error(`Duplicate search id "${id}" in searches.`);
+        ids.add(id);
+        return { id, query: search.label || describeQuery(merged), input: merged };
+    });
+}
+
+export function createBatch() {
+    return {
+        // offer id -> { key, search_ids, queries }
+        records: new Map(),
+        // offer id or URL -> offer id, so duplicates found by URL can be tagged too
+        aliases: new Map(),
+        counts: {},
+    };
+}
+
+// Stores the record in the key-value store (not memory) until flushBatch, so large batches and migrated
+// runs keep every offer.
+export async function bufferRecord(batch, record, search) {
+    const id = String(record.id);
+    const entry = batch.records.get(id) || { key: bufferKey(id), search_ids: [], queries: [] };
+    if (!batch.records.has(id)) {
+        await Actor.setValue(entry.key, record);
+        batch.records.set(id, entry);
+        countFor(batch, search).saved += 1;
+    }
+    addTag(entry, search);
+    batch.aliases.set(id, id);
+    if (record.url) batch.aliases.set(record.url, id);
+}
+
+// Called where dedupe skips an offer: adds this search to the tags of the already stored record.
+export function tagDuplicate(batch, search, ...keys) {
+    if (!batch) return;
+    const id = keys.map((k) => batch.aliases.get(String(k))).find(Boolean);
+    const entry = id && batch.records.get(id);
+    if (!entry || entry.search_ids.includes(search.id)) return;
+    addTag(entry, search);
+    countFor(batch, search).duplicates += 1;
+}
+
+export async function flushBatch(batch, emit) {
+    if (!batch) return;
+    let flushed = 0;
+    for (const entry of batch.records.values()) {
+        const record = await Actor.getValue(entry.key);
+        if (!record) continue;
+        await emit({ ...record, search_ids: entry.search_ids, queries: entry.queries });
+        await Actor.setValue(entry.key, null);
+        flushed += 1;
+    }
+    log.info(`Batch: pushed ${flushed} unique offers.`);
+}
+
+export async function saveSearchSummary(batch, searches) {
+    if (!batch) return;
+    const summary = searches.map((s) => {
+        const counts = batch.counts[s.id] || { saved: 0, duplicates: 0 };
+        return {
+            search_id: s.id,
+            query: s.query,
+            results_wanted: s.cfg.maxItems,
+            new_offers: counts.saved,
+            shared_offers: counts.duplicates,
+            total_matched: counts.saved + counts.duplicates,
+        };
+    });
+    await Actor.setValue(SUMMARY_KEY, summary);
+    for (const row of summary) {
+        log.info(`[${row.search_id}] ${row.query}: ${row.new_offers} new, ${row.shared_offers} shared`);
+    }
+}
+
+export function serializeBatch(batch) {
+    return {
+        records: [...batch.records.entries()],
+        aliases: [...batch.aliases.entries()],
+        counts: batch.counts,
+    };
+}
+
+export function restoreBatch(batch, saved) {
+    for (const [id, entry] of saved.records || []) batch.records.set(id, entry);
+    for (const [key, id] of saved.aliases || []) batch.aliases.set(key, id);
+    Object.assign(batch.counts, saved.counts);
+}
+
+function addTag(entry, search) {
+    if (entry.search_ids.includes(search.id)) return;
+    entry.search_ids.push(search.id);
+    entry.queries.push(search.query);
+}
+
+function countFor(batch, search) {
+    batch.counts[search.id] ??= { saved: 0, duplicates: 0 };
+    return batch.counts[search.id];
+}
+
+function bufferKey(id) {
+    return `${BUFFER_KEY_PREFIX}${createHash('sha1').update(id).digest('hex')}`;
+}
+
+function describeQuery(input) {
+    const parts = [input.keyword, input.location, input.category].flat().filter(Boolean);
+    if (parts.length) return parts.join(' | ');
+    const url = input.startUrl || input.startUrls?.[0];
+    return (typeof url === 'string' ? url : url?.url) || 'all offers';
+}
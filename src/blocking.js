@@ -0,0 +1,88 @@
+// Block detection - classifies responses as blocked and tracks the block rate of the running phase
+export const BLOCKED_STATUS_CODES = [401, 403, 407, 429, 503];
+
+// Markup only found on challenge pages. Vendor scripts that are also injected into normal pages (DataDome tags,
+// Incapsula resources, Cloudflare bot scripts) are deliberately not listed.
+const CHALLENGE_FINGERPRINTS = [
+    'captcha-delivery.com',
+    'incapsula incident',
+    'distil_r_captcha',
+    'cf-chl-',
+    'cf_chl_opt',
+    'geetest_',
+    'px-captcha',
+];
+
+// Challenge wording. Offers can contain these words too, so they only count in the page title and headings,
+// or on pages that lack the expected content anyway.
+const CHALLENGE_TEXT = [
+    'captcha',
+    'hemos detectado un uso inusual',
+    'eres humano o un robot',
+    'are you human',
+    'javascript is enabled',
+    'just a moment',
+    'access denied',
+    'acceso denegado',
+];
+
+// Reasons that only say the expected content is missing. Such a page can also be an offer notice ("oferta no
+// disponible", a 404), which is not a block.
+const MISSING_CONTENT_REASONS = ['empty body', 'missing offer content', 'missing page content'];
+
+// Fewer responses than this never trigger the block-rate stop.
+const MIN_RESPONSES_FOR_RATE = 20;
+
+// Returns the block reason, or null when the page looks usable. `kind` is 'list' or 'detail'.
+export function classifyResponse({ statusCode, html, $, kind }) {
+    if (BLOCKED_STATUS_CODES.includes(statusCode)) return `status ${statusCode}`;
+    if (!html || !html.trim()) return 'empty body';
+
+    const lower = html.toLowerCase();
+    const fingerprint = CHALLENGE_FINGERPRINTS.find((f) => lower.includes(f));
+    if (fingerprint) return `challenge page (${fingerprint})`;
+    if (!$) return null;
+
+    const headline = `${$('title').text()} ${$('h1, h2').text()}`.toLowerCase();
+    const headlinePhrase = CHALLENGE_TEXT.find((t) => headline.includes(t));
+    if (headlinePhrase) return `challenge page ("${headlinePhrase}")`;
+
+    const text = $('body').text().replace(/\s+/g, ' ').trim().toLowerCase();
+    let missing = null;
+    if (kind === 'detail') {
+        const hasOffer =
+            $('script[type="application/ld+json"]').length > 0 ||
+            $('h1').length > 0 ||
+            $('meta[property="og:title"]').length > 0;
+        if (!hasOffer) missing = 'missing offer content';
+    } else if (kind === 'list' && (!$('a[href]').length || text.length < 200)) {
+        missing = 'missing page content';
+    }
+    if (!missing) return null;
+    const phrase = CHALLENGE_TEXT.find((t) => text.includes(t));
+    return phrase ? `challenge page ("${phrase}")` : missing;
+}
+
+// Block statuses and challenge pages are blocks whatever else the page says.
+export function isDefiniteBlock(reason) {
+    return Boolean(reason) && !MISSING_CONTENT_REASONS.includes(reason);
+}
+
+export function createBlockTracker() {
+    return { responses: 0, blocks: 0 };
+}
+
+export function recordResponse(tracker, blocked) {
+    tracker.responses += 1;
+    if (blocked) tracker.blocks += 1;
+}
+
+// `maxBlockRate` is a percentage; 0 disables the check.
+export function blockRateExceeded(tracker, maxBlockRate) {
+    if (!maxBlockRate || tracker.responses < MIN_RESPONSES_FOR_RATE) return false;
+    return (tracker.blocks / tracker.responses) * 100 > maxBlockRate;
+}
+
+export function blockRate(tracker) {
+    return tracker.responses ? Math.round((tracker.blocks / tracker.responses) * 100) : 0;
+}
@@ -0,0 +1,106 @@
+// Crawl checkpointing - lets a migrated or resurrected run continue where it stopped
+import { Actor, log } from 'apify';
+import { serializeBatch, restoreBatch } from './batch.js';
+import { serializePagination, restorePagination } from './pagination.js';
+
+const CHECKPOINT_KEY = 'CRAWL_STATE';
+
+// State fields that are Sets in memory and arrays in the checkpoint.
+const SET_FIELDS = ['phasesDone', 'seenIds', 'processed', 'browserDetailUrls', 'htmlDetailUrls', 'escalateUrls'];
+const PLAIN_FIELDS = [
+    'saved',
+    'savedTotal',
+    'blocked',
+    'truncated',
+    'limitReached',
+    'lost',
+    'covered',
+    'uncovered',
+    'searchIndex',
+    'apiPage',
+    'sessionCookies',
+    'userAgent',
+    'recheck',
+];
+
+// Restores a previous checkpoint into `state`. Returns true when the run is resuming.
+export async function restoreCheckpoint(state) {
+    const saved = await Actor.getValue(CHECKPOINT_KEY);
+    if (!saved) return false;
+
+    for (const key of SET_FIELDS) {
+        if (Array.isArray(saved[key])) state[key] = new Set(saved[key]);
+    }
+    for (const key of PLAIN_FIELDS) {
+        if (saved[key] !== undefined) state[key] = saved[key];
+    }
+    if (state.monitor && saved.monitor) {
+        Object.assign(state.monitor.current, saved.monitor.current);
+        Object.assign(state.monitor.counts, saved.monitor.counts);
+    }
+    if (Array.isArray(saved.partials)) {
+        state.partials = new Map(saved.partials);
+    }
+    if (saved.pagination) {
+        state.pagination = restorePagination(saved.pagination);
+    }
+    if (saved.report) {
+        Object.assign(state.report, saved.report);
+    }
+    if (state.notifier && Array.isArray(saved.notifications)) {
+        state.notifier.pending.push(...saved.notifications);
+    }
+    if (state.batch && saved.batch) {
+        restoreBatch(state.batch, saved.batch);
+    }
+    if (state.companies && Array.isArray(saved.companies)) {
+        for (const company of saved.companies) state.companies.companies.set(company.company_id, company);
+    }
+
+    log.info(
+        `Resuming from checkpoint | search=${state.searchIndex + 1} saved=${state.savedTotal + state.saved} ` +
+            `phasesDone=[${[...state.phasesDone].join(', ')}] apiPage=${state.apiPage} processed=${state.processed.size}`,
+    );
+    return true;
+}
+
+export async function saveCheckpoint(state) {
+    const snapshot = {};
+    for (const key of SET_FIELDS) snapshot[key] = [...state[key]];
+    for (const key of PLAIN_FIELDS) snapshot[key] = state[key];
+    if (state.monitor) {
+        snapshot.monitor = { current: state.monitor.current, counts: state.monitor.counts };
+    }
+    snapshot.partials = [...state.partials.entries()];
+    snapshot.pagination = serializePagination(state.pagination);
+    snapshot.report = state.report;
+    if (state.notifier) {
+        snapshot.notifications = state.notifier.pending;
+    }
+    if (state.batch) {
+        snapshot.batch = serializeBatch(state.batch);
+    }
+    if (state.companies) {
+        snapshot.companies = [...state.companies.companies.values()];
+    }
+    snapshot.savedAt = new Date().toISOString();
+    await Actor.setValue(CHECKPOINT_KEY, snapshot);
+}
+
+// Saves on the platform's periodic persistState event and right before a migration or abort.
+export function persistCheckpointOnEvents(state) {
+    const save = async () => {
+        try {
+            await saveCheckpoint(state);
+        } catch (err) {
+            log.warning(`Checkpoint save failed: ${err.message}`);
+        }
+    };
+    Actor.on('persistState', save);
+    Actor.on('migrating', save);
+    Actor.on('aborting', save);
+}
+
+export async function clearCheckpoint() {
+    await Actor.setValue(CHECKPOINT_KEY, null);
+}
@@ -0,0 +1,172 @@
+// Company profiles - collected once per company into a separate named dataset, joined to offers by company_id
+import { Actor, log } from 'apify';
+import { CheerioCrawler } from 'crawlee';
+
+const COMPANY_ID_RE = /\/em-i([a-z0-9]+)/i;
+const SAVED_INDEX_KEY = 'SAVED_COMPANY_IDS';
+
+// The companies dataset outlives the run. A key-value store of the same name keeps the IDs already in it, so every
+// company is saved once, whichever run first came across it.
+export async function openCompanyCollector(cfg) {
+    if (!cfg.collectCompanies) return null;
+    const dataset = await Actor.openDataset(cfg.companiesDatasetName);
+    const store = await Actor.openKeyValueStore(cfg.companiesDatasetName);
+    const saved = new Set((await store.getValue(SAVED_INDEX_KEY)) || []);
+    log.info(`Company collection on | dataset=${cfg.companiesDatasetName} saved before=${saved.size}`);
+    return { dataset, store, saved, companies: new Map(), pushed: 0 };
+}
+
+// InfoJobs company pages look like https://www.infojobs.net/acme/em-i1a2b3c...; the part after "em-i" is the ID.
+export function companyIdFromUrl(url) {
+    const match = (url || '').match(COMPANY_ID_RE);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// A company has two kinds of ID: the one in its InfoJobs page URL, which every source can give, and the API author ID.
+// The page ID is used whenever the URL is known, so offers from every source join on the same company; company_id_type
+// says which kind a record carries.
+export function companyIdentity({ url, apiId } = {}) {
+    const pageId = companyIdFromUrl(url);
+    if (pageId) return { company_id: pageId, company_id_type: 'page' };
+    if (apiId != null && apiId !== '') return { company_id: String(apiId).toLowerCase(), company_id_type: 'api' };
+    return { company_id: null, company_id_type: null };
+}
+
+// Remembers a company seen on an offer and merges whatever profile data the offer carried.
+export function registerCompany(collector, company) {
+    if (!collector || !company?.id) return;
+    const id = String(company.id);
+    const existing = collector.companies.get(id) || { company_id: id };
+    for (const [key, value] of Object.entries(company)) {
+        if (key === 'id' || value == null || value === '') continue;
+        if (existing[key] == null) existing[key] = value;
+    }
+    collector.companies.set(id, existing);
+}
+
+// API offer detail `profile` block -> company fields.
+export function companyFromApiProfile(profile) {
+    if (!profile || typeof profile !== 'object') return {};
+    return {
+        name: profile.name,
+        sector: profile.typeIndustry?.value || profile.sector?.value,
+        size: profile.numberWorkers != null ? String(profile.numberWorkers) : profile.companySize?.value,
+        website: profile.corporateWebsiteUrl || profile.websiteUrl || profile.web,
+        location: [profile.province?.value, profile.country?.value].filter(Boolean).join(', ') || null,
+        description: profile.description,
+        logo_url: profile.logoUrl,
+        url: profile.url,
+    };
+}
+
+// Visits the InfoJobs page of every registered company not saved yet and writes one record per company.
+export async function collectCompanyProfiles(collector, cfg, proxyConfiguration, headers) {
+    if (!collector || !collector.companies.size) return;
+    const fresh = [...collector.companies.values()].filter((c) => !collector.saved.has(c.company_id));
+    if (!fresh.length) {
+        log.info(`All ${collector.companies.size} companies of this run were saved before.`);
+        return;
+    }
+    const withPage = fresh.filter((c) => c.url && /infojobs\.net/i.test(c.url));
+    log.info(`Collecting ${fresh.length} company profiles (${withPage.length} with an InfoJobs page)...`);
+
+    if (withPage.length) {
+        const crawler = new CheerioCrawler({
+            proxyConfiguration,
+            maxConcurrency: cfg.htmlDetailConcurrency,
+            maxRequestRetries: 2,
+            requestHandlerTimeoutSecs: 25,
+            async requestHandler({ request, $, log: crawlerLog }) {
+                const company = collector.companies.get(request.userData.companyId);
+                if (!$ || !company) return;
+                const parsed = extractCompanyProfile($);
+                for (const [key, value] of Object.entries(parsed)) {
+                    if (value != null && value !== '') company[key] = value;
+                }
+                crawlerLog.debug(`[COMPANY] Parsed ${company.name || request.url}`);
+            },
+        });
+
+        await crawler.run(
+            withPage.map((c) => ({
+                url: c.url,
+                uniqueKey: `company:${c.company_id}`,
+                userData: { companyId: c.company_id },
+                headers,
+            })),
+        );
+    }
+
+    const now = new Date().toISOString();
+    for (const company of fresh) {
+        await collector.dataset.pushData(normalizeCompanyRecord({ ...company, scraped_at: now }));
+        collector.pushed += 1;
+        collector.saved.add(company.company_id);
+        await collector.store.setValue(SAVED_INDEX_KEY, [...collector.saved]);
+    }
+    log.info(`Saved ${collector.pushed} company profiles.`);
+}
+
+export function extractCompanyProfile($) {
+    const org = findJsonLdOrganization($) || {};
+    const text = (sel) => $(sel).first().text().replace(/\s+/g, ' ').trim() || null;
+    const bodyText = $('body').text().replace(/\s+/g, ' ');
+    const offersMatch = bodyText.match(
+        /(\d[\d.]*)\s+ofertas?\s+(de empleo\s+)?(activas|abiertas|publicadas|de trabajo)/i,
+    );
+    const address = org.address || {};
+
+    return {
+        name: org.name || text('h1') || $('meta[property="og:title"]').attr('content') || null,
+        sector: org.industry || text('[data-test="company-sector"], [data-testid="company-sector"]'),
+        size:
+            org.numberOfEmployees?.value ??
+            org.numberOfEmployees ??
+            text('[data-test="company-size"], [data-testid="company-size"]'),
+        website: [].concat(org.sameAs || org.url || [])[0] || $('a[data-test="company-website"]').attr('href') || null,
+        location:
+            [address.addressLocality, address.addressRegion].filter(Boolean).join(', ') ||
+            text('[data-test="company-location"], [data-testid="company-location"]'),
+        description:
+            org.description ||
+            text('[data-test="company-description"], [data-testid="company-description"]') ||
+            $('meta[name="description"]').attr('content') ||
+            null,
+        active_offers: offersMatch ? Number(offersMatch[1].replace(/\./g, '')) : null,
+        logo_url:
+            (typeof org.logo === 'object' ? org.logo?.url : org.logo) ||
+            $('meta[property="og:image"]').attr('content') ||
+            null,
+    };
+}
+
+function findJsonLdOrganization($) {
+    for (const el of $('script[type="application/ld+json"]').toArray()) {
+        try {
+            const data = JSON.parse($(el).contents().text().trim());
+            const nodes = [].concat(data['@graph'] || data);
+            const org = nodes.find((n) => ['Organization', 'Corporation', 'LocalBusiness'].includes(n?.['@type']));
+            if (org) return org;
+        } catch (err) {
+            log.debug(`Skipping a company page JSON-LD block that does not parse: ${err.message}`);
+        }
+    }
+    return null;
+}
+
+function normalizeCompanyRecord(company) {
+    return {
+        company_id: company.company_id,
+        company_id_type: company.company_id_type || null,
+        name: company.name || null,
+        sector: company.sector || null,
+        size: company.size != null ? String(company.size) : null,
+        website: company.website || null,
+        location: company.location || null,
+        description: company.description || null,
+        active_offers: company.active_offers ?? null,
+        logo_url: company.logo_url || null,
+        url: company.url || null,
+        scraped_at: company.scraped_at,
+    };
+}
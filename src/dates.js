@@ -0,0 +1,240 @@
+// Dates - offer dates as ISO timestamps in Europe/Madrid, from API and JSON-LD values or the Spanish texts the pages
+// show ("Hace 3 horas", "Publicada el 12 oct"), and the postedAfter/maxAgeDays cutoff
+import { foldSpaces } from './text.js';
+
+export const TIME_ZONE = 'Europe/Madrid';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const MONTHS = {
+    ene: 1,
+    feb: 2,
+    mar: 3,
+    abr: 4,
+    may: 5,
+    jun: 6,
+    jul: 7,
+    ago: 8,
+    sep: 9,
+    set: 9,
+    oct: 10,
+    nov: 11,
+    dic: 12,
+};
+
+// Units of "hace 3 horas", "hace 2d": months and years are counted as 30 and 365 days. Results are cut to the
+// unit's precision, so the same offer read at another time of day keeps the same date.
+const UNITS = [
+    { re: /^(s|seg|segundos?)$/, ms: 1000, precision: 'minute' },
+    { re: /^(m|min|mins|minutos?)$/, ms: MINUTE, precision: 'minute' },
+    { re: /^(h|hr|hrs|horas?)$/, ms: HOUR, precision: 'hour' },
+    { re: /^(d|dias?)$/, ms: DAY, precision: 'day' },
+    { re: /^(sem|semanas?)$/, ms: 7 * DAY, precision: 'day' },
+    { re: /^(mes|meses)$/, ms: 30 * DAY, precision: 'day' },
+    { re: /^(a|anos?)$/, ms: 365 * DAY, precision: 'day' },
+];
+
+// Folded texts (see foldSpaces()) that name a moment relative to now.
+const RELATIVE_RE = /\bhace\s+(unos|unas|una|un|\d+)\s*([a-z]+)\b/;
+const RECENT_RE = /\b(ahora( mismo)?|hace (un |unos )?(instantes?|momentos?|segundos|minutos)|recien publicada)\b/;
+const DAYS_AGO = { hoy: 0, ayer: 1, anteayer: 2 };
+// "12 oct", "12 de octubre de 2026", "12 oct. 2026"
+const TEXT_DATE_RE = /\b(\d{1,2})(?:\s+de)?\s+([a-z]{3,10})\.?(?:\s+(?:de\s+)?(\d{4}))?\b/;
+// "12/10/2026", "12/10", "12-10-2026"; dashes only with a year, so ranges like "2-3 años" are no date
+const NUMERIC_DATE_RE = /\b(\d{1,2})(?:\/(\d{1,2})(?:\/(\d{4}|\d{2}))?|-(\d{1,2})-(\d{4}|\d{2}))(?![\d/-])/;
+// Texts that start like a date as list cards show one: "Hace 2h", "Publicada el 12 oct", "ayer", "12/10/2026"
+const MONTH_WORDS = [
+    'ene(ro)?',
+    'feb(rero)?',
+    'mar(zo)?',
+    'abr(il)?',
+    'mayo?',
+    'jun(io)?',
+    'jul(io)?',
+    'ago(sto)?',
+    'sep(t|tiembre)?',
+    'set(iembre)?',
+    'oct(ubre)?',
+    'nov(iembre)?',
+    'dic(iembre)?',
+];
+const DATE_PHRASE_RE = new RegExp(
+    '^(publicada |actualizada )?(el )?(hace |ayer|anteayer|hoy|ahora|recien|' +
+        `\\d{1,2}(/\\d{1,2}|-\\d{1,2}-\\d{2}| (de )?(${MONTH_WORDS.join('|')})\\b))`,
+);
+// "10:30", "a las 10:30h"
+const TIME_RE = /\b(\d{1,2}):(\d{2})(?::(\d{2}))?\b/;
+const ISO_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(z|[+-]\d{2}:?\d{2})?$/i;
+
+const OFFSET_FORMAT = new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, timeZoneName: 'longOffset' });
+const PARTS_FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+});
+
+// Accepts ISO strings (without an offset they are Madrid time), Date objects, epoch milliseconds and the Spanish
+// texts of the pages, relative ones counted back from `now`. Returns "2026-10-17T09:30:00+02:00", or null when the
+// value reads as no date.
+export function normalizeDate(value, { now = new Date() } = {}) {
+    const time = parseDate(value, now);
+    return time == null ? null : formatMadrid(time);
+}
+
+// Epoch milliseconds of a date value, see normalizeDate(). Null when it reads as no date.
+export function parseDate(value, now = new Date()) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const iso = value.trim().match(ISO_RE);
+    if (iso) return parseIso(iso);
+    return parseSpanish(foldSpaces(value), now.getTime());
+}
+
+// The earliest publication date offers must have: the later of the postedAfter date (absolute or relative, e.g.
+// "2026-10-01" or "hace 7 dias") and maxAgeDays before now. An ISO string, or null when neither is set.
+export function resolveDateCutoff({ postedAfter, maxAgeDays } = {}, { now = new Date() } = {}) {
+    const cutoffs = [];
+    if (postedAfter != null && String(postedAfter).trim()) {
+        const time = parseDate(postedAfter instanceof Date ? postedAfter : String(postedAfter), now);
+        if (time == null) throw new Error(`Invalid postedAfter "${postedAfter}". Expected a date like 2026-10-01.`);
+        cutoffs.push(time);
+    }
+    if (maxAgeDays != null && maxAgeDays !== '') {
+        const days = Number(maxAgeDays);
+        if (!Number.isFinite(days) || days <= 0) {
+            throw new Error(`Invalid maxAgeDays "${maxAgeDays}". Expected a number of days above 0.`);
+        }
+        cutoffs.push(now.getTime() - days * DAY);
+    }
+    return cutoffs.length ? formatMadrid(Math.max(...cutoffs)) : null;
+}
+
+// Whether a short text reads as a date phrase, not just holds numbers that parse as one ("Experiencia 2-3 años").
+export function isDateText(text) {
+    return typeof text === 'string' && DATE_PHRASE_RE.test(foldSpaces(text)) && parseDate(text) != null;
+}
+
+// Only dated offers can be older than the cutoff; undated ones are kept.
+export function isBeforeCutoff(date, cutoff) {
+    if (!cutoff) return false;
+    const time = parseDate(date);
+    return time != null && time < parseDate(cutoff);
+}
+
+// The narrowest postedWithin window that still holds every offer published since the cutoff, so listings start
+// close to it. Null when the cutoff lies further back than the widest window.
+export function postedWithinForCutoff(cutoff, now = new Date()) {
+    const age = now.getTime() - parseDate(cutoff);
+    if (age <= DAY) return '24h';
+    if (age <= 7 * DAY) return '7d';
+    if (age <= 15 * DAY) return '15d';
+    return null;
+}
+
+function parseIso([, year, month, day, hour = '0', minute = '0', second = '0', zone]) {
+    const fields = [year, month, day, hour, minute, second].map(Number);
+    if (!isValidDay(fields[0], fields[1], fields[2])) return null;
+    if (!zone) return madridToUtc(...fields);
+    const offset = zone.toLowerCase() === 'z' ? 0 : readOffset(zone);
+    return Date.UTC(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]) - offset * MINUTE;
+}
+
+function parseSpanish(text, now) {
+    if (!text) return null;
+    const relative = text.match(RELATIVE_RE);
+    if (relative) {
+        const unit = UNITS.find(({ re }) => re.test(relative[2]));
+        const count = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+        if (unit) return truncateMadrid(now - count * unit.ms, unit.precision);
+    }
+    const daysAgo = Object.keys(DAYS_AGO).find((word) => new RegExp(`\\b${word}\\b`).test(text));
+    if (daysAgo) return truncateMadrid(now - DAYS_AGO[daysAgo] * DAY, 'day');
+    if (RECENT_RE.test(text)) return truncateMadrid(now, 'minute');
+
+    const day = readDay(text);
+    if (!day) return null;
+    const time = text.match(TIME_RE);
+    const [hour, minute, second] = time ? [time[1], time[2], time[3] || 0].map(Number) : [0, 0, 0];
+    if (hour > 23 || minute > 59 || second > 59) return null;
+    if (day.year) return madridToUtc(day.year, day.month, day.day, hour, minute, second);
+
+    // Without a year, the date is the last one on or before today: "12 dic" read in January is last December.
+    const year = Number(madridParts(now).year);
+    const thisYear = madridToUtc(year, day.month, day.day, hour, minute, second);
+    if (thisYear != null && thisYear <= now + DAY) return thisYear;
+    return madridToUtc(year - 1, day.month, day.day, hour, minute, second);
+}
+
+// { day, month, year } of "12 oct", "12 de octubre de 2026" or "12/10/2026"; year is null when not given.
+function readDay(text) {
+    const named = text.match(TEXT_DATE_RE);
+    const month = named && MONTHS[named[2].slice(0, 3)];
+    if (month && isValidDay(2000, month, Number(named[1]))) {
+        return { day: Number(named[1]), month, year: named[3] ? Number(named[3]) : null };
+    }
+    const numeric = text.match(NUMERIC_DATE_RE);
+    if (!numeric) return null;
+    const [d, m] = [Number(numeric[1]), Number(numeric[2] ?? numeric[4])];
+    let year = (numeric[3] ?? numeric[5]) ? Number(numeric[3] ?? numeric[5]) : null;
+    if (year != null && year < 100) year += 2000;
+    return isValidDay(year ?? 2000, m, d) ? { day: d, month: m, year } : null;
+}
+
+function isValidDay(year, month, day) {
+    if (month < 1 || month > 12 || day < 1) return false;
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Epoch milliseconds of a Madrid wall-clock time. The offset is read at the UTC guess and again at the result, which
+// settles times next to a daylight saving change.
+function madridToUtc(year, month, day, hour = 0, minute = 0, second = 0) {
+    if (!isValidDay(year, month, day)) return null;
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const first = wall - madridOffset(wall) * MINUTE;
+    return wall - madridOffset(first) * MINUTE;
+}
+
+// Minutes Madrid is ahead of UTC at an instant: 60 in winter, 120 in summer.
+function madridOffset(time) {
+    const zone = OFFSET_FORMAT.formatToParts(time).find((part) => part.type === 'timeZoneName')?.value || 'GMT';
+    return zone === 'GMT' ? 0 : readOffset(zone.replace('GMT', ''));
+}
+
+// "+02:00", "+0200", "-05:30" -> minutes
+function readOffset(zone) {
+    const match = zone.match(/([+-])(\d{2}):?(\d{2})/);
+    if (!match) return 0;
+    const minutes = Number(match[2]) * 60 + Number(match[3]);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// Start of the Madrid day, hour or minute of an instant.
+function truncateMadrid(time, precision) {
+    const p = madridParts(time);
+    const hour = precision === 'day' ? 0 : Number(p.hour);
+    const minute = precision === 'minute' ? Number(p.minute) : 0;
+    return madridToUtc(Number(p.year), Number(p.month), Number(p.day), hour, minute);
+}
+
+function madridParts(time) {
+    return Object.fromEntries(PARTS_FORMAT.formatToParts(time).map((part) => [part.type, part.value]));
+}
+
+function formatMadrid(time) {
+    const p = madridParts(time);
+    const offset = madridOffset(time);
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    const zone = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}${zone}`;
+}
@@ -0,0 +1,320 @@
+// Offer descriptions - sanitized HTML, Markdown and plain text, split into responsibilities, requirements and
+// benefits sections
+import { load as cheerioLoad } from 'cheerio';
+import { foldSpaces } from './text.js';
+
+const DROP_TAGS =
+    'script, style, noscript, template, iframe, object, embed, form, input, button, select, textarea, svg, canvas, ' +
+    'img, picture, video, audio, nav, header, footer, aside';
+const KEEP_TAGS = new Set([
+    'p',
+    'br',
+    'ul',
+    'ol',
+    'li',
+    'strong',
+    'b',
+    'em',
+    'i',
+    'a',
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'blockquote',
+    'table',
+    'tr',
+    'td',
+    'th',
+]);
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'ul', 'ol', 'blockquote', 'table', 'tr', 'li']);
+const HEADING_RE = /^h([1-6])$/;
+const BULLET_RE = /^[-•*·]\s+/;
+
+// Page chrome that ends up inside description containers (folded, see foldLine()).
+const BOILERPLATE = [
+    /^ver (mas|menos)( detalles)?$/,
+    /^(inscribir(me|te|se)|aplicar)( (a|en) (esta|la) oferta)?$/,
+    /^(compartir|denunciar|guardar|reportar)( esta| la)? oferta$/,
+    /^volver (a|al) (los )?(resultados|listado|busqueda)/,
+    /^seguir( a la)? empresa$/,
+    /^(ver|ir a) (todas las )?ofertas de /,
+    /^(publicada|actualizada) hace \d+/,
+];
+
+// Section heading keywords, matched against the start of the folded heading once leading filler words are dropped:
+// "¿Qué te ofrecemos?" -> "ofrecemos". Checked in this order.
+const SECTIONS = {
+    benefits: ['ofrec', 'beneficio', 'ventaja', 'condiciones', 'retribucion', 'salario'],
+    responsibilities: ['funcion', 'responsabilidad', 'tarea', 'cometido', 'haras', 'dia a dia', 'rol', 'mision'],
+    requirements: [
+        'requisito',
+        'requerimos',
+        'requerimiento',
+        'buscamos',
+        'perfil',
+        'necesitamos',
+        'necesitas',
+        'pedimos',
+        'imprescindible',
+        'valorable',
+        'valoramos',
+        'valorara',
+        'formacion',
+        'experiencia',
+        'conocimientos',
+    ],
+};
+const HEADING_FILLER_RE = /^((que|se|te|tus|sus|los|las|el|la|principales|descripcion de)\s+)+/;
+
+const EMPTY = {
+    description_html: null,
+    description_markdown: null,
+    description_text: null,
+    description_responsibilities: null,
+    description_requirements: null,
+    description_benefits: null,
+};
+
+// Accepts description HTML or plain text (API descriptions are often text with line breaks). Returns the
+// description fields of an output record, all null when there is no description.
+export function processDescription(value) {
+    if (typeof value !== 'string' || !value.trim()) return { ...EMPTY };
+    const html = /<[a-z][^>]*>/i.test(value) ? value : textToHtml(value);
+    const $ = cheerioLoad(`<div id="description-root">${html}</div>`);
+    const root = $('#description-root');
+    sanitize($, root);
+
+    const blocks = renderBlocks($, root[0]);
+    if (!blocks.length) return { ...EMPTY };
+    const markdown = blocks.join('\n\n');
+    const sections = splitSections(blocks);
+    return {
+        description_html: root.html().trim(),
+        description_markdown: markdown,
+        description_text: markdownToText(markdown),
+        description_responsibilities: sections.responsibilities,
+        description_requirements: sections.requirements,
+        description_benefits: sections.benefits,
+    };
+}
+
+// Paragraphs split on blank lines, lines starting with a bullet become list items.
+function textToHtml(text) {
+    const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const html = [];
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        let lines = [];
+        let items = [];
+        const flush = () => {
+            if (lines.length) html.push(`<p>${lines.join('<br>')}</p>`);
+            if (items.length) html.push(`<ul>${items.join('')}</ul>`);
+            lines = [];
+            items = [];
+        };
+        for (const line of paragraph.split('\n').map((l) => l.trim())) {
+            if (!line) continue;
+            if (BULLET_RE.test(line)) {
+                if (lines.length) flush();
+                items.push(`<li>${escape(line.replace(BULLET_RE, ''))}</li>`);
+            } else {
+                if (items.length) flush();
+                lines.push(escape(line));
+            }
+        }
+        flush();
+    }
+    return html.join('');
+}
+
+// Drops scripts, media and page chrome, strips every attribute but link targets, unwraps tags outside KEEP_TAGS
+// and removes boilerplate and empty blocks.
+function sanitize($, root) {
+    root.find(DROP_TAGS).remove();
+    root.find('*')
+        .addBack()
+        .contents()
+        .filter((_, node) => node.type === 'comment')
+        .remove();
+
+    for (const el of root.find('*').toArray().reverse()) {
+        const tag = el.tagName;
+        const href = tag === 'a' ? $(el).attr('href') : null;
+        for (const name of Object.keys(el.attribs || {})) $(el).removeAttr(name);
+        if (href && /^(https?:|mailto:)/i.test(href)) $(el).attr('href', href);
+        if (!KEEP_TAGS.has(tag)) {
+            // A block wrapper becomes a paragraph so its text does not run into the next one.
+            if (BLOCK_TAGS.has(tag) && !$(el).find('p, ul, ol, li, table, h1, h2, h3, h4, h5, h6').length) {
+                el.tagName = 'p';
+            } else {
+                $(el).replaceWith($(el).contents());
+            }
+        }
+    }
+    for (const el of root.find('p, li, h1, h2, h3, h4, h5, h6, strong, b, em, i').toArray().reverse()) {
+        const text = foldLine($(el).text());
+        if (!text || BOILERPLATE.some((re) => re.test(text))) $(el).remove();
+    }
+    for (const el of root.find('ul, ol, table').toArray().reverse()) {
+        if (!foldLine($(el).text())) $(el).remove();
+    }
+    // Source indentation between blocks
+    root.find('ul, ol, table, tr')
+        .addBack()
+        .contents()
+        .filter((_, node) => node.type === 'text' && !node.data.trim())
+        .remove();
+}
+
+// Markdown blocks (paragraphs, headings, lists) of an element's content.
+function renderBlocks($, el, depth = 0) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const text = inline
+            .split('\n')
+            .map((line) => line.trim())
+            .filter(Boolean)
+            .join('\n');
+        if (text) blocks.push(text);
+        inline = '';
+    };
+
+    for (const node of el.children || []) {
+        const heading = node.type === 'tag' && node.name.match(HEADING_RE);
+        if (node.type === 'text') {
+            inline += collapse(node.data);
+        } else if (node.type !== 'tag') {
+            continue;
+        } else if (heading) {
+            flush();
+            const text = renderInline($, node).trim();
+            if (text) blocks.push(`${'#'.repeat(Math.max(2, Number(heading[1])))} ${text}`);
+        } else if (node.name === 'ul' || node.name === 'ol') {
+            flush();
+            const list = renderList($, node, depth);
+            if (list) blocks.push(list);
+        } else if (node.name === 'blockquote') {
+            flush();
+            const quoted = renderBlocks($, node, depth).join('\n\n');
+            if (quoted) blocks.push(quoted.replace(/^/gm, '> '));
+        } else if (node.name === 'tr') {
+            flush();
+            const cells = $(node)
+                .children()
+                .toArray()
+                .map((cell) => renderInline($, cell).trim());
+            if (cells.some(Boolean)) blocks.push(cells.join(' | '));
+        } else if (BLOCK_TAGS.has(node.name)) {
+            flush();
+            blocks.push(...renderBlocks($, node, depth));
+        } else {
+            inline += renderInline($, { children: [node] });
+        }
+    }
+    flush();
+    return blocks;
+}
+
+function renderList($, list, depth) {
+    const ordered = list.name === 'ol';
+    const indent = '  '.repeat(depth);
+    return $(list)
+        .children('li')
+        .toArray()
+        .map((li, i) => {
+            const [first = '', ...rest] = renderBlocks($, li, depth + 1);
+            const marker = ordered ? `${i + 1}. ` : '- ';
+            // Nested lists already carry their indentation; other blocks of the item are indented under it.
+            const more = rest.map((block) => (/^\s*([-*]|\d+\.) /.test(block) ? block : `${indent}  ${block}`));
+            return [`${indent}${marker}${first}`, ...more].join('\n');
+        })
+        .filter((item) => item.trim() !== '-')
+        .join('\n');
+}
+
+function renderInline($, el) {
+    let out = '';
+    for (const node of el.children || []) {
+        if (node.type === 'text') out += collapse(node.data);
+        else if (node.type !== 'tag') continue;
+        else if (node.name === 'br') out += '\n';
+        else if (['strong', 'b'].includes(node.name)) out += wrap(renderInline($, node), '**');
+        else if (['em', 'i'].includes(node.name)) out += wrap(renderInline($, node), '*');
+        else if (node.name === 'a' && node.attribs?.href) out += link(renderInline($, node), node.attribs.href);
+        else out += renderInline($, node);
+    }
+    return out;
+}
+
+// Keeps surrounding spaces outside the markers: " texto " -> " **texto** ".
+function wrap(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+}
+
+function link(text, href) {
+    const label = text.trim();
+    if (!label) return text;
+    return label === href ? `<${href}>` : `[${label}](${href})`;
+}
+
+function collapse(text) {
+    return (text || '').replace(/\s+/g, ' ');
+}
+
+// Sections start at a heading, a bold line or a short line ending in a colon that names them, and run until the next
+// such heading. A lead-in ("**Requisitos:** Java y SQL", "Se ofrece: contrato") opens the section it names with its
+// own text, and is ordinary content when it names none ("Horario: de 9 a 18").
+function splitSections(blocks) {
+    const parts = { responsibilities: [], requirements: [], benefits: [] };
+    let current = null;
+    for (const block of blocks) {
+        const heading = readHeading(block);
+        const section = heading && sectionOf(heading.title);
+        if (heading && (section || !heading.rest)) {
+            current = section;
+            if (current && heading.rest) parts[current].push(heading.rest);
+        } else if (current) {
+            parts[current].push(block);
+        }
+    }
+    return Object.fromEntries(
+        Object.entries(parts).map(([name, content]) => [name, content.length ? content.join('\n\n') : null]),
+    );
+}
+
+// { title, rest } of a block that reads as a heading, rest being the text that follows a lead-in.
+function readHeading(block) {
+    const markdownHeading = block.match(/^#{1,6} (.+)$/);
+    if (markdownHeading) return { title: markdownHeading[1], rest: '' };
+    const bold = block.match(/^\*\*([^*\n]{2,80}?)(:?)\*\*(:?)\s*([\s\S]*)$/);
+    if (bold && (!bold[4] || bold[2] || bold[3])) return { title: bold[1], rest: bold[4].trim() };
+    const lead = block.match(/^([^\n:*]{2,60}):\s*([\s\S]*)$/);
+    if (lead) return { title: lead[1], rest: lead[2].trim() };
+    return null;
+}
+
+function sectionOf(title) {
+    const text = foldLine(title.replace(/\*/g, '')).replace(HEADING_FILLER_RE, '');
+    return Object.keys(SECTIONS).find((name) => SECTIONS[name].some((word) => text.startsWith(word))) || null;
+}
+
+function markdownToText(markdown) {
+    return markdown
+        .replace(/^#{1,6} /gm, '')
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        .replace(/\*([^*\n]+)\*/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/<(https?:[^>]+)>/g, '$1')
+        .replace(/^> /gm, '');
+}
+
+// A line or heading folded without the punctuation around it: "¿Qué ofrecemos?" -> "que ofrecemos".
+function foldLine(text) {
+    return foldSpaces(text)
+        .replace(/[¿?¡!:.\s]+$/g, '')
+        .replace(/^[¿¡\s]+/g, '');
+}
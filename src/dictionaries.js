@@ -0,0 +1,123 @@
+// Province/category dictionaries - resolve names, aliases, keys or IDs to InfoJobs IDs and URL slugs
+import { readFileSync } from 'node:fs';
+import { log } from 'apify';
+import { apiRequest } from './api.js';
+import { foldWords, levenshtein, maxTypos } from './text.js';
+
+// Next to the offer endpoints, on the API host of the client.
+const DICTIONARY_API_PATH = '/api/1/dictionary';
+
+const BUNDLED = {
+    province: readJson('./data/provinces.json'),
+    category: readJson('./data/categories.json'),
+};
+
+const LABELS = { province: 'location', category: 'category' };
+
+export function loadDictionaries() {
+    return {
+        province: BUNDLED.province.map((e) => ({ ...e })),
+        category: BUNDLED.category.map((e) => ({ ...e })),
+    };
+}
+
+// Updates IDs and names from the API dictionary endpoints, matching entries by key. Bundled aliases are kept; failures
+// leave the bundled tables in place. The refreshed province IDs need not be INE codes, so locations.js keeps its own
+// INE table and radius searches name provinces by key.
+export async function refreshDictionaries(dictionaries, apiClient) {
+    for (const name of Object.keys(dictionaries)) {
+        try {
+            const url = new URL(`${DICTIONARY_API_PATH}/${name}`, apiClient.baseUrl).href;
+            const rows = await apiRequest(apiClient, url);
+            if (!Array.isArray(rows)) {
+                log.debug(`Dictionary ${name} refresh returned no list.`);
+                continue;
+            }
+            const byKey = new Map(dictionaries[name].map((e) => [e.key, e]));
+            for (const row of rows) {
+                if (!row?.key || row.id == null || row.id <= 0) continue;
+                const entry = byKey.get(row.key);
+                if (entry) {
+                    entry.id = String(row.id);
+                    entry.name = row.value || entry.name;
+                } else {
+                    dictionaries[name].push({ id: String(row.id), name: row.value, key: row.key, aliases: [] });
+                }
+            }
+            log.info(`Dictionary ${name} refreshed from the API (${rows.length} entries).`);
+        } catch (err) {
+            log.debug(`Dictionary ${name} refresh failed: ${err.message}`);
+        }
+    }
+    return dictionaries;
+}
+
+// "Madrid, 08, Barcelna" -> [{ id, name, key }, ...]. Throws with suggestions when a value does not match.
+export function resolveDictionaryValues(dictionary, name, raw) {
+    const values = (Array.isArray(raw) ? raw : [raw])
+        .flatMap((v) => (typeof v === 'string' ? v.split(/[,;|]/) : [v]))
+        .map((v) => (v == null ? '' : String(v).trim()))
+        .filter(Boolean);
+
+    const resolved = [];
+    for (const value of values) {
+        const entry = matchEntry(dictionary, value);
+        if (!entry) {
+            const suggestions = suggest(dictionary, value)
+                .map((e) => `"${e.name}" (${e.id})`)
+                .join(', ');
+            throw new Error(`Unknown ${LABELS[name] || name} "${value}". Did you mean: ${suggestions}?`);
+        }
+        if (!resolved.some((e) => e.id === entry.id)) {
+            resolved.push({ id: entry.id, name: entry.name, key: entry.key });
+        }
+    }
+    return resolved;
+}
+
+// Exact ID/key/name/alias match first, then a unique prefix match, then the closest spelling.
+function matchEntry(dictionary, value) {
+    const needle = foldWords(value);
+    if (!needle) return null;
+
+    const exact = dictionary.find(
+        (e) =>
+            e.id === value.replace(/^0+(?=\d)/, '') ||
+            e.key === needle.replace(/ /g, '-') ||
+            candidates(e).includes(needle),
+    );
+    if (exact) return exact;
+
+    const prefixed = dictionary.filter((e) => candidates(e).some((c) => c.startsWith(needle)));
+    if (prefixed.length === 1) return prefixed[0];
+
+    const [best, second] = rank(dictionary, needle);
+    if (best && best.distance <= maxTypos(needle) && (!second || second.distance > best.distance)) {
+        return best.entry;
+    }
+    return null;
+}
+
+function suggest(dictionary, value) {
+    return rank(dictionary, foldWords(value))
+        .slice(0, 5)
+        .map((r) => r.entry);
+}
+
+function rank(dictionary, needle) {
+    return dictionary
+        .map((entry) => ({
+            entry,
+            distance: Math.min(...candidates(entry).map((c) => levenshtein(needle, c))),
+        }))
+        .sort((a, b) => a.distance - b.distance);
+}
+
+function candidates(entry) {
+    return [entry.name, entry.key.replace(/-/g, ' '), ...(entry.aliases || [])].map(foldWords);
+}
+
+// A bundled JSON table, by path relative to src/.
+export function readJson(relPath) {
+    return JSON.parse(readFileSync(new URL(relPath, import.meta.url), 'utf8'));
+}
@@ -0,0 +1,181 @@
+// Search filters - one input vocabulary translated to InfoJobs API params and web search URL params
+import { fold, levenshtein, maxTypos } from './text.js';
+
+// Each option maps to the API dictionary key and the ID used by the infojobs.net search form.
+const FILTER_TABLES = {
+    postedWithin: {
+        apiParam: 'sinceDate',
+        webParam: 'sinceDate',
+        options: {
+            any: { api: 'ANY', web: 'ANY' },
+            '24h': { api: '_24_HOURS', web: '_24_HOURS' },
+            '7d': { api: '_7_DAYS', web: '_7_DAYS' },
+            '15d': { api: '_15_DAYS', web: '_15_DAYS' },
+        },
+    },
+    contractType: {
+        apiParam: 'contractType',
+        webParam: 'contractTypeIds',
+        options: {
+            permanent: { api: 'indefinido', web: '1' },
+            temporary: { api: 'de-duracion-determinada', web: '4' },
+            fixed_discontinuous: { api: 'fijo-discontinuo', web: '3' },
+            training: { api: 'formativo', web: '8' },
+            freelance: { api: 'autonomo', web: '9' },
+            other: { api: 'otros-contratos', web: '10' },
+        },
+    },
+    workDay: {
+        apiParam: 'workday',
+        webParam: 'workdayIds',
+        options: {
+            full_time: { api: 'completa', web: '1' },
+            part_time: { api: 'parcial-indiferente', web: '6' },
+            part_time_morning: { api: 'parcial-manana', web: '2' },
+            part_time_afternoon: { api: 'parcial-tarde', web: '3' },
+            intensive: { api: 'intensiva-indiferente', web: '9' },
+        },
+    },
+    teleworking: {
+        apiParam: 'teleworking',
+        webParam: 'teleworkingIds',
+        options: {
+            on_site: { api: 'trabajo-solo-presencial', web: '1' },
+            remote: { api: 'solo-teletrabajo', web: '2' },
+            hybrid: { api: 'teletrabajo-hibrido', web: '3' },
+        },
+    },
+    experienceMin: {
+        apiParam: 'experienceMin',
+        webParam: 'experienceMin',
+        options: {
+            none: { api: 'no-requerida', web: '_0_YEARS' },
+            '1y': { api: 'al-menos-1-ano', web: '_1_YEAR' },
+            '2y': { api: 'al-menos-2-anos', web: '_2_YEARS' },
+            '3y': { api: 'al-menos-3-anos', web: '_3_YEARS' },
+            '5y': { api: 'al-menos-5-anos', web: '_5_YEARS' },
+            '10y': { api: 'mas-de-10-anos', web: '_10_YEARS' },
+        },
+    },
+    studyLevel: {
+        apiParam: 'study',
+        webParam: 'educationIds',
+        options: {
+            none: { api: 'sin-estudios', web: '1' },
+            secondary: { api: 'educacion-secundaria-obligatoria', web: '2' },
+            bachillerato: { api: 'bachillerato', web: '3' },
+            vocational_medium: { api: 'ciclo-formativo-grado-medio', web: '4' },
+            vocational_higher: { api: 'ciclo-formativo-grado-superior', web: '5' },
+            degree: { api: 'grado', web: '7' },
+            master: { api: 'master', web: '9' },
+            doctorate: { api: 'doctorado', web: '10' },
+        },
+    },
+    sortBy: {
+        apiParam: 'order',
+        webParam: 'sortBy',
+        options: {
+            relevance: { api: 'relevancia-desc', web: 'RELEVANCE' },
+            date: { api: 'updated-desc', web: 'PUBLICATION_DATE' },
+            salary: { api: 'salary-desc', web: 'SALARY' },
+        },
+    },
+};
+
+const MULTI_VALUE_FILTERS = new Set(['contractType', 'workDay', 'teleworking']);
+
+// Validates the filter inputs and returns { postedWithin, contractType: [], ..., minSalary, city }.
+export function normalizeFilters(input = {}) {
+    const filters = {};
+    for (const [name, table] of Object.entries(FILTER_TABLES)) {
+        const raw = input[name];
+        const values = (Array.isArray(raw) ? raw : [raw])
+            .flatMap((v) => (typeof v === 'string' ? v.split(',') : [v]))
+            .map((v) => (v == null ? '' : String(v).trim()))
+            .filter(Boolean);
+        for (const value of values) {
+            if (!table.options[value]) {
+                const allowed = Object.keys(table.options);
+                const closest = closestOption(value, allowed);
+                const hint = closest ? ` Did you mean "${closest}"?` : '';
+                throw new Error(`Invalid ${name} "${value}".${hint} Allowed values: ${allowed.join(', ')}`);
+            }
+        }
+        if (MULTI_VALUE_FILTERS.has(name)) {
+            filters[name] = [...new Set(values)];
+        } else {
+            filters[name] = values[0] || null;
+        }
+    }
+
+    const minSalary = Number(input.minSalary);
+    filters.minSalary = Number.isFinite(minSalary) && minSalary > 0 ? Math.round(minSalary) : null;
+    filters.city = typeof input.city === 'string' && input.city.trim() ? input.city.trim() : null;
+    return filters;
+}
+
+export function hasFilters(filters) {
+    if (!filters) return false;
+    return Object.values(filters).some((v) => (Array.isArray(v) ? v.length > 0 : v != null && v !== 'any'));
+}
+
+// Query params for GET /api/9/offer. Multi-value filters become repeated params.
+export function toApiParams(filters) {
+    return collectParams(filters, 'api');
+}
+
+// Query params for https://www.infojobs.net/jobsearch/search-results/list.xhtml
+export function toWebParams(filters) {
+    return collectParams(filters, 'web');
+}
+
+// Reads the filters back out of a search form URL's query, e.g. contractTypeIds=1 -> contractType: ['permanent'].
+// Values the tables do not know are ignored. Only the filters present in the query are returned.
+export function fromWebParams(params) {
+    const filters = {};
+    for (const [name, table] of Object.entries(FILTER_TABLES)) {
+        const values = params.getAll(table.webParam).flatMap((v) => v.split(','));
+        const options = Object.keys(table.options).filter((option) => values.includes(table.options[option].web));
+        if (!options.length) continue;
+        filters[name] = MULTI_VALUE_FILTERS.has(name) ? options : options[0];
+    }
+    const minSalary = Number(params.get('salaryMin'));
+    const period = params.get('salaryPeriod');
+    if (Number.isFinite(minSalary) && minSalary > 0 && (!period || period === 'ANNUAL')) {
+        filters.minSalary = Math.round(minSalary);
+    }
+    if (params.get('city')) filters.city = params.get('city');
+    return filters;
+}
+
+function collectParams(filters, side) {
+    const params = new URLSearchParams();
+    if (!filters) return params;
+    for (const [name, table] of Object.entries(FILTER_TABLES)) {
+        const values = [].concat(filters[name] || []).filter((v) => v !== 'any');
+        const paramName = side === 'api' ? table.apiParam : table.webParam;
+        for (const value of values) params.append(paramName, table.options[value][side]);
+    }
+    if (filters.minSalary) {
+        params.append('salaryMin', String(filters.minSalary));
+        params.append('salaryPeriod', side === 'api' ? 'bruto-anual' : 'ANNUAL');
+    }
+    if (filters.city) params.append('city', slugifyCity(filters.city));
+    return params;
+}
+
+// The allowed value a misspelt one is closest to, when it is within a few typos and no other is as close.
+function closestOption(value, allowed) {
+    const needle = fold(value).trim();
+    const [best, second] = allowed
+        .map((option) => ({ option, distance: levenshtein(needle, option) }))
+        .sort((a, b) => a.distance - b.distance);
+    if (best.distance > maxTypos(needle) || second?.distance === best.distance) return null;
+    return best.option;
+}
+
+function slugifyCity(city) {
+    return fold(city)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
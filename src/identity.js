@@ -0,0 +1,95 @@
+// Offer identity - one canonical ID for every InfoJobs offer URL form, and the merge of the records several sources
+// produced for the same offer
+const BASE_URL = 'https://www.infojobs.net';
+
+// /madrid/java/of-i4f2c..., also protocol-relative, mobile and /ofertas-trabajo/... forms
+const OFFER_PATH_RE = /\/of-i([a-z0-9]+)/i;
+// https://api.infojobs.net/api/9/offer/4f2c...
+const API_PATH_RE = /\/api\/\d+\/offer\/([a-z0-9]+)/i;
+// Application and legacy detail links: ...?offerId=4f2c..., detail.xhtml?of_codigo=4f2c...
+const OFFER_ID_PARAMS = ['offerId', 'of_codigo', 'idOffer'];
+const BARE_ID_RE = /^[a-z0-9]{6,}$/i;
+
+// Sources in order of preference: the API's structured fields first, the page-based phases fill what it lacks.
+export const SOURCE_PRIORITY = ['infojobs-api', 'infojobs-browser', 'infojobs-playwright', 'infojobs-html'];
+
+// Fields that only make sense together are taken as a whole from one record.
+const FIELD_GROUPS = [
+    ['salary', 'salary_min', 'salary_max', 'salary_currency', 'salary_period', 'salary_annualized'],
+    ['latitude', 'longitude'],
+    [
+        'description_html',
+        'description_markdown',
+        'description_text',
+        'description_responsibilities',
+        'description_requirements',
+        'description_benefits',
+    ],
+];
+
+// "https://www.infojobs.net/madrid/java/of-i4F2C...?applicationOrigin=..." -> "4f2c...". Null when the URL does not
+// point to an offer.
+export function offerIdFromUrl(url) {
+    let u;
+    try {
+        u = new URL(url, BASE_URL);
+    } catch {
+        return null;
+    }
+    const match = u.pathname.match(OFFER_PATH_RE) || u.pathname.match(API_PATH_RE);
+    if (match) return match[1].toLowerCase();
+    for (const param of OFFER_ID_PARAMS) {
+        const value = u.searchParams.get(param);
+        if (value && BARE_ID_RE.test(value)) return value.toLowerCase();
+    }
+    return null;
+}
+
+// Accepts an offer ID as the API returns it or any offer URL.
+export function canonicalOfferId(value) {
+    if (value == null || value === '') return null;
+    const text = String(value).trim();
+    if (BARE_ID_RE.test(text)) return text.toLowerCase();
+    return offerIdFromUrl(text);
+}
+
+// Dedupe key: the canonical offer ID, or the value itself when it names no offer.
+export function offerKey(value) {
+    return canonicalOfferId(value) || String(value);
+}
+
+// One record out of several for the same offer. Every field comes from the most preferred source that has it
+// filled; `sources` lists every source that contributed, most preferred first.
+export function mergeRecords(...records) {
+    const ranked = records.filter(Boolean).sort((a, b) => sourceRank(a.source) - sourceRank(b.source));
+    const grouped = new Set(FIELD_GROUPS.flat());
+    const merged = {};
+    for (const record of ranked) {
+        for (const [key, value] of Object.entries(record)) {
+            if (!grouped.has(key) && !isFilled(merged[key]) && (isFilled(value) || !(key in merged))) {
+                merged[key] = value;
+            }
+        }
+    }
+    for (const group of FIELD_GROUPS) {
+        const from = ranked.find((record) => group.some((key) => isFilled(record[key]))) || ranked[0];
+        for (const key of group) if (key in from) merged[key] = from[key];
+    }
+
+    const sources = ranked.flatMap((record) => record.sources || [record.source]).filter(Boolean);
+    merged.sources = [...new Set(sources)].sort((a, b) => sourceRank(a) - sourceRank(b));
+    merged.source = ranked[0]?.source;
+    return merged;
+}
+
+function sourceRank(source) {
+    const rank = SOURCE_PRIORITY.indexOf(source);
+    return rank === -1 ? SOURCE_PRIORITY.length : rank;
+}
+
+// A field with a value: not null, not an empty string and not an empty list.
+export function isFilled(value) {
+    if (value == null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
@@ -0,0 +1,168 @@
+// Offer lifecycle - whether an offer is still active, closed, expired or gone, from its API detail or its page, and
+// the offers a recheck run revisits
+import { Actor } from 'apify';
+import { canonicalOfferId, offerIdFromUrl, offerKey } from './identity.js';
+import { foldSpaces } from './text.js';
+
+export const OFFER_STATUSES = ['active', 'closed', 'expired', 'not_found'];
+
+// Offers per status of a recheck run; `unknown` counts the offers whose check failed.
+export function createRecheckCounts() {
+    return Object.fromEntries([...OFFER_STATUSES, 'unknown'].map((status) => [status, 0]));
+}
+
+// Page for offers known by ID only; InfoJobs redirects it to the offer's SEO URL.
+const OFFER_BY_ID_URL = 'https://www.infojobs.net/jobsearch/search-results/detail.xhtml';
+
+// Notices InfoJobs shows instead of the offer (folded: lower case, no accents). Checked in this order.
+const NOTICES = [
+    {
+        status: 'expired',
+        patterns: [
+            /(oferta|vacante) (ha )?(caducado|expirado)/,
+            /oferta (caducada|expirada)/,
+            /plazo de inscripcion (ha )?(finalizado|terminado|vencido|expirado)/,
+        ],
+    },
+    {
+        status: 'closed',
+        patterns: [
+            /(oferta|vacante) (ya )?no (esta |se encuentra )?disponible/,
+            /ya no (esta|se encuentra) disponible/,
+            /(oferta|vacante) (esta )?(cerrada|finalizada)/,
+            /(proceso de seleccion|oferta) (ya )?(ha )?(finalizado|cerrado|terminado)/,
+            /no (admite|acepta) (mas )?(inscripciones|candidaturas)/,
+        ],
+    },
+    {
+        status: 'not_found',
+        patterns: [/(oferta|pagina) (que buscas )?no (existe|encontrada)/, /no hemos encontrado (la|esta) oferta/],
+    },
+];
+
+// Where a notice is shown; the whole body only counts on pages without offer content, as descriptions can use the
+// same words.
+const NOTICE_SELECTORS = 'title, h1, h2, h3, [role="alert"], [class*="Alert"], [class*="alert"], [class*="Notice"]';
+const OFFER_CONTENT_SELECTORS = '#jobDescription, .ij-Offer-description, [data-test="job-title"]';
+
+// API detail fields that mark an offer as no longer open.
+const API_CLOSED_FLAGS = ['archived', 'blocked', 'deleted', 'closed'];
+
+// Paths of the listings and searches InfoJobs sends the requests of removed offers to.
+const LISTING_PATH_RE = /^\/(ofertas-trabajo\b|jobsearch\/search-results\/list)/;
+
+// { status, reason } of a detail response that shows a notice instead of the offer: "oferta no disponible" and
+// similar texts, 404/410 responses, or a redirect from the offer to a listing. Null when the page is not such a
+// notice. Blocks have to be ruled out first: challenge pages can use the same words.
+export function readOfferNotice($, { statusCode, url, loadedUrl } = {}) {
+    if ($) {
+        const headline = foldSpaces($(NOTICE_SELECTORS).text());
+        const hasOffer = $(OFFER_CONTENT_SELECTORS).length > 0 || /"JobPosting"/.test($.html() || '');
+        const text = hasOffer ? headline : `${headline} ${foldSpaces($('body').text())}`;
+        for (const { status, patterns } of NOTICES) {
+            const match = patterns.map((re) => text.match(re)).find(Boolean);
+            if (match) return { status, reason: `page says "${match[0]}"` };
+        }
+    }
+    if (statusCode === 404) return { status: 'not_found', reason: 'status 404' };
+    if (statusCode === 410) return { status: 'closed', reason: 'status 410' };
+
+    if (offerRedirect({ url, loadedUrl }) === 'listing') {
+        return { status: 'closed', reason: `redirected to ${new URL(loadedUrl).pathname}` };
+    }
+    return null;
+}
+
+// Where a detail request ended up when it was redirected away from its offer: 'listing' for a listing or search page
+// of the same site (the offer is gone), 'elsewhere' for any other page (a login or challenge page, which is a
+// block). Null when the request stayed on its offer.
+export function offerRedirect({ url, loadedUrl }) {
+    const id = offerIdFromUrl(url);
+    if (!id || !loadedUrl || offerIdFromUrl(loadedUrl) === id) return null;
+    let from;
+    let to;
+    try {
+        [from, to] = [new URL(url), new URL(loadedUrl)];
+    } catch {
+        return null;
+    }
+    return from.host === to.host && LISTING_PATH_RE.test(to.pathname) ? 'listing' : 'elsewhere';
+}
+
+// { status, reason } of an offer the API returned.
+export function offerStatusFromApi(detail, { now = new Date() } = {}) {
+    const expiresAt = detail.expirationDate ?? detail.validThrough;
+    if (detail.expired === true) return { status: 'expired', reason: 'API expired flag' };
+    if (isPast(expiresAt, now)) return { status: 'expired', reason: `expired on ${expiresAt}` };
+    if (detail.active === false) return { status: 'closed', reason: 'API active=false' };
+    const flag = API_CLOSED_FLAGS.find((key) => detail[key] === true);
+    if (flag) return { status: 'closed', reason: `API ${flag} flag` };
+    return { status: 'active', reason: null };
+}
+
+// { status, reason } of an offer page that shows the offer: expired once its validThrough date has passed.
+export function offerStatusFromRecord(job, { now = new Date() } = {}) {
+    if (isPast(job.valid_through, now)) return { status: 'expired', reason: `valid through ${job.valid_through}` };
+    return { status: 'active', reason: null };
+}
+
+// Offers to recheck, from the recheckOffers input (IDs or URLs) and the items of a dataset from an earlier run,
+// once each. Returns { key, id, url, title, company } entries.
+export async function readRecheckTargets(cfg) {
+    const targets = new Map();
+    const add = (value, previous = {}) => {
+        const url = typeof value === 'string' && /^https?:\/\//i.test(value.trim()) ? value.trim() : null;
+        const id = canonicalOfferId(previous.id) || canonicalOfferId(value);
+        if (!id && !url) return;
+        const key = offerKey(id || url);
+        if (targets.has(key)) return;
+        targets.set(key, {
+            key,
+            id,
+            url: url || (typeof previous.url === 'string' ? previous.url : null),
+            title: previous.title || null,
+            company: previous.company || null,
+        });
+    };
+
+    for (const value of cfg.recheckOffers) {
+        if (value && typeof value === 'object') add(value.url || value.id, value);
+        else add(value);
+    }
+    if (cfg.recheckDatasetId) {
+        const dataset = await Actor.openDataset(cfg.recheckDatasetId);
+        await dataset.forEach((item) => add(item.url || item.id, item));
+    }
+    return [...targets.values()];
+}
+
+// The page of a recheck target: its URL, or the detail page of its ID.
+export function recheckPageUrl(target) {
+    if (target.url) return target.url;
+    const url = new URL(OFFER_BY_ID_URL);
+    url.searchParams.set('of_codigo', target.id);
+    return url.href;
+}
+
+// Output record of a rechecked offer. `job` is the offer as found now, when it was.
+export function buildRecheckRecord(target, { status, reason = null, via = null, job = null, checkedAt = new Date() }) {
+    return {
+        id: job?.id || target.id || target.url,
+        url: job?.url || target.url || null,
+        status,
+        status_reason: reason,
+        title: job?.title || target.title || null,
+        company: job?.company || target.company || null,
+        applications: job?.applications ?? null,
+        date_updated: job?.date_updated ?? null,
+        valid_through: job?.valid_through ?? null,
+        checked_via: via,
+        checked_at: checkedAt.toISOString(),
+    };
+}
+
+function isPast(value, now) {
+    if (!value) return false;
+    const time = Date.parse(value);
+    return !Number.isNaN(time) && time < now.getTime();
+}
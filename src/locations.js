@@ -0,0 +1,262 @@
+// Locations - canonical city, province, autonomous community and coordinates from the bundled INE municipality
+// table (coordinates and population from GeoNames), the country of places abroad, the remote/hybrid/on_site work mode
+// of an offer, and the radius filter
+import { readJson, resolveDictionaryValues } from './dictionaries.js';
+import { foldWords } from './text.js';
+
+// Provinces with their [south, west, north, east] bounds, for radius searches around them.
+const PROVINCES = readJson('./data/provinces.json');
+const COMMUNITIES = readJson('./data/communities.json');
+// Municipalities by INE code, the most populous first so that a name shared by several without a province picks the
+// largest; the first two digits of the code are the province code, which is also the bundled province ID.
+const MUNICIPALITIES = readJson('./data/municipalities.json')
+    .map((m) => ({ ...m, province: String(Number(m.code.slice(0, 2))) }))
+    .sort((a, b) => b.population - a.population);
+// Municipalities by folded name and alias
+const MUNICIPALITY_NAMES = new Map();
+for (const m of MUNICIPALITIES) {
+    for (const name of new Set([m.name, ...m.aliases].map(foldWords))) {
+        if (!MUNICIPALITY_NAMES.has(name)) MUNICIPALITY_NAMES.set(name, []);
+        MUNICIPALITY_NAMES.get(name).push(m);
+    }
+}
+// Countries other than Spain by their Spanish name, with English names and common aliases.
+const COUNTRIES = readJson('./data/countries.json');
+
+const COUNTRY = 'España';
+const SPAIN_NAMES = new Set(['espana', 'spain', 'es', 'esp', 'reino de espana']);
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 30;
+
+// "Sin teletrabajo", "Teletrabajo no disponible": a mention of teleworking that rules it out.
+const NO_REMOTE = [
+    /\b(sin|no (hay|se ofrece|ofrece|ofrecemos|permite|se permite|admite|es posible)) (el )?(teletrabajo|remoto)\b/,
+    /\b(teletrabajo|remoto) no (disponible|posible|permitido)\b/,
+];
+// Work mode cues (folded, see foldWords()), checked in this order: "teletrabajo parcial", "semipresencial" and
+// "presencial y teletrabajo" are hybrid.
+const WORK_MODES = [
+    { mode: 'on_site', patterns: NO_REMOTE },
+    {
+        mode: 'hybrid',
+        patterns: [
+            /h[iy]brid/,
+            /teletrabajo parcial/,
+            /semipresencial/,
+            /\bmixt[oa]\b/,
+            /\bpresencial\b.*\b(teletrabajo|remot[oa])\b/,
+            /\b(teletrabajo|remot[oa])\b.*\bpresencial\b/,
+        ],
+    },
+    { mode: 'remote', patterns: [/teletrabajo/, /\bremot[oa]\b/, /\bremote\b/, /telecommute/, /desde casa/] },
+    { mode: 'on_site', patterns: [/presencial/, /\bon ?site\b/] },
+];
+// Description wording explicit enough to tell the work mode; a passing mention of teleworking is not.
+const DESCRIPTION_MODES = [
+    { mode: 'hybrid', patterns: [/\b(modalidad|modelo|trabajo|formato|jornada) hibrid[oa]/] },
+    {
+        mode: 'remote',
+        patterns: [/100 ?% (en )?(remoto|teletrabajo)/, /\b(teletrabajo|remoto) (al )?100 ?%/, /teletrabajo total/],
+    },
+    { mode: 'on_site', patterns: [...NO_REMOTE, /100 ?% presencial/, /\b(modalidad|trabajo|puesto) presencial/] },
+];
+
+// Accepts the location fields of a record as its source gave them: a location text ("Getafe, Madrid"), city,
+// province, country, postal_code and coordinates. Returns those fields canonical, plus autonomous_community. Cities
+// outside the table keep their name; source coordinates win over the table's.
+export function normalizeLocation(job) {
+    const postalCode = readPostalCode(job.postal_code) || readPostalCode(job.location);
+    const parts = [job.city, ...String(job.location || '').split(/[,()]/)]
+        .map((part) => (typeof part === 'string' ? part.replace(/\b\d{5}\b/, '').trim() : ''))
+        .filter((part) => part && !isWorkModeText(part));
+
+    const countryText = typeof job.country === 'string' ? job.country.trim() : '';
+    // Past the first part, a country name is the country: "Lisboa, Portugal". Places abroad are not looked up in the
+    // Spanish tables, where "Córdoba, Argentina" would be the province.
+    const country = SPAIN_NAMES.has(foldWords(countryText))
+        ? null
+        : findCountry(countryText) || parts.slice(1).map(findCountry).find(Boolean);
+    if (country) return foreignLocation(job, parts, country);
+
+    let province = findProvince(job.province) || provinceOfPostalCode(postalCode);
+    // Past the first part, a province name is the province: "Paiporta, Valencia".
+    const municipality = parts
+        .filter((part, i) => i === 0 || !findProvince(part))
+        .map((part) => findMunicipality(part, province))
+        .find(Boolean);
+    if (municipality) province = PROVINCES.find((p) => p.id === municipality.province);
+    province ||= parts.map(findProvince).find(Boolean);
+
+    const spanish = Boolean(province) || SPAIN_NAMES.has(foldWords(countryText));
+    const city =
+        municipality?.name ||
+        parts.find((part) => !findProvince(part) && !SPAIN_NAMES.has(foldWords(part)) && part !== countryText);
+    const coordinates =
+        readCoordinates(job) || (municipality ? { latitude: municipality.lat, longitude: municipality.lon } : null);
+    const label = [...new Set([city, province?.name].filter(Boolean))].join(', ');
+
+    return {
+        // A location that only names the work mode ("Solo teletrabajo") is no place.
+        location: label || (parts.length && typeof job.location === 'string' && job.location.trim()) || null,
+        city: city || null,
+        province: province?.name || null,
+        autonomous_community: province ? communityOf(province.id)?.name || null : null,
+        country: spanish ? COUNTRY : countryText || null,
+        postal_code: postalCode,
+        latitude: coordinates?.latitude ?? null,
+        longitude: coordinates?.longitude ?? null,
+    };
+}
+
+// A place abroad: the city is the first part that does not name the country, and coordinates only come from the source.
+function foreignLocation(job, parts, country) {
+    const city = parts.find((part) => findCountry(part) !== country) || null;
+    const coordinates = readCoordinates(job);
+    return {
+        location: [city, country.name].filter(Boolean).join(', '),
+        city,
+        province: null,
+        autonomous_community: null,
+        country: country.name,
+        postal_code: null,
+        latitude: coordinates?.latitude ?? null,
+        longitude: coordinates?.longitude ?? null,
+    };
+}
+
+// 'remote', 'hybrid' or 'on_site' from the source's teleworking value, else cues in the location, the title and the
+// description. Null when none tells.
+export function normalizeWorkMode({ remote, location, title, description } = {}) {
+    for (const text of [remote, location, title]) {
+        const mode = matchMode(WORK_MODES, text);
+        if (mode) return mode;
+    }
+    return matchMode(DESCRIPTION_MODES, description);
+}
+
+// The radius filter: { center, latitude, longitude, km, provinces, provinceKeys } for nearLocation (a municipality of
+// the table or "lat,lon") and radiusKm, or null when nearLocation is not set. `provinces` holds the INE codes of the
+// provinces whose bounds reach within the radius, `provinceKeys` their dictionary keys, so searches can be narrowed to
+// them: the keys stay the same when the API refreshes the dictionary IDs, the INE codes do not.
+export function resolveRadius({ nearLocation, radiusKm } = {}) {
+    const near = typeof nearLocation === 'string' ? nearLocation.trim() : '';
+    if (!near) return null;
+    const km = radiusKm == null || radiusKm === '' ? DEFAULT_RADIUS_KM : Number(radiusKm);
+    if (!Number.isFinite(km) || km <= 0) {
+        throw new Error(`Invalid radiusKm "${radiusKm}". Expected kilometres above 0.`);
+    }
+
+    const point = near.match(/^(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$/);
+    let center;
+    if (point) {
+        center = { name: near, latitude: Number(point[1]), longitude: Number(point[2]) };
+    } else {
+        const [entry] = resolveDictionaryValues(municipalityDictionary(), 'nearLocation', near);
+        const municipality = MUNICIPALITIES.find((m) => m.code === entry.id);
+        center = { name: municipality.name, latitude: municipality.lat, longitude: municipality.lon };
+    }
+
+    const inReach = PROVINCES.filter((p) => distanceKm(center, nearestInBounds(center, p.bounds)) <= km);
+    return {
+        center: center.name,
+        latitude: center.latitude,
+        longitude: center.longitude,
+        km,
+        provinces: inReach.map((p) => p.id),
+        provinceKeys: inReach.map((p) => p.key),
+    };
+}
+
+// Offers are placed by their coordinates, else by their province: towns missing from the table are within the radius
+// when their province reaches it. Offers abroad without coordinates are outside; offers with no place are kept.
+export function isWithinRadius(record, radius) {
+    if (!radius) return true;
+    const coordinates = readCoordinates(record);
+    if (coordinates) return distanceKm(radius, coordinates) <= radius.km;
+    if (record.country && record.country !== COUNTRY) return false;
+    const province = findProvince(record.province);
+    return province ? radius.provinces.includes(province.id) : true;
+}
+
+// Great-circle distance between two { latitude, longitude } points.
+export function distanceKm(a, b) {
+    const rad = (deg) => (deg * Math.PI) / 180;
+    const dLat = rad(b.latitude - a.latitude);
+    const dLon = rad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// The point of [south, west, north, east] bounds closest to a { latitude, longitude } point.
+function nearestInBounds({ latitude, longitude }, [south, west, north, east]) {
+    return {
+        latitude: Math.min(Math.max(latitude, south), north),
+        longitude: Math.min(Math.max(longitude, west), east),
+    };
+}
+
+function findMunicipality(text, province) {
+    const needle = foldWords(text);
+    if (!needle) return null;
+    const matches = MUNICIPALITY_NAMES.get(needle) || [];
+    return matches.find((m) => !province || m.province === province.id) || null;
+}
+
+function findCountry(text) {
+    const needle = foldWords(text);
+    if (!needle) return null;
+    return COUNTRIES.find((c) => [c.name, ...c.aliases].some((name) => foldWords(name) === needle)) || null;
+}
+
+function findProvince(value) {
+    const needle = foldWords(typeof value === 'object' && value ? value.value || value.name : value);
+    if (!needle) return null;
+    return (
+        PROVINCES.find((p) => [p.name, p.key.replace(/-/g, ' '), ...p.aliases].some((n) => foldWords(n) === needle)) ||
+        null
+    );
+}
+
+function communityOf(provinceId) {
+    return COMMUNITIES.find((c) => c.provinces.includes(provinceId));
+}
+
+function readPostalCode(value) {
+    const match = String(value ?? '').match(/\b(\d{5})\b/);
+    return match && provinceOfPostalCode(match[1]) ? match[1] : null;
+}
+
+// Spanish postal codes start with the province code: 28020 is in Madrid (28).
+function provinceOfPostalCode(postalCode) {
+    if (!postalCode) return null;
+    return PROVINCES.find((p) => p.id === String(Number(postalCode.slice(0, 2)))) || null;
+}
+
+function readCoordinates({ latitude, longitude }) {
+    const lat = Number(latitude);
+    const lon = Number(longitude);
+    if (latitude == null || longitude == null || latitude === '' || longitude === '') return null;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    if (lat === 0 && lon === 0) return null;
+    return { latitude: lat, longitude: lon };
+}
+
+function isWorkModeText(text) {
+    return Boolean(matchMode(WORK_MODES, text));
+}
+
+function matchMode(table, text) {
+    const folded = foldWords(text);
+    if (!folded) return null;
+    return table.find(({ patterns }) => patterns.some((re) => re.test(folded)))?.mode || null;
+}
+
+// Municipalities as a dictionary for resolveDictionaryValues, which matches aliases and small typos.
+function municipalityDictionary() {
+    return MUNICIPALITIES.map((m) => ({
+        id: m.code,
+        name: m.name,
+        key: foldWords(m.name).replace(/ /g, '-'),
+        aliases: m.aliases,
+    }));
+}
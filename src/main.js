@@ -1,11 +1,113 @@
 // InfoJobs Scraper - JSON API first, HTML fallback (HTTP only)
+import { pathToFileURL } from 'node:url';
 import { Actor, log } from 'apify';
-import { CheerioCrawler, PlaywrightCrawler } from 'crawlee';
-import { gotScraping } from 'got-scraping';
+import { AutoscaledPool, CheerioCrawler, PlaywrightCrawler } from 'crawlee';
 import { load as cheerioLoad } from 'cheerio';
+import { openMonitor, trackChanges, finalizeMonitor } from './monitor.js';
+import { normalizeSalary } from './salary.js';
+import {
+    openCompanyCollector,
+    registerCompany,
+    companyIdentity,
+    companyFromApiProfile,
+    collectCompanyProfiles,
+} from './companies.js';
+import { restoreCheckpoint, persistCheckpointOnEvents, clearCheckpoint } from './checkpoint.js';
+import { normalizeFilters, hasFilters, toApiParams, toWebParams, fromWebParams } from './filters.js';
+import { loadDictionaries, refreshDictionaries, resolveDictionaryValues } from './dictionaries.js';
+import { buildSearchInputs, createBatch, bufferRecord, tagDuplicate, flushBatch, saveSearchSummary } from './batch.js';
+import {
+    createRunReport,
+    startPhase,
+    endPhase,
+    countPage,
+    countBlock,
+    countParseFailure,
+    countDuplicate,
+    countRecord,
+    countAvailable,
+    countUnavailable,
+    countBeforeCutoff,
+    countOutsideRadius,
+    saveRunReport,
+    PHASE_SOURCES,
+} from './report.js';
+import { createNotifier, notifyRecord, flushNotifications } from './notifications.js';
+import { getApiCreds, createApiClient, getToken, fetchApiPage, fetchApiDetail, logApiUsage } from './api.js';
+import { createSkillMatcher, extractSkills, normalizeSkillEntries } from './skills.js';
+import { normalizeOutputOptions, selectFields, writeOutputs } from './outputs.js';
+import {
+    BLOCKED_STATUS_CODES,
+    classifyResponse,
+    isDefiniteBlock,
+    createBlockTracker,
+    recordResponse,
+    blockRateExceeded,
+    blockRate,
+} from './blocking.js';
+import { extractPageState, findStateOffers, isOfferUrl } from './pagestate.js';
+import { collectStartUrls, classifyStartUrl, groupStartUrls, parseSearchUrl } from './starturls.js';
+import { canonicalOfferId, offerIdFromUrl, offerKey, mergeRecords } from './identity.js';
+import { processDescription } from './description.js';
+import { foldSpaces } from './text.js';
+import { normalizeDate, resolveDateCutoff, isBeforeCutoff, postedWithinForCutoff, isDateText } from './dates.js';
+import { normalizeLocation, normalizeWorkMode, resolveRadius, isWithinRadius } from './locations.js';
+import {
+    createRecheckCounts,
+    readOfferNotice,
+    offerRedirect,
+    offerStatusFromApi,
+    offerStatusFromRecord,
+    readRecheckTargets,
+    recheckPageUrl,
+    buildRecheckRecord,
+} from './lifecycle.js';
+import {
+    MAX_REACHABLE_PAGES,
+    createPagination,
+    readResultCount,
+    readLastPage,
+    planListing,
+    splitListing,
+    endListing,
+    listingKey,
+    pageUrl,
+} from './pagination.js';
+
+const API_DETAIL_RETRIES = 2;
+
+// Stop reasons of a phase that went through every offer of its search, as opposed to one cut short by a limit, an
+// abort or an error.
+const COVERING_STOP_REASONS = [
+    /^all discovered offers processed$/,
+    /^last page reached$/,
+    /^cutoff date reached$/,
+    /^page \d+ returned no items$/,
+];
+
+// Detail page labels (accent-folded, lower case) for the offer fields the API returns as structured data.
+const OFFER_FACT_LABELS = {
+    experience_min: ['experiencia minima'],
+    study_level: ['estudios minimos'],
+    requirements_min: ['requisitos minimos'],
+    requirements_desired: ['requisitos deseados'],
+    skills: ['conocimientos necesarios', 'conocimientos', 'aptitudes'],
+    contract_type: ['tipo de contrato', 'contrato'],
+    work_day: ['jornada laboral', 'jornada'],
+    category: ['categoria'],
+    subcategory: ['subcategoria'],
+    job_level: ['nivel'],
+    staff_in_charge: ['personal a cargo'],
+    vacancies: ['vacantes', 'puestos vacantes'],
+    company_sector: ['tipo de industria de la oferta', 'sector', 'industria'],
+    teleworking: ['teletrabajo', 'modalidad de trabajo', 'modalidad'],
+};
 
-const API_BASE = 'https://api.infojobs.net/api/9';
-const TOKEN_URL = 'https://www.infojobs.net/oauth/authorize';
+const SEARCH_RESULTS_URL = 'https://www.infojobs.net/jobsearch/search-results/list.xhtml';
+// Offer cards of a list page, outermost first
+const LIST_CARD_SELECTORS = '.ij-List-item, [class*="OfferCard"]:not([class*="OfferCard"] *), article';
+// Publication date element of an offer card
+const LIST_DATE_SELECTORS = '[data-test="job-published"], [class*="published"], [class*="Published"]';
 
 const DEFAULT_HEADERS = {
     'user-agent':
@@ -16,314 +118,869 @@ const DEFAULT_HEADERS = {
     'upgrade-insecure-requests': '1',
 };
 
-const BLOCK_MARKERS = [
-    'captcha',
-    'distil',
-    'geetest',
-    'hemos detectado un uso inusual',
-    'javascript is enabled',
-    'are you human',
-    'eres humano o un robot',
-];
+// Blocked status codes reach the request handlers, which classify the response themselves (see blocking.js).
+const BLOCK_HANDLING_OPTIONS = {
+    sessionPoolOptions: { blockedStatusCodes: [] },
+};
+const HTTP_BLOCK_HANDLING_OPTIONS = {
+    ...BLOCK_HANDLING_OPTIONS,
+    ignoreHttpErrorStatusCodes: BLOCKED_STATUS_CODES,
+};
 
-await Actor.main(async () => {
+const BROWSER_LAUNCH_CONTEXT = {
+    launchOptions: {
+        headless: true,
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-blink-features=AutomationControlled',
+            '--disable-features=IsolateOrigins,site-per-process',
+            '--lang=es-ES',
+            '--window-size=1920,1080',
+        ],
+    },
+};
+
+// The actor only runs when this file is the entry point, so tests can import the helpers.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) await Actor.main(main);
+
+async function main() {
     const input = (await Actor.getInput()) || {};
     const cfg = normalizeInput(input);
+    const searches = buildSearchInputs(input).map((search) => ({ ...search, cfg: normalizeInput(search.input) }));
 
     log.info(
-        `Booting InfoJobs actor | target=${cfg.maxItems} maxPages=${cfg.maxPages} pageSize=${cfg.pageSize}`,
+        `Booting InfoJobs actor | target=${cfg.maxItems} maxPages=${cfg.maxPages} pageSize=${cfg.pageSize} ` +
+            `searches=${searches.length}`,
     );
 
     const proxyConfiguration = await Actor.createProxyConfiguration(
         cfg.proxyConfiguration || { useApifyProxy: true, apifyProxyGroups: ['RESIDENTIAL'] },
     );
 
-    const state = {
+    const apiCreds = getApiCreds(cfg);
+    const apiClient = apiCreds
+        ? createApiClient({
+              creds: apiCreds,
+              proxyConfiguration,
+              requestsPerSecond: cfg.apiRequestsPerSecond,
+              maxRetries: cfg.apiMaxRetries,
+          })
+        : null;
+    const apiReady = apiClient
+        ? await getToken(apiClient)
+              .then(() => true)
+              .catch((err) => {
+                  log.warning(`API token fetch failed (${err.message}). Will continue with HTML.`);
+                  return false;
+              })
+        : false;
+
+    const dictionaries = loadDictionaries();
+    if (apiReady) await refreshDictionaries(dictionaries, apiClient);
+    for (const search of searches) resolveSearchTerms(search.cfg, dictionaries);
+
+    const state = await createState(cfg, input);
+
+    await restoreCheckpoint(state);
+    persistCheckpointOnEvents(state);
+
+    if (cfg.recheck) {
+        const client = apiReady ? apiClient : null;
+        await runPhase('recheck', state, () => runRecheck(cfg, state, { apiClient: client, proxyConfiguration }));
+        state.savedTotal += state.saved;
+        state.saved = 0;
+        state.searchIndex = searches.length;
+        // Only the rechecked offers were looked at, so the others are not known to be gone.
+        state.uncovered = true;
+    }
+
+    while (state.searchIndex < searches.length) {
+        const search = searches[state.searchIndex];
+        state.search = search;
+        if (state.batch) log.info(`Search ${state.searchIndex + 1}/${searches.length} [${search.id}]: ${search.query}`);
+
+        await runSearch(search.cfg, state, { apiClient: apiReady ? apiClient : null, proxyConfiguration });
+
+        state.savedTotal += state.saved;
+        if (state.saved >= search.cfg.maxItems) state.limitReached = true;
+        if (!state.covered) state.uncovered = true;
+        state.covered = false;
+        state.saved = 0;
+        state.searchIndex += 1;
+        state.phasesDone = new Set();
+        state.apiPage = 1;
+        state.browserDetailUrls = new Set();
+        state.htmlDetailUrls = new Set();
+        state.escalateUrls = new Set();
+        state.partials = new Map();
+        state.pagination = createPagination();
+    }
+
+    await flushBatch(state.batch, (record) => emitRecord(record, state));
+    await saveSearchSummary(state.batch, searches);
+
+    logApiUsage(apiClient);
+    await flushNotifications(state.notifier);
+
+    await collectCompanyProfiles(state.companies, cfg, proxyConfiguration, DEFAULT_HEADERS);
+
+    await finalizeMonitor(state.monitor, {
+        complete: !state.limitReached && !state.truncated && !state.uncovered,
+        emit: (record) => pushRecord(record, state),
+    });
+
+    const exports = await writeOutputs(cfg.output, { companiesDataset: state.companies?.dataset });
+
+    await saveRunReport(state.report, {
+        searches: searches.length,
+        saved: state.savedTotal,
+        blocked: state.blocked,
+        companies: state.companies?.pushed ?? null,
+        monitor: state.monitor?.counts ?? null,
+        recheck: state.recheck,
+        notifications: state.notifier ? { sent: state.notifier.sent, failed: state.notifier.failed } : null,
+        api: apiClient?.stats ?? null,
+        exports,
+    });
+
+    await clearCheckpoint();
+
+    log.info(`Finished. Saved=${state.savedTotal}, blocked=${state.blocked}`);
+}
+
+// Run state shared by every phase; checkpoint.js lists what survives a restart.
+export async function createState(cfg, input = {}) {
+    return {
         saved: 0,
+        savedTotal: 0,
         blocked: 0,
+        // Canonical offer IDs (identity.js) of every offer found, whatever URL form or source it came from
         seenIds: new Set(),
-        seenUrls: new Set(),
+        truncated: false,
+        limitReached: false,
+        // Requests given up on for good, whose offers may be missing from the run
+        lost: 0,
+        // Whether a phase of the running search went through all its offers without losing a request (see runPhase),
+        // and whether any search ended without one. Monitoring only reports removed offers after complete searches.
+        covered: false,
+        uncovered: false,
+        // Resumable progress, see checkpoint.js. Everything from searchIndex down is per search.
+        processed: new Set(),
+        searchIndex: 0,
+        phasesDone: new Set(),
+        apiPage: 1,
+        browserDetailUrls: new Set(),
+        htmlDetailUrls: new Set(),
+        // URLs that kept failing over HTTP, retried in the browser
+        escalateUrls: new Set(),
+        // API offers whose detail failed, held back until a website phase fills their gaps
+        partials: new Map(),
+        sessionCookies: [],
+        userAgent: DEFAULT_HEADERS['user-agent'],
+        search: null,
+        phase: null,
+        blocking: createBlockTracker(),
+        abortReason: null,
+        pagination: createPagination(),
+        // Earliest publication date of the running search's offers (postedAfter/maxAgeDays), or null
+        cutoff: cfg.cutoff,
+        // nearLocation/radiusKm of the running search, or null
+        radius: cfg.radius,
+        report: createRunReport(),
+        batch: Array.isArray(input.searches) && input.searches.length ? createBatch() : null,
+        monitor: await openMonitor(cfg),
+        companies: await openCompanyCollector(cfg),
+        notifier: createNotifier(cfg),
+        skills: cfg.skillExtraction ? createSkillMatcher(cfg.extraSkills) : null,
+        // Offers per status in recheck runs
+        recheck: cfg.recheck ? createRecheckCounts() : null,
+        output: cfg.output,
     };
+}
 
-    const apiCreds = getApiCreds();
-    if (apiCreds) {
-        const apiToken = await tryGetToken(apiCreds).catch((err) => {
-            log.warning(`API token fetch failed (${err.message}). Will continue with HTML.`);
-            return null;
-        });
-        if (apiToken) {
-            await runApiHarvest(apiToken, cfg, state, proxyConfiguration);
+async function runSearch(cfg, state, { apiClient, proxyConfiguration }) {
+    state.cutoff = cfg.cutoff;
+    state.radius = cfg.radius;
+    if (cfg.browserOnly) {
+        if (!state.phasesDone.has('browser')) {
+            await runPhase('browser', state, () => runBrowserHarvest(cfg, state, proxyConfiguration));
         }
-    } else {
-        log.info('No API credentials provided (INFOJOBS_CLIENT_ID/SECRET). Skipping API mode.');
+        return;
     }
 
-    if (state.saved < cfg.maxItems) {
+    if (state.phasesDone.has('api')) {
+        log.info('API phase already completed before the restart. Skipping.');
+    } else if (apiClient) {
+        await runPhase('api', state, () => runApiHarvest(apiClient, cfg, state));
+    } else if (!getApiCreds(cfg)) {
+        log.info('No API credentials provided (input or INFOJOBS_CLIENT_ID/SECRET). Skipping API mode.');
+    }
+
+    if ((state.saved < cfg.maxItems || state.partials.size) && !state.phasesDone.has('playwright')) {
         // Try Playwright list extraction to bypass block pages, then fetch details via HTTP.
-        await runPlaywrightListAndDetails(cfg, state, proxyConfiguration);
+        await runPhase('playwright', state, () => runPlaywrightListAndDetails(cfg, state, proxyConfiguration));
     }
 
-    if (state.saved < cfg.maxItems) {
+    if ((state.saved < cfg.maxItems || state.partials.size) && !state.phasesDone.has('html')) {
         // As a final fallback, still attempt pure HTML HTTP if Playwright gathered no URLs.
-        await runHtmlHarvest(cfg, state, proxyConfiguration);
+        await runPhase('html', state, () => runHtmlHarvest(cfg, state, proxyConfiguration));
+    }
+    await flushPartials(state);
+}
+
+// Runs one harvest phase; the harvest function returns the reason it stopped, which goes to the run report.
+async function runPhase(phase, state, harvest) {
+    state.phase = phase;
+    state.blocking = createBlockTracker();
+    state.abortReason = null;
+    // A phase resumed after a restart goes on with the list pages its checkpoint had planned.
+    if (state.pagination.phase !== phase) state.pagination = createPagination(phase);
+    startPhase(state.report, phase);
+    const lost = state.lost;
+    let reason;
+    try {
+        reason = await harvest();
+    } catch (err) {
+        log.warning(`${phase} phase failed: ${err.message}`);
+        reason = `error: ${err.message}`;
+    }
+    if (state.lost === lost && COVERING_STOP_REASONS.some((re) => re.test(reason))) state.covered = true;
+    endPhase(state.report, phase, reason || 'finished');
+    state.phasesDone.add(phase);
+}
+
+// The reason a crawler-based phase ended, in the order that best explains it.
+function crawlStopReason(cfg, state) {
+    if (state.abortReason) return state.abortReason;
+    if (state.saved >= cfg.maxItems) return 'results_wanted reached';
+    if (state.truncated) return 'max_pages reached';
+    return 'all discovered offers processed';
+}
+
+function noteBlock(state, url, reason) {
+    state.blocked += 1;
+    countBlock(state.report, state.phase, url, reason);
+}
+
+// Throws when the response is a block, so crawlee retries the request with a new session. The blocked session is
+// retired, which also drops its proxy IP. A block rate above maxBlockRate stops the running crawler.
+function assertNotBlocked(cfg, state, { request, session, crawler, statusCode, html, $, kind }) {
+    const reason =
+        classifyResponse({ statusCode, html, $, kind }) || (kind === 'detail' ? redirectBlock(request) : null);
+    recordResponse(state.blocking, Boolean(reason));
+    if (!reason) return;
+
+    noteBlock(state, request.url, reason);
+    session?.retire();
+    if (!state.abortReason && blockRateExceeded(state.blocking, cfg.maxBlockRate)) {
+        state.abortReason = `block rate ${blockRate(state.blocking)}% above ${cfg.maxBlockRate}%`;
+        log.warning(`[${state.phase}] Stopping: ${state.abortReason}.`);
+        crawler.autoscaledPool?.abort();
+    }
+    throw new Error(`Blocked: ${reason}`);
+}
+
+// Requests still failing after their retries are handed to the browser at the end of the phase.
+function escalateFailedRequest(cfg, state, { request }, error) {
+    log.debug(`Giving up on ${request.url} over HTTP: ${error.message}`);
+    if (cfg.escalateToBrowser && !state.abortReason) state.escalateUrls.add(request.url);
+    else state.lost += 1;
+}
+
+function noteParseFailure(state, url, reason) {
+    countParseFailure(state.report, state.phase, url, reason);
+}
+
+// A detail request sent from its offer to a page that is no listing (a login or challenge page) is blocked.
+function redirectBlock(request) {
+    if (offerRedirect({ url: request.url, loadedUrl: request.loadedUrl }) !== 'elsewhere') return null;
+    return `redirected to ${new URL(request.loadedUrl).pathname}`;
+}
+
+// Closed, expired and removed offers answer with a notice instead of the offer. Such pages are neither blocks nor
+// parse failures; they are counted apart and skipped. Returns true for them.
+function skipUnavailableOffer(state, { request, statusCode, html, $ }) {
+    const notice = readDetailNotice({ request, statusCode, html, $ });
+    if (!notice) return false;
+    log.debug(`[${state.phase}] Offer ${notice.status} (${notice.reason}): ${request.url}`);
+    countUnavailable(state.report, state.phase, request.url, notice.status);
+    return true;
+}
+
+// The notice of a detail response, once blocks are ruled out: a challenge page is never taken for a closed offer,
+// and is left to assertNotBlocked.
+function readDetailNotice({ request, statusCode, html, $ }) {
+    if (isDefiniteBlock(classifyResponse({ statusCode, html, $, kind: 'detail' }))) return null;
+    return readOfferNotice($, { statusCode, url: request.url, loadedUrl: request.loadedUrl });
+}
+
+// Dedupe skip: the offer is tagged with the current search (batch runs) and counted in the report.
+function skipDuplicate(state, ...keys) {
+    tagDuplicate(state.batch, state.search, ...keys.filter((key) => key != null).map(offerKey));
+    countDuplicate(state.report, state.phase);
+}
+
+// Offers published before the postedAfter/maxAgeDays cutoff are counted in the report and never saved or fetched again.
+function skipBeforeCutoff(state, ...keys) {
+    for (const key of keys) if (key != null) state.processed.add(offerKey(key));
+    countBeforeCutoff(state.report, state.phase);
+    return false;
+}
+
+// Offers farther than radiusKm from nearLocation, or in a province out of reach, are left out the same way.
+function skipOutsideRadius(state, ...keys) {
+    for (const key of keys) if (key != null) state.processed.add(offerKey(key));
+    countOutsideRadius(state.report, state.phase);
+    return false;
+}
+
+// Dedupe and resume checks take offer IDs or any offer URL form.
+function isSeen(state, value) {
+    return value != null && state.seenIds.has(offerKey(value));
+}
+
+function markSeen(state, ...values) {
+    for (const value of values) if (value != null) state.seenIds.add(offerKey(value));
+}
+
+function isProcessed(state, value) {
+    return state.processed.has(offerKey(value));
+}
+
+// Offers held back for their detail page still need it, even though they count as saved.
+function needsDetail(state, url) {
+    return !isProcessed(state, url) || state.partials.has(offerKey(url));
+}
+
+function wantsOffer(cfg, state, url) {
+    return state.saved < cfg.maxItems || state.partials.has(offerKey(url));
+}
+
+// Single exit point for scraped offers; `company` carries extra profile data for the companies dataset. A record
+// for an offer held back by the API phase is merged into that offer instead of counting as a new one.
+async function pushJob(job, state, { company } = {}) {
+    const held = state.partials.get(job.id);
+    if (held) {
+        state.partials.delete(job.id);
+        return emitJob(mergeRecords(held, job), state, { company, phase: 'api' });
+    }
+    if (isBeforeCutoff(job.date_posted, state.cutoff)) return skipBeforeCutoff(state, job.id);
+    if (state.radius && !isWithinRadius(job, state.radius)) return skipOutsideRadius(state, job.id);
+    state.saved += 1;
+    state.processed.add(String(job.id));
+    return emitJob(job, state, { company });
+}
+
+// An API offer whose detail failed counts as saved but is held back, and its page is queued for the website phases.
+// Offers still held when the search's phases are done are saved as they are.
+function holdPartial(job, state) {
+    state.saved += 1;
+    state.processed.add(String(job.id));
+    state.partials.set(job.id, job);
+    state.browserDetailUrls.add(job.url);
+    state.htmlDetailUrls.add(job.url);
+}
+
+async function flushPartials(state) {
+    for (const job of state.partials.values()) await emitJob(job, state, { phase: 'api' });
+    state.partials.clear();
+}
+
+// Batch runs hold records back until every search has tagged them.
+async function emitJob(job, state, { company, phase = state.phase } = {}) {
+    if (state.skills) {
+        Object.assign(
+            job,
+            extractSkills(state.skills, {
+                skills: job.skills,
+                texts: [job.title, job.requirements_min, job.requirements_desired, job.description_text],
+            }),
+        );
+    }
+    if (state.companies && job.company_id) {
+        registerCompany(state.companies, {
+            id: job.company_id,
+            company_id_type: job.company_id_type,
+            name: job.company,
+            url: job.company_profile_url,
+            logo_url: job.company_logo,
+            ...company,
+        });
+    }
+
+    countRecord(state.report, phase, job);
+    if (state.batch) {
+        await bufferRecord(state.batch, job, state.search);
+        return true;
+    }
+    return emitRecord(job, state);
+}
+
+// In monitoring mode unchanged offers still count towards results_wanted but are not pushed again.
+async function emitRecord(record, state) {
+    const out = state.monitor ? trackChanges(state.monitor, record) : record;
+    if (!out) return false;
+    await pushRecord(out, state);
+    return true;
+}
+
+async function pushRecord(record, state) {
+    await Actor.pushData(selectFields(record, state.output));
+    await notifyRecord(state.notifier, record);
+}
+
+// List pages are fetched one at a time and kept about a page ahead of the detail requests, which run through an
+// autoscaled pool. Details are only queued while saved + pending < results_wanted, so the count comes out exact.
+export async function runApiHarvest(apiClient, cfg, state) {
+    log.info(`Running JSON API harvesting (detail concurrency ${cfg.apiDetailConcurrency})...`);
+    const harvest = {
+        nextPage: state.apiPage,
+        listing: false,
+        listDone: !cfg.apiSearch,
+        total: null,
+        reason: cfg.apiSearch ? null : 'no search to run for the start URLs',
+        // { item, page, retries } waiting for their detail request; offer start URLs have no page
+        queue: [],
+        inFlight: 0,
+        queuedIds: new Set(),
+        // page -> offers of that page not pushed yet; the checkpoint resumes from the lowest one
+        outstanding: new Map(),
+    };
+
+    queueApiStartOffers(cfg, state, harvest);
+
+    const pool = new AutoscaledPool({
+        maxConcurrency: cfg.apiDetailConcurrency,
+        // Start at full speed; the pool still scales down when the machine is overloaded.
+        desiredConcurrency: cfg.apiDetailConcurrency,
+        isTaskReadyFunction: async () => harvest.queue.length > 0 || canListApiPage(harvest, cfg, state),
+        isFinishedFunction: async () =>
+            !harvest.listing &&
+            !harvest.queue.length &&
+            !harvest.inFlight &&
+            !canListApiPage(harvest, cfg, state),
+        runTaskFunction: async () => {
+            if (canListApiPage(harvest, cfg, state)) return listApiPage(apiClient, cfg, state, harvest);
+            const task = harvest.queue.shift();
+            if (task) return fetchApiDetailTask(apiClient, cfg, state, harvest, task);
+        },
+    });
+    await pool.run();
+
+    return state.saved >= cfg.maxItems ? 'results_wanted reached' : harvest.reason || 'max_pages reached';
+}
+
+// Offer start URLs are fetched by the ID in their URL.
+function queueApiStartOffers(cfg, state, harvest) {
+    for (const url of cfg.startTargets.offer) {
+        const id = offerIdFromUrl(url);
+        if (!id || isProcessed(state, id) || harvest.queuedIds.has(id)) continue;
+        if (state.saved + pendingApiDetails(harvest) >= cfg.maxItems) break;
+        harvest.queuedIds.add(id);
+        harvest.queue.push({ item: { id, link: url }, page: null, retries: 0 });
     }
+}
+
+function pendingApiDetails(harvest) {
+    return harvest.queue.length + harvest.inFlight;
+}
 
-    log.info(`Finished. Saved=${state.saved}, blocked=${state.blocked}`);
-});
+function canListApiPage(harvest, cfg, state) {
+    return (
+        !harvest.listing &&
+        !harvest.listDone &&
+        harvest.nextPage <= cfg.maxPages &&
+        harvest.queue.length < cfg.pageSize &&
+        state.saved + pendingApiDetails(harvest) < cfg.maxItems
+    );
+}
 
-async function runApiHarvest(token, cfg, state, proxyConfiguration) {
-    log.info('Running JSON API harvesting...');
-    let page = 1;
-    const maxPages = cfg.maxPages;
-    while (state.saved < cfg.maxItems && page <= maxPages) {
-        const { items, totalPages } = await fetchApiPage({
-            token,
+async function listApiPage(apiClient, cfg, state, harvest) {
+    const page = harvest.nextPage;
+    harvest.listing = true;
+    try {
+        const { items, totalPages, totalResults } = await fetchApiPage(apiClient, {
             page,
             pageSize: cfg.pageSize,
             keyword: cfg.keyword,
             location: cfg.location,
             category: cfg.category,
-            proxyConfiguration,
+            filters: cfg.filters,
         });
+        countPage(state.report, 'api', 'list');
+        if (harvest.total == null && totalResults != null) {
+            harvest.total = totalResults;
+            countAvailable(state.report, 'api', totalResults);
+        }
 
         if (!items.length) {
             log.info(`API page ${page} returned 0 items. Stopping API mode.`);
-            break;
+            harvest.listDone = true;
+            harvest.reason = `page ${page} returned no items`;
+            return;
         }
 
+        let queued = 0;
         for (const item of items) {
-            if (state.saved >= cfg.maxItems) break;
-            if (cfg.dedupe && (state.seenIds.has(item.id) || state.seenUrls.has(item.link))) {
+            if (state.saved + pendingApiDetails(harvest) >= cfg.maxItems) break;
+            const id = offerKey(item.id);
+            if (isProcessed(state, id) || harvest.queuedIds.has(id)) {
+                skipDuplicate(state, item.id, item.link);
                 continue;
             }
-            if (cfg.dedupe) {
-                state.seenIds.add(item.id);
-                state.seenUrls.add(item.link);
+            if (cfg.dedupe && (isSeen(state, item.id) || isSeen(state, item.link))) {
+                skipDuplicate(state, item.id, item.link);
+                continue;
             }
-
-            let detail = {};
-            if (cfg.collectDetails) {
-                detail = await fetchApiDetail(token, item.id, proxyConfiguration).catch((err) => {
-                    log.debug(`Detail fetch failed for ${item.id}: ${err.message}`);
-                    return {};
-                });
+            if (isBeforeCutoff(item.published, cfg.cutoff)) {
+                skipBeforeCutoff(state, item.id);
+                continue;
             }
+            if (!cfg.collectDetails) {
+                await pushApiOffer(item, {}, cfg, state);
+                continue;
+            }
+            harvest.queuedIds.add(id);
+            harvest.queue.push({ item, page, retries: 0 });
+            queued += 1;
+        }
+        if (queued) harvest.outstanding.set(page, queued);
+        log.info(`[API] Page ${page}/${totalPages}: ${items.length} offers, ${queued} queued for details.`);
+
+        harvest.nextPage = page + 1;
+        // Sorted by update date, newest first: once a page ends before the cutoff, the pages after it hold no
+        // offer published after it either.
+        const last = items.at(-1);
+        if (cfg.filters.sortBy === 'date' && isBeforeCutoff(last.updated || last.published, cfg.cutoff)) {
+            harvest.listDone = true;
+            harvest.reason = 'cutoff date reached';
+        } else if (page >= totalPages) {
+            harvest.listDone = true;
+            harvest.reason = 'last page reached';
+        } else if (page >= cfg.maxPages) {
+            harvest.listDone = true;
+            harvest.reason = 'max_pages reached';
+            state.truncated = true;
+        }
+    } catch (err) {
+        log.warning(`API page ${page} failed: ${err.message}`);
+        harvest.listDone = true;
+        harvest.reason = `error: page ${page} failed: ${err.message}`;
+    } finally {
+        harvest.listing = false;
+        updateApiCheckpoint(state, harvest);
+    }
+}
 
-            const payload = normalizeJobRecord({
-                url: item.link,
-                id: item.id,
-                title: item.title,
-                company: item.author?.name || item.company?.name || item.profile?.name,
-                location: buildLocation(item),
-                province: item.province?.value,
-                city: item.city,
-                salary: item.salaryDescription || item.salaryMin,
-                job_type: item.contractType?.value || item.workDay?.value,
-                date_posted: item.published || item.updateDate,
-                remote: item.teleworking?.value,
-                description_html: detail.description,
-                description_text: detail.description ? stripHtml(detail.description) : null,
-                source: 'infojobs-api',
-            });
-
-            await Actor.pushData(payload);
-            state.saved += 1;
+// The client already retries 429/5xx and network errors; a detail failing some other way (the token request, say)
+// goes back to the queue up to API_DETAIL_RETRIES times. A detail that still fails is held for the website phases to
+// complete (see holdPartial).
+async function fetchApiDetailTask(apiClient, cfg, state, harvest, task) {
+    let detail;
+    let partial = false;
+    harvest.inFlight += 1;
+    try {
+        detail = await fetchApiDetail(apiClient, task.item.id);
+    } catch (err) {
+        const retryable = !err.retried && (!err.statusCode || err.statusCode === 429 || err.statusCode >= 500);
+        if (retryable && task.retries < API_DETAIL_RETRIES) {
+            task.retries += 1;
+            harvest.queue.push(task);
+            return;
         }
+        log.debug(`Detail fetch failed for ${task.item.id}: ${err.message}`);
+        noteParseFailure(state, task.item.link || task.item.id, 'detail fetch failed');
+        detail = {};
+        partial = true;
+    } finally {
+        // Done as soon as the fetch is: pushing counts the offer as saved before anything else awaits, so the
+        // listing never counts it twice, as saved and as pending.
+        harvest.inFlight -= 1;
+    }
+    countPage(state.report, 'api', 'detail');
 
-        if (page >= totalPages) break;
-        page += 1;
+    // A start offer without its detail has nothing to save; the website phases still get to try its page.
+    if (task.page == null) {
+        if (detail.id && state.saved < cfg.maxItems) await pushApiOffer(task.item, detail, cfg, state);
+        return;
     }
+    if (state.saved < cfg.maxItems) await pushApiOffer(task.item, detail, cfg, state, { partial });
+    const left = harvest.outstanding.get(task.page) - 1;
+    if (left > 0) harvest.outstanding.set(task.page, left);
+    else harvest.outstanding.delete(task.page);
+    updateApiCheckpoint(state, harvest);
+}
+
+function updateApiCheckpoint(state, harvest) {
+    state.apiPage = harvest.outstanding.size ? Math.min(...harvest.outstanding.keys()) : harvest.nextPage;
+}
+
+async function pushApiOffer(item, detail, cfg, state, { partial = false } = {}) {
+    if (cfg.dedupe) markSeen(state, item.id, item.link);
+    const payload = normalizeJobRecord(mapApiOffer(item, detail));
+    if (isBeforeCutoff(payload.date_posted, state.cutoff)) return skipBeforeCutoff(state, payload.id);
+    if (state.radius && !isWithinRadius(payload, state.radius)) return skipOutsideRadius(state, payload.id);
+    if (partial && payload.url && !cfg.browserOnly) return holdPartial(payload, state);
+    await pushJob(payload, state, { company: companyFromApiProfile(detail.profile) });
+}
+
+// Search result item completed with the offer detail (when collectDetails is on); detail values win.
+export function mapApiOffer(item, detail = {}) {
+    const offer = { ...item, ...detail };
+    const profile = detail.profile || {};
+    return {
+        url: item.link || detail.link,
+        id: item.id,
+        title: offer.title,
+        company: item.author?.name || item.company?.name || profile.name || item.profile?.name,
+        ...companyIdentity({
+            url: item.author?.uri || profile.url,
+            apiId: item.author?.id || profile.id || item.profile?.id,
+        }),
+        company_profile_url: item.author?.uri || profile.url,
+        company_logo: item.author?.logoUrl || profile.logoUrl,
+        company_url: profile.corporateWebsiteUrl || profile.websiteUrl || profile.web,
+        company_sector: apiValue(profile.typeIndustry),
+        company_size: profile.numberWorkers,
+        location: buildLocation(offer),
+        province: apiValue(offer.province),
+        city: offer.city,
+        country: apiValue(offer.country),
+        postal_code: offer.zipCode,
+        latitude: toNumberOrNull(offer.latitude),
+        longitude: toNumberOrNull(offer.longitude),
+        salary: offer.salaryDescription,
+        salary_min: offer.salaryMin || offer.minPay?.amount,
+        salary_max: offer.salaryMax || offer.maxPay?.amount,
+        salary_period: offer.salaryPeriod || offer.minPay?.periodValue || offer.maxPay?.periodValue,
+        job_type: apiValue(offer.contractType) || apiValue(offer.journey || offer.workDay),
+        contract_type: apiValue(offer.contractType),
+        work_day: apiValue(offer.journey || offer.workDay),
+        date_posted: item.published || offer.creationDate || offer.updateDate,
+        date_created: offer.creationDate,
+        date_updated: offer.updateDate,
+        remote: apiValue(offer.teleworking),
+        experience_min: apiValue(offer.experienceMin),
+        study_level: apiValue(offer.studiesMin),
+        requirements_min: offer.minRequirements,
+        requirements_desired: offer.desiredRequirements,
+        skills: (offer.skillsList || offer.skills || []).map((s) => (typeof s === 'object' ? s.skill || s.value : s)),
+        category: apiValue(offer.category),
+        subcategory: apiValue(offer.subcategory),
+        job_level: apiValue(offer.jobLevel),
+        staff_in_charge: apiValue(offer.staffInCharge),
+        vacancies: offer.vacancies,
+        applications: offer.applications,
+        upsellings: activeUpsellings(offer.upsellings),
+        description_html: detail.description,
+        source: 'infojobs-api',
+    };
+}
+
+// Offers from the web app's page state and XHR responses. The app mostly uses the API field names; the
+// alternatives are the names its search results use.
+export function mapStateOffer(item) {
+    const offer = mapApiOffer(item);
+    const city = apiValue(item.city);
+    return {
+        ...offer,
+        id: item.id ?? item.code ?? item.offerId,
+        title: item.title || item.jobTitle,
+        company: offer.company || item.companyName,
+        ...companyIdentity({
+            url: offer.company_profile_url || item.companyLink,
+            apiId: item.author?.id || item.profile?.id || item.companyId,
+        }),
+        company_profile_url: offer.company_profile_url || item.companyLink,
+        company_logo: offer.company_logo || item.companyLogo || item.logoUrl,
+        location: [city, apiValue(item.province)].filter(Boolean).join(', ') || null,
+        city,
+        date_posted: offer.date_posted || item.publishedAt || item.publicationDate,
+        applications: offer.applications ?? item.applicationsCount,
+        description_html: typeof item.description === 'string' ? item.description : null,
+        source: 'infojobs-browser',
+    };
 }
 
-async function runHtmlHarvest(cfg, state, proxyConfiguration) {
+// API dictionary values come as { id, value } objects.
+function apiValue(field) {
+    if (field == null) return null;
+    return typeof field === 'object' ? field.value || null : String(field);
+}
+
+// { highlightUrgent: true, highlightLogo: false, ... } -> ['highlightUrgent']
+function activeUpsellings(upsellings) {
+    if (Array.isArray(upsellings)) return upsellings.map((u) => (typeof u === 'object' ? u.value || u.id : u));
+    if (!upsellings || typeof upsellings !== 'object') return [];
+    return Object.entries(upsellings)
+        .filter(([, on]) => on === true)
+        .map(([name]) => name);
+}
+
+export async function runHtmlHarvest(cfg, state, proxyConfiguration) {
     log.info('Running HTML fallback (HTTP + Cheerio) ...');
     const startUrls = buildStartUrls(cfg);
     if (!startUrls.length) {
         log.warning('No start URLs built for HTML mode.');
-        return;
+        return 'no start URLs';
     }
 
-    const detailCandidates = new Set();
+    const detailCandidates = state.htmlDetailUrls;
     const visitedListPages = new Set();
+    queueStartOffers(cfg, state, detailCandidates);
 
     const listCrawler = new CheerioCrawler({
         proxyConfiguration,
+        ...HTTP_BLOCK_HANDLING_OPTIONS,
         maxConcurrency: cfg.htmlListConcurrency,
         maxRequestRetries: 1,
         requestHandlerTimeoutSecs: 25,
-        maxRequestsPerCrawl: cfg.maxPages * 5 + 10,
-        async requestHandler({ request, body, $, log: crawlerLog, crawler }) {
+        async requestHandler({ request, response, session, body, $, log: crawlerLog, crawler }) {
             const pageIdx = request.userData.page || 1;
             const html = body?.toString?.() || '';
-            if (isBlocked(html)) {
-                state.blocked += 1;
-                crawlerLog.warning(`[LIST][BLOCK] Blocked page detected: ${request.url}`);
-                return;
-            }
+            countPage(state.report, state.phase, 'list');
+            const statusCode = response?.statusCode;
+            const $dom = $ || cheerioLoad(html);
+            assertNotBlocked(cfg, state, { request, session, crawler, statusCode, html, $: $dom, kind: 'list' });
 
             if (!$) return;
             const base = request.loadedUrl || request.url;
             const links = extractJobLinksCheerio($, base);
+            const dates = extractListDates($, base);
             crawlerLog.info(`[LIST] Page ${pageIdx} yielded ${links.length} job links.`);
 
             for (const link of links) {
                 if (detailCandidates.size >= cfg.maxItems * 3) break;
-                if (cfg.dedupe && state.seenUrls.has(link)) continue;
+                if (cfg.dedupe && isSeen(state, link)) {
+                    skipDuplicate(state, link);
+                    continue;
+                }
+                if (isBeforeCutoff(dates.get(link), cfg.cutoff)) {
+                    skipBeforeCutoff(state, link);
+                    continue;
+                }
                 detailCandidates.add(link);
-                if (cfg.dedupe) state.seenUrls.add(link);
+                if (cfg.dedupe) markSeen(state, link);
             }
 
-            if (pageIdx >= cfg.maxPages || state.saved >= cfg.maxItems) return;
-            const next = findNextPageCheerio($, base);
-            if (next && !visitedListPages.has(next)) {
-                visitedListPages.add(next);
-                await crawler.addRequests([{ url: next, userData: { page: pageIdx + 1 } }]);
+            if (state.saved >= cfg.maxItems) return;
+            const wanted = cfg.maxItems - detailCandidates.size;
+            const { userData } = request;
+            const next = nextListRequests(cfg, state, { $, url: base, userData, links, dates, wanted });
+            const fresh = next.filter((r) => !visitedListPages.has(r.url));
+            fresh.forEach((r) => visitedListPages.add(r.url));
+            if (fresh.length) {
+                await crawler.addRequests(fresh.map((r) => phaseRequest('html', { ...r, headers: DEFAULT_HEADERS })));
             }
         },
+        failedRequestHandler: (ctx, error) => escalateFailedRequest(cfg, state, ctx, error),
     });
 
-    await listCrawler.run(
-        startUrls.map((u) => ({
-            url: u,
-            userData: { page: 1 },
-            headers: DEFAULT_HEADERS,
-        })),
-    );
-
-    const detailUrls = Array.from(detailCandidates).slice(0, cfg.maxItems * 3);
-    if (!detailUrls.length) {
-        log.warning('HTML mode found no detail URLs.');
-        return;
+    if (state.phasesDone.has('html-list')) {
+        log.info(`HTML list pages already crawled before the restart (${detailCandidates.size} URLs).`);
+    } else if (state.saved >= cfg.maxItems) {
+        log.info('results_wanted already reached; only fetching the offers held back by the API phase.');
+    } else {
+        await listCrawler.run(
+            listStartRequests(startUrls).map((r) => phaseRequest('html', { ...r, headers: DEFAULT_HEADERS })),
+        );
+        state.phasesDone.add('html-list');
+    }
+    if (state.abortReason) return state.abortReason;
+
+    const detailUrls = Array.from(detailCandidates)
+        .slice(0, cfg.maxItems * 3)
+        .filter((u) => needsDetail(state, u));
+    if (!detailUrls.length && !state.escalateUrls.size) {
+        log.warning('HTML mode found no detail URLs to fetch.');
+        return 'no detail URLs found';
     }
 
     const detailCrawler = new CheerioCrawler({
         proxyConfiguration,
+        ...HTTP_BLOCK_HANDLING_OPTIONS,
         maxConcurrency: cfg.htmlDetailConcurrency,
         maxRequestRetries: 2,
         requestHandlerTimeoutSecs: 25,
-        async requestHandler({ request, body, $, log: crawlerLog }) {
-            if (state.saved >= cfg.maxItems) return;
+        async requestHandler({ request, response, session, body, $, log: crawlerLog, crawler }) {
+            if (!wantsOffer(cfg, state, request.url)) return;
             const html = body?.toString?.() || '';
-            if (isBlocked(html)) {
-                state.blocked += 1;
-                crawlerLog.warning(`[DETAIL][BLOCK] ${request.url}`);
-                return;
-            }
-
+            countPage(state.report, state.phase, 'detail');
             const $dom = $ || cheerioLoad(html);
+            const statusCode = response?.statusCode;
+            if (skipUnavailableOffer(state, { request, statusCode, html, $: $dom })) return;
+            assertNotBlocked(cfg, state, { request, session, crawler, statusCode, html, $: $dom, kind: 'detail' });
+
             const job = extractJobFromDetail($dom, request.url);
             if (!job.title) {
                 crawlerLog.debug(`[DETAIL] Failed to parse: ${request.url}`);
+                noteParseFailure(state, request.url, 'missing title');
                 return;
             }
 
-            await Actor.pushData(job);
-            state.saved += 1;
+            await pushJob(job, state);
             crawlerLog.info(`[DETAIL] Saved job #${state.saved}: ${job.title}`);
         },
+        failedRequestHandler: (ctx, error) => escalateFailedRequest(cfg, state, ctx, error),
     });
 
-    await detailCrawler.run(
-        detailUrls.map((u) => ({
-            url: u,
-            headers: DEFAULT_HEADERS,
-        })),
-    );
-}
-
-function getApiCreds() {
-    const id = process.env.INFOJOBS_CLIENT_ID;
-    const secret = process.env.INFOJOBS_CLIENT_SECRET;
-    if (!id || !secret) return null;
-    return { id, secret };
+    await detailCrawler.run(detailUrls.map((u) => phaseRequest('html', { url: u, headers: DEFAULT_HEADERS })));
+    await runBrowserEscalation(cfg, state, proxyConfiguration);
+    return crawlStopReason(cfg, state);
 }
 
-async function tryGetToken(creds) {
-    if (!creds?.id || !creds?.secret) return null;
-    const auth = Buffer.from(`${creds.id}:${creds.secret}`).toString('base64');
-    const res = await gotScraping({
-        url: TOKEN_URL,
-        method: 'POST',
-        headers: {
-            Authorization: `Basic ${auth}`,
-            'content-type': 'application/x-www-form-urlencoded',
-        },
-        body: 'grant_type=client_credentials',
-        responseType: 'json',
-        throwHttpErrors: true,
-    });
-    const token = res.body?.access_token;
-    if (!token) throw new Error('Token endpoint returned no access_token');
-    log.info('InfoJobs API token acquired.');
-    return token;
-}
-
-async function fetchApiPage({ token, page, pageSize, keyword, location, category, proxyConfiguration }) {
-    const searchParams = {
-        maxResults: pageSize,
-        page,
-    };
-    if (keyword) searchParams.q = keyword;
-    if (location) searchParams.provinceIds = location;
-    if (category) searchParams.categoryIds = category;
-
-    const res = await gotScraping({
-        url: `${API_BASE}/offer`,
-        searchParams,
-        headers: { Authorization: `Bearer ${token}` },
-        proxyConfiguration,
-        responseType: 'json',
-        throwHttpErrors: false,
-    });
-
-    if (res.statusCode === 401 || res.statusCode === 403) {
-        throw new Error(`API auth failed with status ${res.statusCode}`);
-    }
-
-    if (res.statusCode >= 500) {
-        throw new Error(`API error ${res.statusCode}`);
-    }
-
-    const body = res.body || {};
-    const items = body.items || body.offers || body.results || [];
-    const totalPages = body.totalPages || body.totalPagesCount || body.totalPagesAvailable || page;
-
-    return { items, totalPages };
-}
-
-async function fetchApiDetail(token, id, proxyConfiguration) {
-    const res = await gotScraping({
-        url: `${API_BASE}/offer/${id}`,
-        headers: { Authorization: `Bearer ${token}` },
-        proxyConfiguration,
-        responseType: 'json',
-        throwHttpErrors: false,
-    });
-    if (res.statusCode === 401 || res.statusCode === 403) {
-        throw new Error(`Unauthorized for detail ${id}`);
-    }
-    return res.body || {};
-}
-
-function extractJobLinksCheerio($, baseUrl) {
+export function extractJobLinksCheerio($, baseUrl) {
     const links = [];
     $('a[href], [data-href]').each((_, el) => {
         const href = $(el).attr('href') || $(el).attr('data-href') || '';
         if (!href) return;
         if (/^(mailto:|tel:|javascript:)/i.test(href)) return;
-        if (!/\/of-[a-z0-9]{4,}/i.test(href)) return;
+        if (!isOfferUrl(href)) return;
         const abs = toAbs(href, baseUrl);
         if (abs) links.push(abs.split('?')[0]);
     });
     return Array.from(new Set(links));
 }
 
-function findNextPageCheerio($, baseUrl) {
+// Offer link -> publication date of the offer cards on a list page, read from the card text ("Hace 2h", "12 oct").
+// Links are keyed as extractJobLinksCheerio returns them; cards without a readable date are left out.
+export function extractListDates($, baseUrl, { now = new Date() } = {}) {
+    const dates = new Map();
+    $(LIST_CARD_SELECTORS).each((_, card) => {
+        const href = $(card)
+            .find('a[href], [data-href]')
+            .addBack('[data-href]')
+            .toArray()
+            .map((el) => $(el).attr('href') || $(el).attr('data-href'))
+            .find((h) => h && isOfferUrl(h));
+        const link = href && toAbs(href, baseUrl)?.split('?')[0];
+        if (!link || dates.has(link)) return;
+        // The date element when the card marks one, else the card's short texts that read as a date phrase
+        const texts = [
+            $(card).find('time[datetime]').first().attr('datetime'),
+            $(card).find(LIST_DATE_SELECTORS).first().text().trim(),
+            ...$(card)
+                .find('time, li, span, p')
+                .toArray()
+                .map((el) => $(el).text().trim())
+                .filter((text) => text.length <= 40 && isDateText(text)),
+        ];
+        const date = texts.map((text) => normalizeDate(text, { now })).find(Boolean);
+        if (date) dates.set(link, date);
+    });
+    return dates;
+}
+
+// Without a "Siguiente" link the next page is guessed from the page param, unless `guess` is off (company pages).
+export function findNextPageCheerio($, baseUrl, { guess = true } = {}) {
     const nextText = $('a[aria-label*="iguiente"], a:contains("Siguiente")').attr('href');
     if (nextText) {
         const abs = toAbs(nextText, baseUrl);
         if (abs) return abs;
     }
+    if (!guess) return null;
     try {
         const u = new URL(baseUrl);
         const current = Number(u.searchParams.get('page') || 1);
@@ -334,7 +991,61 @@ function findNextPageCheerio($, baseUrl) {
     }
 }
 
-function extractJobFromDetail($, url) {
+// The list pages that follow a crawled one. A listing that shows its result count gets the rest of its pages queued
+// at once, and is split when the results wanted lie past the pages InfoJobs serves. A page repeating an earlier one
+// of its listing ends it. Without a count, the next link is followed one page at a time.
+// A listing sorted by publication date is read a page at a time while a cutoff is set, and ends with the first page
+// whose last dated offer (`dates`: offer link -> card date) is older than the cutoff.
+function nextListRequests(cfg, state, { $, url, userData, links, dates = new Map(), stateSources = [], wanted }) {
+    const page = userData.page || 1;
+    const { type, split } = userData;
+    const counted = type !== 'company';
+    const byDate = Boolean(cfg.cutoff) && fromWebParams(new URL(url).searchParams).sortBy === 'date';
+    const plan = planListing(state.pagination, {
+        url,
+        page,
+        links,
+        total: counted ? readResultCount($, ...stateSources) : null,
+        lastPage: counted ? readLastPage($, url) : null,
+        maxPages: cfg.maxPages,
+        wanted: byDate ? Math.min(wanted, 1) : wanted,
+    });
+    if (plan.repeated) {
+        log.info(`[${state.phase}] Page ${page} repeats an earlier page of ${listingKey(url)}. Listing done.`);
+        return [];
+    }
+    if (page === 1 && plan.total != null && !split) countAvailable(state.report, state.phase, plan.total);
+    const lastDate = links.map((link) => dates.get(link)).filter(Boolean).at(-1);
+    if (byDate && isBeforeCutoff(lastDate, cfg.cutoff)) {
+        endListing(state.pagination, url);
+        log.info(`[${state.phase}] Page ${page} of ${listingKey(url)} reaches past the cutoff date. Listing done.`);
+        return [];
+    }
+    if (plan.truncated) state.truncated = true;
+
+    const splitInto = plan.deep && page === 1 ? splitListing(url, cfg.dictionaries || loadDictionaries()) : null;
+    const requests = [];
+    if (splitInto) {
+        log.info(
+            `[${state.phase}] ${listingKey(url)} has ${plan.lastPage} pages, InfoJobs serves ${MAX_REACHABLE_PAGES}: ` +
+                `split into ${splitInto.urls.length} listings by ${splitInto.by}.`,
+        );
+        requests.push(...splitInto.urls.map((u) => ({ url: u, userData: { page: 1, type, split: splitInto.by } })));
+        // Province listings together hold every offer; date windows leave the older ones to this listing.
+        if (splitInto.by === 'province') return requests;
+    }
+    if (plan.pages) {
+        return [...requests, ...plan.pages.map((n) => ({ url: pageUrl(url, n), userData: { page: n, type, split } }))];
+    }
+
+    if (page >= cfg.maxPages) state.truncated = true;
+    if (page >= cfg.maxPages || wanted <= 0) return requests;
+    const next = findNextPageCheerio($, url, { guess: type !== 'company' });
+    if (next) requests.push({ url: next, userData: { page: page + 1, type, split } });
+    return requests;
+}
+
+export function extractJobFromDetail($, url, { source = PHASE_SOURCES.html } = {}) {
     const jsonLd = parseJsonLdJob($) || {};
     const title =
         jsonLd.title ||
@@ -347,123 +1058,319 @@ function extractJobFromDetail($, url) {
         $('[data-test="job-company"], [data-testid="company-name"]').first().text().trim() ||
         null;
 
+    const companyHref = $('a[href*="/em-i"]').first().attr('href');
+    const companyProfileUrl = companyHref ? toAbs(companyHref, url) : null;
+
     const location =
         jsonLd.location ||
         $('[data-test="job-location"]').first().text().trim() ||
         $('meta[property="ij:city"]').attr('content') ||
         null;
 
+    const salary =
+        $('[data-test="job-salary"], [data-testid="salary"], .ij-OfferDetailHeader-salary').first().text().trim() ||
+        null;
+
+    // Pages without a machine-readable date only show "Publicada hace 3h" or "Publicada el 12 oct".
     const date =
         jsonLd.date_posted ||
         $('[data-test="job-published"] time[datetime], time[datetime]').first().attr('datetime') ||
+        $('[data-test="job-published"]').first().text().trim() ||
+        null;
+    const updated =
+        $('[data-test="job-updated"] time[datetime]').first().attr('datetime') ||
+        $('[data-test="job-updated"]').first().text().trim() ||
         null;
 
+    // Only the description containers: without one the offer has no description, never the whole page.
     const descHtml =
         jsonLd.description_html ||
         $('#jobDescription').html() ||
         $('.ij-Offer-description, article').html() ||
         null;
 
-    const descText =
-        stripWhitespace(
-            $('#jobDescription').text() ||
-                $('.ij-Offer-description, article').text() ||
-                $('body').text(),
-        ) || null;
+    const facts = extractOfferFacts($);
 
     return normalizeJobRecord({
         url,
         title,
         company,
+        ...companyIdentity({ url: companyProfileUrl }),
+        company_profile_url: companyProfileUrl,
         location,
+        province: jsonLd.province,
+        city: jsonLd.city,
+        country: jsonLd.country,
+        postal_code: jsonLd.postal_code,
+        street_address: jsonLd.street_address,
+        latitude: jsonLd.latitude,
+        longitude: jsonLd.longitude,
+        salary,
+        base_salary: jsonLd.base_salary,
+        job_type: jsonLd.employment_type || facts.contract_type,
+        employment_type: jsonLd.employment_type,
+        contract_type: facts.contract_type,
+        work_day: facts.work_day,
+        remote: jsonLd.remote || facts.teleworking,
         date_posted: date,
+        date_updated: updated,
+        valid_through: jsonLd.valid_through,
+        experience_requirements: jsonLd.experience_requirements,
+        education_requirements: jsonLd.education_requirements,
+        experience_min: facts.experience_min,
+        study_level: facts.study_level,
+        requirements_min: facts.requirements_min,
+        requirements_desired: facts.requirements_desired,
+        skills: facts.skills,
+        category: facts.category,
+        subcategory: facts.subcategory,
+        job_level: facts.job_level,
+        staff_in_charge: facts.staff_in_charge,
+        vacancies: facts.vacancies,
+        applications: facts.applications,
+        industry: jsonLd.industry,
+        identifier: jsonLd.identifier,
+        company_url: jsonLd.company_url,
+        company_logo: jsonLd.company_logo,
+        company_sector: facts.company_sector,
         description_html: descHtml,
-        description_text: descText ? descText.slice(0, 6000) : null,
-        source: 'infojobs-html',
+        source,
     });
 }
 
-function parseJsonLdJob($) {
+// The detail page lists requirements and offer facts as label/value pairs: <dt>/<dd>, "Label: value" items or a
+// heading followed by its text. Pairs are looked up by accent-folded label.
+function extractOfferFacts($) {
+    const pairs = new Map();
+    const add = (label, value) => {
+        const key = foldLabel(label);
+        const text = stripWhitespace(value);
+        if (key && text && !pairs.has(key)) pairs.set(key, text);
+    };
+    $('dt').each((_, el) => add($(el).text(), $(el).next('dd').text()));
+    $('th').each((_, el) => add($(el).text(), $(el).next('td').text()));
+    $('h2, h3, h4').each((_, el) => {
+        const section = $(el).nextUntil('h2, h3, h4, dl, table');
+        add($(el).text(), section.map((_, n) => $(n).text()).get().join(' '));
+    });
+    $('li, p').each((_, el) => {
+        const match = stripWhitespace($(el).text()).match(/^([^:]{3,40}):\s*(.+)$/);
+        if (match) add(match[1], match[2]);
+    });
+
+    const facts = {};
+    for (const [field, labels] of Object.entries(OFFER_FACT_LABELS)) {
+        facts[field] = labels.map((l) => pairs.get(l)).find(Boolean) || null;
+    }
+
+    const skillTags = $('[data-test="skill"], [data-testid="skill"], .ij-OfferDetailSkills li')
+        .map((_, el) => $(el).text())
+        .get();
+    facts.skills = skillTags.length ? skillTags : (facts.skills || '').split(/\s*[,;·•]\s*/);
+
+    const bodyText = stripWhitespace($('body').text());
+    facts.applications = bodyText.match(/(\d[\d.]*)\s+inscritos?\b/i)?.[1] || null;
+    facts.vacancies ??= bodyText.match(/(\d+)\s+vacantes?\b/i)?.[1] || null;
+    return facts;
+}
+
+function foldLabel(label) {
+    return foldSpaces(stripWhitespace(label).replace(/:$/, ''));
+}
+
+export function parseJsonLdJob($) {
     const scripts = $('script[type="application/ld+json"]');
     for (const el of scripts.toArray()) {
         const text = $(el).contents().text();
         if (!text) continue;
+        let data;
         try {
-            const data = JSON.parse(text.trim());
-            const arr = Array.isArray(data) ? data : [data];
-            const job = arr.find((d) => d['@type'] === 'JobPosting') || arr[0];
-            if (job) {
-                return {
-                    title: job.title,
-                    description_html: job.description,
-                    company:
-                        typeof job.hiringOrganization === 'string'
-                            ? job.hiringOrganization
-                            : job.hiringOrganization?.name,
-                    location:
-                        job.jobLocation?.address?.addressLocality ||
-                        job.jobLocation?.address?.addressRegion ||
-                        job.jobLocation?.address?.addressCountry,
-                    date_posted: job.datePosted,
-                };
-            }
+            data = JSON.parse(text.trim());
         } catch {
-            // ignore
+            continue;
         }
+        const job = flattenJsonLd(data).find((node) => hasJsonLdType(node, 'JobPosting'));
+        if (job) return mapJsonLdJob(job);
     }
     return null;
 }
 
-function normalizeJobRecord(job) {
-    const now = new Date().toISOString();
+// Unwraps top-level arrays, nested arrays and @graph containers into a flat list of nodes.
+function flattenJsonLd(data, out = []) {
+    if (Array.isArray(data)) {
+        for (const d of data) flattenJsonLd(d, out);
+    } else if (data && typeof data === 'object') {
+        out.push(data);
+        if (data['@graph']) flattenJsonLd(data['@graph'], out);
+    }
+    return out;
+}
+
+function hasJsonLdType(node, type) {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.includes(type);
+}
+
+function mapJsonLdJob(job) {
+    const org =
+        typeof job.hiringOrganization === 'string' ? { name: job.hiringOrganization } : job.hiringOrganization || {};
+    const place = [].concat(job.jobLocation || [])[0] || {};
+    const address = typeof place.address === 'string' ? { streetAddress: place.address } : place.address || {};
+    const geo = place.geo || {};
+    const locationTypes = [].concat(job.jobLocationType || []).map((t) => String(t).toUpperCase());
+    const identifier = typeof job.identifier === 'object' ? job.identifier?.value : job.identifier;
+
+    return {
+        title: job.title,
+        description_html: job.description,
+        company: org.name,
+        company_url: [].concat(org.sameAs || org.url || [])[0] || null,
+        company_logo: typeof org.logo === 'object' ? org.logo?.url : org.logo,
+        location: address.addressLocality || address.addressRegion || jsonLdText(address.addressCountry),
+        city: address.addressLocality,
+        province: address.addressRegion,
+        country: jsonLdText(address.addressCountry),
+        postal_code: address.postalCode,
+        street_address: address.streetAddress,
+        latitude: toNumberOrNull(geo.latitude),
+        longitude: toNumberOrNull(geo.longitude),
+        date_posted: job.datePosted,
+        valid_through: job.validThrough,
+        employment_type: [].concat(job.employmentType || []).join(', ') || null,
+        base_salary: job.baseSalary,
+        remote: locationTypes.includes('TELECOMMUTE') ? 'remote' : null,
+        experience_requirements: jsonLdText(job.experienceRequirements),
+        education_requirements: jsonLdText(job.educationRequirements),
+        industry: jsonLdText(job.industry),
+        identifier: identifier != null ? String(identifier) : null,
+    };
+}
+
+// Collapses schema.org values that may be a string, a typed object or a list of either.
+function jsonLdText(value) {
+    if (value == null) return null;
+    if (Array.isArray(value)) return value.map(jsonLdText).filter(Boolean).join(', ') || null;
+    if (typeof value === 'object') {
+        if (value.monthsOfExperience != null) return `${value.monthsOfExperience} months`;
+        return jsonLdText(value.name ?? value.credentialCategory ?? value.value ?? value.description);
+    }
+    return String(value).trim() || null;
+}
+
+function toNumberOrNull(value) {
+    const num = Number(value);
+    return value != null && value !== '' && Number.isFinite(num) ? num : null;
+}
+
+// Dates come out as ISO timestamps in Europe/Madrid, relative ones ("Hace 2d") counted from the time of scraping.
+// Locations are matched against the bundled municipality table, and `remote` is 'remote', 'hybrid' or 'on_site'.
+export function normalizeJobRecord(job) {
+    const now = new Date();
+    const salary = normalizeSalary({
+        text: typeof job.salary === 'string' ? job.salary : null,
+        min: job.salary_min,
+        max: job.salary_max,
+        period: job.salary_period,
+        currency: job.salary_currency,
+        baseSalary: job.base_salary,
+    });
+    const description = processDescription(job.description_html || job.description_text);
+    const place = normalizeLocation(job);
     return {
         url: job.url,
-        id: job.id || job.url,
+        id: canonicalOfferId(job.id) || canonicalOfferId(job.url) || job.id || job.url,
         title: job.title,
         company: job.company || null,
-        location: job.location || null,
-        province: job.province || null,
-        city: job.city || null,
+        company_id: job.company_id ? String(job.company_id) : null,
+        company_id_type: job.company_id ? job.company_id_type || null : null,
+        company_profile_url: job.company_profile_url || null,
+        location: place.location,
+        province: place.province,
+        autonomous_community: place.autonomous_community,
+        city: place.city,
+        country: place.country,
+        postal_code: place.postal_code,
+        street_address: job.street_address || null,
+        latitude: place.latitude,
+        longitude: place.longitude,
         salary: job.salary || null,
+        ...salary,
         job_type: job.job_type || null,
-        date_posted: job.date_posted || null,
-        remote: job.remote || null,
-        description_html: job.description_html || null,
-        description_text: job.description_text || null,
+        employment_type: job.employment_type || null,
+        contract_type: job.contract_type || null,
+        work_day: job.work_day || null,
+        date_posted: normalizeDate(job.date_posted, { now }),
+        date_created: normalizeDate(job.date_created, { now }),
+        date_updated: normalizeDate(job.date_updated, { now }),
+        valid_through: normalizeDate(job.valid_through, { now }),
+        remote: normalizeWorkMode({
+            remote: job.remote,
+            location: job.location,
+            title: job.title,
+            description: description.description_text,
+        }),
+        experience_requirements: job.experience_requirements || null,
+        education_requirements: job.education_requirements || null,
+        experience_min: job.experience_min || null,
+        study_level: job.study_level || null,
+        requirements_min: job.requirements_min || null,
+        requirements_desired: job.requirements_desired || null,
+        skills: uniqueStrings(job.skills),
+        skills_by_type: job.skills_by_type || null,
+        category: job.category || null,
+        subcategory: job.subcategory || null,
+        job_level: job.job_level || null,
+        staff_in_charge: job.staff_in_charge || null,
+        vacancies: toIntOrNull(job.vacancies),
+        applications: toIntOrNull(job.applications),
+        upsellings: uniqueStrings(job.upsellings),
+        industry: job.industry || null,
+        identifier: job.identifier || null,
+        company_url: job.company_url || null,
+        company_logo: job.company_logo || null,
+        company_sector: job.company_sector || null,
+        company_size: job.company_size != null && job.company_size !== '' ? String(job.company_size) : null,
+        ...description,
         source: job.source || 'infojobs',
-        scraped_at: now,
+        sources: job.sources?.length ? job.sources : [job.source || 'infojobs'],
+        scraped_at: now.toISOString(),
     };
 }
 
-function stripHtml(html) {
-    return stripWhitespace(cheerioLoad(`<div>${html || ''}</div>`)('div').text());
+function uniqueStrings(values) {
+    const out = [];
+    for (const value of [].concat(values || [])) {
+        const text = stripWhitespace(value == null ? '' : String(value));
+        if (text && !out.some((v) => v.toLowerCase() === text.toLowerCase())) out.push(text);
+    }
+    return out;
+}
+
+// "2", "1.250 inscritos", 3 -> number
+function toIntOrNull(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+    const match = String(value ?? '').match(/\d[\d.]*/);
+    return match ? Number(match[0].replace(/\./g, '')) : null;
 }
 
 function stripWhitespace(text) {
     return (text || '').replace(/\s+/g, ' ').trim();
 }
 
-function buildStartUrls(cfg) {
-    const urls = [];
-    const addIfValid = (raw) => {
-        if (!raw) return;
-        const u = typeof raw === 'string' ? raw : raw.url || raw.requests || raw.href;
-        if (!u) return;
-        try {
-            const abs = new URL(u, 'https://www.infojobs.net').href;
-            urls.push(abs);
-        } catch {
-            // ignore invalid
-        }
-    };
+export function buildStartUrls(cfg) {
+    const urls = collectStartUrls(cfg.startUrls || [], cfg.startUrl || []);
 
-    if (Array.isArray(cfg.startUrls)) {
-        for (const u of cfg.startUrls) addIfValid(u);
+    if (urls.length && hasFilters(cfg.filters)) {
+        return Array.from(new Set(urls.map((u) => applyWebFilters(u, cfg.filters))));
     }
-    addIfValid(cfg.startUrl);
-
-    if (!urls.length && (cfg.keyword || cfg.location)) {
-        urls.push(buildSeoSearchUrl(cfg.keyword, cfg.location, cfg.category));
+    const provinces = cfg.provinces || [];
+    const categories = cfg.categories || [];
+    if (!urls.length && (hasFilters(cfg.filters) || provinces.length > 1 || categories.length > 1)) {
+        // SEO paths cannot carry filters or several places, so use the search form URL the website itself builds.
+        urls.push(buildSearchResultsUrl(cfg));
+    }
+    if (!urls.length && (cfg.keyword || provinces.length)) {
+        urls.push(buildSeoSearchUrl(cfg.keyword, provinces[0]?.key, categories[0]?.key));
     }
     if (!urls.length) {
         urls.push('https://www.infojobs.net/ofertas-trabajo');
@@ -471,7 +1378,7 @@ function buildStartUrls(cfg) {
     return Array.from(new Set(urls));
 }
 
-function buildSeoSearchUrl(keyword, location, category) {
+export function buildSeoSearchUrl(keyword, location, category) {
     const base = 'https://www.infojobs.net/ofertas-trabajo';
     const slugify = (str) =>
         (str || '')
@@ -488,9 +1395,90 @@ function buildSeoSearchUrl(keyword, location, category) {
     if (loc && kw && cat) return `${base}/${loc}/${cat}/${kw}`;
     if (loc && kw) return `${base}/${loc}/${kw}`;
     if (kw) return `${base}/${kw}`;
+    if (loc) return `${base}/${loc}`;
     return base;
 }
 
+// Turns the location/category inputs (names, aliases or IDs) into dictionary entries. API params use the
+// IDs, SEO URLs use the keys.
+export function resolveSearchTerms(cfg, dictionaries) {
+    cfg.dictionaries = dictionaries;
+    applyStartSearch(cfg, dictionaries);
+    cfg.provinces = resolveDictionaryValues(dictionaries.province, 'province', cfg.location);
+    cfg.categories = resolveDictionaryValues(dictionaries.category, 'category', cfg.category);
+    cfg.location = cfg.provinces.map((p) => p.id).join(',');
+    cfg.category = cfg.categories.map((c) => c.id).join(',');
+    if (cfg.provinces.length || cfg.categories.length) {
+        const names = [...cfg.provinces, ...cfg.categories].map((e) => `${e.name} (${e.id})`).join(', ');
+        log.info(`Resolved search terms: ${names}`);
+    }
+}
+
+// A single search start URL is also the API query: its keyword, places, categories and filters fill whatever the
+// input leaves empty. Several search URLs cannot be one API query, so the API then only fetches start offers.
+function applyStartSearch(cfg, dictionaries) {
+    const { search } = cfg.startTargets;
+    if (search.length > 1) {
+        log.info(`${search.length} search start URLs: the API phase skips searching, the website phases crawl them.`);
+    }
+    if (search.length !== 1) return;
+    const query = parseSearchUrl(search[0], dictionaries);
+    cfg.keyword ||= query.keyword || '';
+    cfg.location ||= query.provinceIds.join(',');
+    cfg.category ||= query.categoryIds.join(',');
+    for (const [name, value] of Object.entries(query.filters)) {
+        const current = cfg.filters[name];
+        if (current == null || (Array.isArray(current) && !current.length)) cfg.filters[name] = value;
+    }
+}
+
+// Offer start URLs skip the list pages and go straight to detail extraction.
+function queueStartOffers(cfg, state, detailUrls) {
+    for (const url of cfg.startTargets.offer) {
+        if (detailUrls.has(url) || isProcessed(state, url)) continue;
+        if (cfg.dedupe && isSeen(state, url)) {
+            skipDuplicate(state, url);
+            continue;
+        }
+        detailUrls.add(url);
+        if (cfg.dedupe) markSeen(state, url);
+    }
+}
+
+// All crawlers share the default request queue, which skips a uniqueKey it has handled or given up on. Each phase keys
+// its requests with its own prefix, so a URL an earlier phase fetched or failed is still fetched again.
+export function phaseRequest(phase, request) {
+    return { ...request, uniqueKey: `${phase}:${request.uniqueKey || request.url}` };
+}
+
+// List requests for the search and company start URLs; offer start URLs are queued as details instead.
+function listStartRequests(startUrls, userData = {}) {
+    return startUrls
+        .map((url) => ({ url, type: classifyStartUrl(url) }))
+        .filter(({ type }) => type !== 'offer')
+        .map(({ url, type }) => ({ url, userData: { ...userData, page: 1, type } }));
+}
+
+function buildSearchResultsUrl(cfg) {
+    const u = new URL(SEARCH_RESULTS_URL);
+    if (cfg.keyword) u.searchParams.set('keyword', cfg.keyword);
+    for (const p of cfg.provinces || []) u.searchParams.append('provinceIds', p.id);
+    for (const c of cfg.categories || []) u.searchParams.append('categoryIds', c.id);
+    for (const [key, value] of toWebParams(cfg.filters)) u.searchParams.append(key, value);
+    return u.href;
+}
+
+// Adds filter params to user-supplied search-results URLs, keeping any the URL already sets.
+function applyWebFilters(url, filters) {
+    const u = new URL(url);
+    if (!u.pathname.startsWith('/jobsearch/search-results')) return url;
+    const existing = new Set(u.searchParams.keys());
+    for (const [key, value] of toWebParams(filters)) {
+        if (!existing.has(key)) u.searchParams.append(key, value);
+    }
+    return u.href;
+}
+
 function buildLocation(item) {
     if (!item) return null;
     const parts = [item.city, item.province?.value, item.country?.value].filter(Boolean);
@@ -505,12 +1493,7 @@ function toAbs(href, base) {
     }
 }
 
-function isBlocked(html) {
-    const lower = (html || '').toLowerCase();
-    return BLOCK_MARKERS.some((m) => lower.includes(m));
-}
-
-function normalizeInput(input) {
+export function normalizeInput(input) {
     const {
         keyword = '',
         location = '',
@@ -522,17 +1505,89 @@ function normalizeInput(input) {
         collectDetails = true,
         proxyConfiguration,
         dedupe = true,
+        monitor = false,
+        monitorStoreName = 'infojobs-monitor',
+        recheckOffers = [],
+        recheckDatasetId,
+        postedAfter,
+        maxAgeDays,
+        nearLocation,
+        radiusKm,
+        collectCompanies = false,
+        companiesDatasetName = 'infojobs-companies',
+        webhookUrl,
+        webhookFormat = 'json',
+        webhookSecret,
+        webhookPayloadTemplate,
+        webhookBatchSize = 0,
+        webhookMaxRetries = 3,
+        apiClientId,
+        apiClientSecret,
+        apiRequestsPerSecond = 5,
+        apiMaxRetries = 5,
+        apiDetailConcurrency = 10,
+        skillExtraction = true,
+        extraSkills = [],
+        maxBlockRate = 50,
+        escalateToBrowser = true,
+        browserOnly = false,
     } = input;
 
+    const filters = normalizeFilters(input);
+    const cutoff = resolveDateCutoff({ postedAfter, maxAgeDays });
+    // Listings start from the narrowest date window that still holds every offer since the cutoff.
+    if (cutoff && (!filters.postedWithin || filters.postedWithin === 'any')) {
+        filters.postedWithin = postedWithinForCutoff(cutoff) || filters.postedWithin;
+    }
+    const radius = resolveRadius({ nearLocation, radiusKm });
+    const recheck = (typeof recheckOffers === 'string' ? recheckOffers.split(/[\s,]+/) : [].concat(recheckOffers || []))
+        .map((value) => (typeof value === 'string' ? value.trim() : value))
+        .filter(Boolean);
+    const startTargets = groupStartUrls(collectStartUrls(startUrls || [], startUrl || []));
+
     return {
         keyword,
-        location,
+        // Without a location, a radius search covers the provinces within reach.
+        location: location || (radius ? radius.provinceKeys.join(',') : ''),
         category,
         startUrl,
         startUrls,
+        startTargets,
+        // Without start URLs the API searches the input terms; with them, only a single search URL is searched.
+        apiSearch: !Object.values(startTargets).flat().length || startTargets.search.length === 1,
+        filters,
+        // Offers published before this ISO date are left out; set by postedAfter and maxAgeDays.
+        cutoff,
+        // { center, latitude, longitude, km, provinces } of nearLocation/radiusKm, or null
+        radius,
         proxyConfiguration,
         collectDetails,
         dedupe,
+        monitor: Boolean(monitor),
+        monitorStoreName: monitorStoreName || 'infojobs-monitor',
+        // Recheck runs revisit these offers instead of searching.
+        recheck: Boolean(recheck.length || recheckDatasetId),
+        recheckOffers: recheck,
+        recheckDatasetId: recheckDatasetId || null,
+        collectCompanies: Boolean(collectCompanies),
+        companiesDatasetName: companiesDatasetName || 'infojobs-companies',
+        webhookUrl: webhookUrl || null,
+        webhookFormat: webhookFormat || 'json',
+        webhookSecret: webhookSecret || null,
+        webhookPayloadTemplate: webhookPayloadTemplate || null,
+        webhookBatchSize: Math.max(0, Number(webhookBatchSize) || 0),
+        webhookMaxRetries: Math.max(0, Number(webhookMaxRetries) || 0),
+        apiClientId: apiClientId || null,
+        apiClientSecret: apiClientSecret || null,
+        apiRequestsPerSecond: Math.max(0, Number(apiRequestsPerSecond) || 0),
+        apiMaxRetries: Math.max(0, Number(apiMaxRetries) || 0),
+        apiDetailConcurrency: Math.max(1, Number(apiDetailConcurrency) || 1),
+        skillExtraction: skillExtraction !== false,
+        extraSkills: normalizeSkillEntries(extraSkills),
+        output: normalizeOutputOptions(input),
+        maxBlockRate: Math.min(100, Math.max(0, Number(maxBlockRate) || 0)),
+        escalateToBrowser: escalateToBrowser !== false,
+        browserOnly: Boolean(browserOnly),
         maxItems: Math.max(1, Number(resultsWanted) || 50),
         maxPages: Math.max(1, Number(maxPagesRaw) || 20),
         pageSize: 20,
@@ -544,12 +1599,12 @@ async function runPlaywrightListAndDetails(cfg, state, proxyConfiguration) {
     const startUrls = buildStartUrls(cfg);
     if (!startUrls.length) {
         log.warning('No start URLs built for Playwright phase.');
-        return;
+        return 'no start URLs';
     }
 
-    const detailUrls = new Set();
-    let sessionCookies = [];
-    let userAgent = DEFAULT_HEADERS['user-agent'];
+    // Discovered URLs and the browser session live on `state` so they survive a migration.
+    const detailUrls = state.browserDetailUrls;
+    queueStartOffers(cfg, state, detailUrls);
 
     const listCrawler = new PlaywrightCrawler({
         proxyConfiguration,
@@ -558,22 +1613,9 @@ async function runPlaywrightListAndDetails(cfg, state, proxyConfiguration) {
         maxRequestRetries: 1,
         requestHandlerTimeoutSecs: 35,
         navigationTimeoutSecs: 25,
-        maxRequestsPerCrawl: cfg.maxPages * 3 + 5,
-        launchContext: {
-            launchOptions: {
-                headless: true,
-                args: [
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-features=IsolateOrigins,site-per-process',
-                    '--lang=es-ES',
-                    '--window-size=1920,1080',
-                ],
-            },
-        },
-        async requestHandler({ page, request, crawler, log: crawlerLog }) {
+        ...BLOCK_HANDLING_OPTIONS,
+        launchContext: BROWSER_LAUNCH_CONTEXT,
+        async requestHandler({ page, request, session, crawler, log: crawlerLog }) {
             const currentPage = request.userData.page || 1;
 
             await page.setExtraHTTPHeaders(DEFAULT_HEADERS);
@@ -585,19 +1627,24 @@ async function runPlaywrightListAndDetails(cfg, state, proxyConfiguration) {
                 Object.defineProperty(navigator, 'plugins', { get: () => [1, 2, 3, 4, 5] });
             });
 
-            await page.goto(request.url, { waitUntil: 'domcontentloaded', timeout: 25000 });
+            const response = await page.goto(request.url, { waitUntil: 'domcontentloaded', timeout: 25000 });
             await page.waitForTimeout(500 + Math.random() * 500);
+            countPage(state.report, state.phase, 'list');
+            const html = await page.content();
+            const statusCode = response?.status();
+            const $dom = cheerioLoad(html);
+            assertNotBlocked(cfg, state, { request, session, crawler, statusCode, html, $: $dom, kind: 'list' });
 
-            if (!sessionCookies.length) {
+            if (!state.sessionCookies.length) {
                 try {
                     const cookies = await page.context().cookies();
-                    if (cookies?.length) sessionCookies = cookies;
+                    if (cookies?.length) state.sessionCookies = cookies;
                 } catch {}
             }
-            if (userAgent === DEFAULT_HEADERS['user-agent']) {
+            if (state.userAgent === DEFAULT_HEADERS['user-agent']) {
                 try {
                     const ua = await page.evaluate(() => navigator.userAgent);
-                    if (ua) userAgent = ua;
+                    if (ua) state.userAgent = ua;
                 } catch {}
             }
 
@@ -618,46 +1665,56 @@ async function runPlaywrightListAndDetails(cfg, state, proxyConfiguration) {
                 .filter(Boolean)
                 .map((u) => u.split('?')[0]);
 
+            const dates = extractListDates($dom, request.url);
             for (const u of absLinks) {
                 if (detailUrls.size >= cfg.maxItems * 3) break;
-                if (cfg.dedupe && state.seenUrls.has(u)) continue;
+                if (cfg.dedupe && isSeen(state, u)) {
+                    skipDuplicate(state, u);
+                    continue;
+                }
+                if (isBeforeCutoff(dates.get(u), cfg.cutoff)) {
+                    skipBeforeCutoff(state, u);
+                    continue;
+                }
                 detailUrls.add(u);
-                if (cfg.dedupe) state.seenUrls.add(u);
+                if (cfg.dedupe) markSeen(state, u);
             }
 
-            if (detailUrls.size >= cfg.maxItems * 2 || currentPage >= cfg.maxPages) return;
-
-            const nextHref = await page
-                .$eval(
-                    'a[aria-label*="iguiente"], a:has-text("Siguiente"), a:has-text("Siguiente >")',
-                    (a) => a.getAttribute('href') || '',
-                )
-                .catch(() => null);
-
-            if (nextHref) {
-                const nextAbs = toAbs(nextHref, request.url);
-                if (nextAbs) {
-                    await crawler.addRequests([{ url: nextAbs, userData: { page: currentPage + 1 } }]);
-                }
-            }
+            crawlerLog.info(`[LIST] Page ${currentPage} yielded ${absLinks.length} job links.`);
+            const next = nextListRequests(cfg, state, {
+                $: $dom,
+                url: request.url,
+                userData: request.userData,
+                links: absLinks,
+                dates,
+                wanted: cfg.maxItems - detailUrls.size,
+            });
+            if (next.length) await crawler.addRequests(next.map((r) => phaseRequest('playwright', r)));
         },
+        failedRequestHandler: (ctx, error) => escalateFailedRequest(cfg, state, ctx, error),
     });
 
-    await listCrawler.run(
-        startUrls.map((u) => ({
-            url: u,
-            userData: { page: 1 },
-        })),
-    );
+    if (state.phasesDone.has('playwright-list')) {
+        log.info(`Playwright list pages already crawled before the restart (${detailUrls.size} URLs).`);
+    } else if (state.saved >= cfg.maxItems) {
+        log.info('results_wanted already reached; only fetching the offers held back by the API phase.');
+    } else {
+        await listCrawler.run(listStartRequests(startUrls).map((r) => phaseRequest('playwright', r)));
+        state.phasesDone.add('playwright-list');
+    }
+    if (state.abortReason) return state.abortReason;
 
     if (!detailUrls.size) {
         log.warning('Playwright phase found no detail URLs.');
-        return;
+        return 'no detail URLs found';
     }
 
-    const detailList = Array.from(detailUrls).slice(0, cfg.maxItems * 3);
+    const detailList = Array.from(detailUrls)
+        .slice(0, cfg.maxItems * 3)
+        .filter((u) => needsDetail(state, u));
     const detailCrawler = new CheerioCrawler({
         proxyConfiguration,
+        ...HTTP_BLOCK_HANDLING_OPTIONS,
         maxConcurrency: cfg.htmlDetailConcurrency,
         maxRequestRetries: 2,
         requestHandlerTimeoutSecs: 25,
@@ -665,32 +1722,337 @@ async function runPlaywrightListAndDetails(cfg, state, proxyConfiguration) {
             async ({ request }) => {
                 request.headers ??= {};
                 Object.assign(request.headers, DEFAULT_HEADERS);
-                if (sessionCookies.length) {
-                    request.headers.cookie = sessionCookies.map((c) => `${c.name}=${c.value}`).join('; ');
+                if (state.sessionCookies.length) {
+                    request.headers.cookie = state.sessionCookies.map((c) => `${c.name}=${c.value}`).join('; ');
                 }
-                request.headers['user-agent'] = userAgent;
+                request.headers['user-agent'] = state.userAgent;
             },
         ],
-        async requestHandler({ request, body, $, log: crawlerLog }) {
-            if (state.saved >= cfg.maxItems) return;
+        async requestHandler({ request, response, session, body, $, log: crawlerLog, crawler }) {
+            if (!wantsOffer(cfg, state, request.url)) return;
             const html = body?.toString?.() || '';
-            if (isBlocked(html)) {
-                state.blocked += 1;
-                crawlerLog.warning(`[DETAIL][BLOCK] ${request.url}`);
+            countPage(state.report, state.phase, 'detail');
+            const $dom = $ || cheerioLoad(html);
+            const statusCode = response?.statusCode;
+            if (skipUnavailableOffer(state, { request, statusCode, html, $: $dom })) return;
+            assertNotBlocked(cfg, state, { request, session, crawler, statusCode, html, $: $dom, kind: 'detail' });
+            const job = extractJobFromDetail($dom, request.url, { source: PHASE_SOURCES.playwright });
+            if (!job.title) {
+                noteParseFailure(state, request.url, 'missing title');
                 return;
             }
-            const $dom = $ || cheerioLoad(html);
-            const job = extractJobFromDetail($dom, request.url);
-            if (!job.title) return;
-            await Actor.pushData(job);
-            state.saved += 1;
+            await pushJob(job, state);
             crawlerLog.info(`[DETAIL] Saved job #${state.saved}: ${job.title}`);
         },
+        failedRequestHandler: (ctx, error) => escalateFailedRequest(cfg, state, ctx, error),
     });
 
-    await detailCrawler.run(
-        detailList.map((u) => ({
-            url: u,
+    await detailCrawler.run(detailList.map((u) => phaseRequest('playwright', { url: u })));
+    await runBrowserEscalation(cfg, state, proxyConfiguration);
+    return crawlStopReason(cfg, state);
+}
+
+// Second chance in a real browser for the list and detail URLs that kept failing over HTTP. Offers found on
+// escalated list pages are fetched in the browser too.
+async function runBrowserEscalation(cfg, state, proxyConfiguration) {
+    const urls = [...state.escalateUrls].filter((u) => needsDetail(state, u));
+    if (!urls.length || state.abortReason || !urls.some((u) => wantsOffer(cfg, state, u))) return;
+    log.info(`Retrying ${urls.length} URLs that kept failing over HTTP in the browser...`);
+
+    const crawler = new PlaywrightCrawler({
+        proxyConfiguration,
+        ...BLOCK_HANDLING_OPTIONS,
+        maxConcurrency: 2,
+        maxRequestRetries: 1,
+        requestHandlerTimeoutSecs: 45,
+        navigationTimeoutSecs: 30,
+        launchContext: BROWSER_LAUNCH_CONTEXT,
+        async requestHandler({ page, request, response, session, crawler: browserCrawler, log: crawlerLog }) {
+            if (!wantsOffer(cfg, state, request.url)) return;
+            const { kind } = request.userData;
+            await page.waitForLoadState('domcontentloaded');
+            const html = await page.content();
+            const $ = cheerioLoad(html);
+            countPage(state.report, state.phase, kind);
+            const statusCode = response?.status();
+            if (kind === 'detail' && skipUnavailableOffer(state, { request, statusCode, html, $ })) return;
+            assertNotBlocked(cfg, state, { request, session, crawler: browserCrawler, statusCode, html, $, kind });
+
+            if (kind === 'list') {
+                const links = extractJobLinksCheerio($, request.url).filter(
+                    (u) => !isProcessed(state, u) && !(cfg.dedupe && isSeen(state, u)),
+                );
+                if (cfg.dedupe) markSeen(state, ...links);
+                await browserCrawler.addRequests(
+                    links.map((u) => phaseRequest('browser', { url: u, userData: { kind: 'detail' } })),
+                );
+                return;
+            }
+
+            const job = extractJobFromDetail($, request.url, { source: PHASE_SOURCES.browser });
+            if (!job.title) {
+                noteParseFailure(state, request.url, 'missing title');
+                return;
+            }
+            await pushJob(job, state);
+            crawlerLog.info(`[BROWSER] Saved job #${state.saved}: ${job.title}`);
+        },
+        failedRequestHandler: () => {
+            state.lost += 1;
+        },
+    });
+
+    await crawler.run(
+        urls.map((u) => phaseRequest('browser', { url: u, userData: { kind: isOfferUrl(u) ? 'detail' : 'list' } })),
+    );
+    for (const u of urls) state.escalateUrls.delete(u);
+}
+
+// Everything in the browser, for when plain HTTP requests get blocked. List pages yield the offers of the web app's
+// page state and XHR responses, which are saved as they are; with collectDetails the offer pages are opened in the
+// browser as well and complete them.
+async function runBrowserHarvest(cfg, state, proxyConfiguration) {
+    log.info('Running browser-only mode (Playwright, embedded page state) ...');
+    const startUrls = buildStartUrls(cfg);
+    if (!startUrls.length) {
+        log.warning('No start URLs built for browser mode.');
+        return 'no start URLs';
+    }
+
+    const pendingDetails = new Set();
+    queueStartOffers(cfg, state, pendingDetails);
+    const visitedListPages = new Set(startUrls);
+    const xhrBodies = new WeakMap();
+
+    const crawler = new PlaywrightCrawler({
+        proxyConfiguration,
+        ...BLOCK_HANDLING_OPTIONS,
+        maxConcurrency: 2,
+        maxRequestRetries: 2,
+        requestHandlerTimeoutSecs: 60,
+        navigationTimeoutSecs: 30,
+        launchContext: BROWSER_LAUNCH_CONTEXT,
+        preNavigationHooks: [
+            async ({ page, request }) => {
+                if (request.userData.kind !== 'list') return;
+                // JSON responses of the results page, read once the page has settled.
+                const bodies = [];
+                xhrBodies.set(page, bodies);
+                page.on('response', (res) => {
+                    if (/json/i.test(res.headers()['content-type'] || '')) bodies.push(res.json().catch(() => null));
+                });
+            },
+        ],
+        async requestHandler({ page, request, response, session, crawler: browserCrawler, log: crawlerLog }) {
+            if (state.saved >= cfg.maxItems) return;
+            const { kind, offer } = request.userData;
+            if (kind === 'list') await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+            const html = await page.content();
+            const $ = cheerioLoad(html);
+            countPage(state.report, state.phase, kind);
+            const statusCode = response?.status();
+            if (kind === 'detail' && skipUnavailableOffer(state, { request, statusCode, html, $ })) {
+                pendingDetails.delete(request.url);
+                return;
+            }
+            assertNotBlocked(cfg, state, { request, session, crawler: browserCrawler, statusCode, html, $, kind });
+
+            if (kind === 'detail') {
+                pendingDetails.delete(request.url);
+                const job = extractJobFromDetail($, request.url, { source: PHASE_SOURCES.browser });
+                if (!job.title) noteParseFailure(state, request.url, 'missing title');
+                if (!job.title && !offer) return;
+                // The page state's structured fields first, the detail page fills the rest.
+                const record = offer ? mergeRecords(offer, job) : job;
+                await pushJob(record, state);
+                crawlerLog.info(`[BROWSER] Saved job #${state.saved}: ${record.title}`);
+                return;
+            }
+
+            const pageIdx = request.userData.page || 1;
+            const stateSources = [...extractPageState($), ...(await Promise.all(xhrBodies.get(page) || []))];
+            const offers = findStateOffers(...stateSources);
+            // Without page state the offer links are all there is, and the offer pages have to be opened.
+            const found = offers.length ? offers : extractJobLinksCheerio($, request.url).map((link) => ({ link }));
+            const dates = extractListDates($, request.url);
+            let fresh = 0;
+            for (const item of found) {
+                if (state.saved + pendingDetails.size >= cfg.maxItems) break;
+                const url = item.link;
+                const record = item.title ? normalizeJobRecord(mapStateOffer(item)) : null;
+                const id = record?.id ?? url;
+                if (record?.date_posted) dates.set(url, record.date_posted);
+                if (isProcessed(state, id) || isProcessed(state, url) || pendingDetails.has(url)) continue;
+                if (cfg.dedupe && (isSeen(state, url) || isSeen(state, record?.id))) {
+                    skipDuplicate(state, record?.id, url);
+                    continue;
+                }
+                if (isBeforeCutoff(dates.get(url), cfg.cutoff)) {
+                    skipBeforeCutoff(state, id, url);
+                    continue;
+                }
+                if (cfg.dedupe) markSeen(state, url, record?.id);
+                fresh += 1;
+                if (record && !cfg.collectDetails) {
+                    await pushJob(record, state);
+                    continue;
+                }
+                pendingDetails.add(url);
+                await browserCrawler.addRequests([
+                    phaseRequest('browser', { url, userData: { kind: 'detail', offer: record } }),
+                ]);
+            }
+            crawlerLog.info(`[BROWSER] Page ${pageIdx}: ${offers.length} offers in page state, ${fresh} new.`);
+
+            const next = nextListRequests(cfg, state, {
+                $,
+                url: request.loadedUrl || request.url,
+                userData: request.userData,
+                links: found.map((item) => item.link),
+                dates,
+                stateSources,
+                wanted: cfg.maxItems - state.saved - pendingDetails.size,
+            }).filter((r) => !visitedListPages.has(r.url));
+            next.forEach((r) => visitedListPages.add(r.url));
+            await browserCrawler.addRequests(
+                next.map((r) => phaseRequest('browser', { ...r, userData: { ...r.userData, kind: 'list' } })),
+            );
+        },
+        // An offer page that cannot be opened still leaves the list-level record.
+        async failedRequestHandler({ request }) {
+            const { kind, offer } = request.userData;
+            if (kind !== 'detail') {
+                state.lost += 1;
+                return;
+            }
+            pendingDetails.delete(request.url);
+            if (offer && state.saved < cfg.maxItems) await pushJob(offer, state);
+        },
+    });
+
+    await crawler.run([
+        ...listStartRequests(startUrls, { kind: 'list' }).map((r) => phaseRequest('browser', r)),
+        ...[...pendingDetails].map((u) => phaseRequest('browser', { url: u, userData: { kind: 'detail' } })),
+    ]);
+    return crawlStopReason(cfg, state);
+}
+
+// Recheck runs look every offer up through the API by its ID when credentials work, and on its page otherwise or when
+// the API does not return it. Each offer gets one status record; an offer whose check failed is reported as
+// `unknown`, never as gone.
+export async function runRecheck(cfg, state, { apiClient = null, proxyConfiguration } = {}) {
+    const targets = (await readRecheckTargets(cfg)).filter((target) => !isProcessed(state, target.key));
+    if (!targets.length) {
+        log.warning('No offers to recheck.');
+        return 'no offers to recheck';
+    }
+    log.info(`Rechecking ${targets.length} offers${apiClient ? ' (API first)' : ''}...`);
+
+    const pageTargets = apiClient ? await recheckViaApi(apiClient, cfg, state, targets) : targets;
+    if (pageTargets.length) await recheckPages(cfg, state, proxyConfiguration, pageTargets);
+    for (const target of pageTargets) {
+        const reason = state.abortReason ? `not checked: ${state.abortReason}` : 'not checked';
+        await pushRecheck(state, target, { status: 'unknown', reason });
+    }
+
+    const counts = Object.entries(state.recheck).map(([status, count]) => `${status}=${count}`);
+    log.info(`Recheck: ${counts.join(' ')}`);
+    return state.abortReason || 'all offers rechecked';
+}
+
+// Returns the targets the API could not settle: those without an ID and those it does not return.
+async function recheckViaApi(apiClient, cfg, state, targets) {
+    const queue = targets.filter((target) => target.id);
+    const unsettled = targets.filter((target) => !target.id);
+    let inFlight = 0;
+
+    const pool = new AutoscaledPool({
+        maxConcurrency: cfg.apiDetailConcurrency,
+        desiredConcurrency: cfg.apiDetailConcurrency,
+        isTaskReadyFunction: async () => queue.length > 0,
+        isFinishedFunction: async () => !queue.length && !inFlight,
+        runTaskFunction: async () => {
+            const target = queue.shift();
+            if (!target) return;
+            inFlight += 1;
+            try {
+                let detail;
+                try {
+                    detail = await fetchApiDetail(apiClient, target.id);
+                } catch (err) {
+                    // A closed offer and a removed one look the same to the API; the page tells them apart.
+                    log.debug(`[recheck] API lookup failed for ${target.id}: ${err.message}`);
+                    unsettled.push(target);
+                    return;
+                }
+                countPage(state.report, state.phase, 'detail');
+                const job = normalizeJobRecord(mapApiOffer({ id: target.id, link: target.url }, detail));
+                await pushRecheck(state, target, { ...offerStatusFromApi(detail), via: 'api', job });
+            } finally {
+                inFlight -= 1;
+            }
+        },
+    });
+    await pool.run();
+    return unsettled;
+}
+
+async function recheckPages(cfg, state, proxyConfiguration, targets) {
+    const byKey = new Map(targets.map((target) => [target.key, target]));
+    const crawler = new CheerioCrawler({
+        proxyConfiguration,
+        ...HTTP_BLOCK_HANDLING_OPTIONS,
+        maxConcurrency: cfg.htmlDetailConcurrency,
+        maxRequestRetries: 2,
+        requestHandlerTimeoutSecs: 25,
+        async requestHandler({ request, response, session, body, $, crawler: pageCrawler }) {
+            const target = byKey.get(request.userData.key);
+            const html = body?.toString?.() || '';
+            countPage(state.report, state.phase, 'detail');
+            const $dom = $ || cheerioLoad(html);
+            const statusCode = response?.statusCode;
+            const notice = readDetailNotice({ request, statusCode, html, $: $dom });
+            if (notice) return pushRecheck(state, target, { ...notice, via: 'page' });
+            assertNotBlocked(cfg, state, {
+                request,
+                session,
+                crawler: pageCrawler,
+                statusCode,
+                html,
+                $: $dom,
+                kind: 'detail',
+            });
+
+            const job = extractJobFromDetail($dom, request.loadedUrl || request.url);
+            if (!job.title) {
+                noteParseFailure(state, request.url, 'missing title');
+                return pushRecheck(state, target, { status: 'unknown', reason: 'offer page not recognized' });
+            }
+            await pushRecheck(state, target, { ...offerStatusFromRecord(job), via: 'page', job });
+        },
+        async failedRequestHandler({ request }, error) {
+            const target = byKey.get(request.userData.key);
+            await pushRecheck(state, target, { status: 'unknown', reason: error.message, via: 'page' });
+        },
+    });
+
+    await crawler.run(
+        targets.map((target) => ({
+            url: recheckPageUrl(target),
+            uniqueKey: `recheck:${target.key}`,
+            userData: { key: target.key },
+            headers: DEFAULT_HEADERS,
         })),
     );
 }
+
+// Status records bypass the offer pipeline (skills, monitor, batches, notifications) but honour the output fields.
+async function pushRecheck(state, target, { status, reason, via = null, job = null }) {
+    if (isProcessed(state, target.key)) return;
+    const record = buildRecheckRecord(target, { status, reason, via, job });
+    state.processed.add(target.key);
+    state.saved += 1;
+    state.recheck[status] += 1;
+    countRecord(state.report, state.phase, record);
+    await Actor.pushData(selectFields(record, state.output));
+}
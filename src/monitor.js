@@ -0,0 +1,111 @@
+// Incremental monitoring - remembers offers between runs in a named key-value store
+import { createHash } from 'node:crypto';
+import { Actor, log } from 'apify';
+
+const SNAPSHOT_KEY = 'OFFERS';
+
+// Fields that change on every run (or are produced by the monitor itself) and must not affect the hash.
+const VOLATILE_FIELDS = new Set(['scraped_at', 'change_type', 'changed_fields', 'first_seen_at', 'last_seen_at']);
+
+export async function openMonitor(cfg) {
+    if (!cfg.monitor) return null;
+    const store = await Actor.openKeyValueStore(cfg.monitorStoreName);
+    const previous = (await store.getValue(SNAPSHOT_KEY)) || {};
+    log.info(`Monitoring mode on | store=${cfg.monitorStoreName} known offers=${Object.keys(previous).length}`);
+    return {
+        store,
+        previous,
+        current: {},
+        counts: { new: 0, updated: 0, unchanged: 0, removed: 0 },
+    };
+}
+
+// Returns the record labelled with its change type, or null when it is unchanged since the last run.
+export function trackChanges(monitor, record) {
+    const id = String(record.id);
+    const fields = hashFields(record);
+    const hash = hashValue(fields);
+    const now = new Date().toISOString();
+    const known = monitor.current[id] || monitor.previous[id];
+
+    monitor.current[id] = {
+        hash,
+        fields,
+        url: record.url || null,
+        title: record.title || null,
+        company: record.company || null,
+        first_seen_at: known?.first_seen_at || now,
+        last_seen_at: now,
+    };
+
+    if (!known) {
+        monitor.counts.new += 1;
+        return { ...record, change_type: 'new', changed_fields: [], first_seen_at: now, last_seen_at: now };
+    }
+    if (known.hash === hash) {
+        monitor.counts.unchanged += 1;
+        return null;
+    }
+
+    const keys = new Set([...Object.keys(known.fields || {}), ...Object.keys(fields)]);
+    const changed = [...keys].filter((k) => known.fields?.[k] !== fields[k]);
+    monitor.counts.updated += 1;
+    return {
+        ...record,
+        change_type: 'updated',
+        changed_fields: changed,
+        first_seen_at: known.first_seen_at,
+        last_seen_at: now,
+    };
+}
+
+// Emits `removed` items for offers missing from this run through `emit` and stores the new snapshot.
+// Removal is only reported when the run covered the whole search; otherwise unseen offers are carried over.
+export async function finalizeMonitor(monitor, { complete, emit }) {
+    if (!monitor) return;
+    const next = { ...monitor.current };
+    const now = new Date().toISOString();
+
+    for (const [id, entry] of Object.entries(monitor.previous)) {
+        if (next[id]) continue;
+        if (!complete) {
+            next[id] = entry;
+            continue;
+        }
+        await emit({
+            id,
+            url: entry.url,
+            title: entry.title,
+            company: entry.company,
+            change_type: 'removed',
+            changed_fields: [],
+            first_seen_at: entry.first_seen_at,
+            last_seen_at: entry.last_seen_at,
+            scraped_at: now,
+        });
+        monitor.counts.removed += 1;
+    }
+
+    if (!complete) {
+        log.info('Monitoring: run did not cover every search in full, skipping removal detection.');
+    }
+
+    await monitor.store.setValue(SNAPSHOT_KEY, next);
+    const { counts } = monitor;
+    log.info(
+        `Monitoring: new=${counts.new} updated=${counts.updated} unchanged=${counts.unchanged} removed=${counts.removed}`,
+    );
+}
+
+function hashFields(record) {
+    const out = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (VOLATILE_FIELDS.has(key)) continue;
+        out[key] = hashValue(value ?? null);
+    }
+    return out;
+}
+
+function hashValue(value) {
+    return createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,187 @@
+// Webhook notifications - posts pushed offers to a webhook (raw JSON, Slack or Teams format)
+import { createHmac } from 'node:crypto';
+import { log } from 'apify';
+import { gotScraping } from 'got-scraping';
+
+// Only these fields are kept for notifications, so the pending buffer stays small enough to checkpoint.
+const NOTIFY_FIELDS = [
+    'id',
+    'url',
+    'title',
+    'company',
+    'location',
+    'salary',
+    'salary_min',
+    'salary_max',
+    'salary_currency',
+    'salary_period',
+    'job_type',
+    'date_posted',
+    'remote',
+    'source',
+    'change_type',
+    'changed_fields',
+    'search_ids',
+];
+
+const FORMATS = ['json', 'slack', 'teams'];
+// Offers listed in one Slack or Teams message; Slack caps a message at 50 blocks and Teams
+// rejects cards over 28 KB, so the rest are summed up in a last line.
+const MAX_LISTED = 45;
+
+export function createNotifier(cfg) {
+    if (!cfg.webhookUrl) return null;
+    if (!FORMATS.includes(cfg.webhookFormat)) {
+        throw new Error(`Invalid webhookFormat "${cfg.webhookFormat}". Allowed values: ${FORMATS.join(', ')}`);
+    }
+    log.info(`Notifications on | format=${cfg.webhookFormat} batchSize=${cfg.webhookBatchSize || 'end of run'}`);
+    return {
+        url: cfg.webhookUrl,
+        format: cfg.webhookFormat,
+        template: cfg.webhookPayloadTemplate || null,
+        secret: cfg.webhookSecret || null,
+        batchSize: cfg.webhookBatchSize,
+        maxRetries: cfg.webhookMaxRetries,
+        retryDelayMs: 1000,
+        pending: [],
+        sent: 0,
+        failed: 0,
+    };
+}
+
+export async function notifyRecord(notifier, record) {
+    if (!notifier) return;
+    notifier.pending.push(Object.fromEntries(NOTIFY_FIELDS.map((f) => [f, record[f] ?? null])));
+    if (notifier.batchSize > 0 && notifier.pending.length >= notifier.batchSize) {
+        await flushNotifications(notifier);
+    }
+}
+
+export async function flushNotifications(notifier) {
+    if (!notifier || !notifier.pending.length) return;
+    const records = notifier.pending.splice(0, notifier.pending.length);
+    const payload = buildPayload(notifier, records);
+    try {
+        await deliverWebhook(notifier.url, payload, notifier);
+        notifier.sent += records.length;
+        log.info(`Notifications: delivered ${records.length} offers.`);
+    } catch (err) {
+        notifier.failed += records.length;
+        log.warning(`Notifications: giving up on ${records.length} offers: ${err.message}`);
+    }
+}
+
+export function buildPayload(notifier, records) {
+    if (notifier.template) return renderTemplate(notifier.template, { records, count: records.length });
+    if (notifier.format === 'slack') return slackPayload(records);
+    if (notifier.format === 'teams') return teamsPayload(records);
+    return { count: records.length, records, sent_at: new Date().toISOString() };
+}
+
+// POSTs the payload, retrying network errors, 429 and 5xx with exponential backoff. When a secret is set the
+// body is signed with HMAC-SHA256 over "<timestamp>.<body>".
+export async function deliverWebhook(url, payload, { secret, maxRetries = 3, retryDelayMs = 1000 } = {}) {
+    const body = JSON.stringify(payload);
+    let lastError;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (attempt > 0) await sleep(retryDelayMs * 2 ** (attempt - 1));
+        const headers = { 'content-type': 'application/json' };
+        if (secret) {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            headers['x-webhook-timestamp'] = timestamp;
+            headers['x-webhook-signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+        }
+        try {
+            const res = await gotScraping({
+                url,
+                method: 'POST',
+                body,
+                headers,
+                useHeaderGenerator: false,
+                throwHttpErrors: false,
+                retry: { limit: 0 },
+            });
+            if (res.statusCode < 300) return res.statusCode;
+            lastError = new Error(`webhook responded with status ${res.statusCode}`);
+            if (res.statusCode !== 429 && res.statusCode < 500) break;
+        } catch (err) {
+            lastError = err;
+        }
+        log.debug(`Webhook attempt ${attempt + 1} failed: ${lastError.message}`);
+    }
+    throw lastError;
+}
+
+export function signPayload(secret, timestamp, body) {
+    return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function slackPayload(records) {
+    const text = `${records.length} new InfoJobs offer${records.length === 1 ? '' : 's'}`;
+    const blocks = [{ type: 'header', text: { type: 'plain_text', text } }];
+    for (const r of records.slice(0, MAX_LISTED)) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: formatLine(r) } });
+    }
+    if (records.length > MAX_LISTED) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: moreLine(records) }] });
+    }
+    return { text, blocks };
+}
+
+function teamsPayload(records) {
+    const title = `${records.length} new InfoJobs offer${records.length === 1 ? '' : 's'}`;
+    const sections = records.slice(0, MAX_LISTED).map((r) => ({
+        activityTitle: `[${r.title || 'Untitled offer'}](${r.url})`,
+        facts: [
+            { name: 'Company', value: r.company || '-' },
+            { name: 'Location', value: r.location || '-' },
+            { name: 'Salary', value: formatSalary(r) || '-' },
+        ],
+    }));
+    if (records.length > MAX_LISTED) sections.push({ text: moreLine(records) });
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: title,
+        title,
+        sections,
+    };
+}
+
+function moreLine(records) {
+    return `…and ${records.length - MAX_LISTED} more`;
+}
+
+function formatLine(r) {
+    const title = `*<${r.url}|${r.title || 'Untitled offer'}>*`;
+    const details = [r.company, r.location, formatSalary(r)].filter(Boolean).join(' · ');
+    return details ? `${title}\n${details}` : title;
+}
+
+function formatSalary(r) {
+    if (r.salary) return r.salary;
+    if (r.salary_min == null && r.salary_max == null) return null;
+    const range = [r.salary_min, r.salary_max].filter((v) => v != null).join(' - ');
+    return `${range} ${r.salary_currency || ''}/${r.salary_period || 'year'}`.trim();
+}
+
+// Replaces "{{records}}"/"{{count}}" string values (whole-value placeholders keep their type) and
+// "{{count}}" inside longer strings.
+function renderTemplate(template, vars) {
+    if (typeof template === 'string') {
+        const whole = template.match(/^\{\{\s*(\w+)\s*\}\}$/);
+        if (whole && whole[1] in vars) return vars[whole[1]];
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) =>
+            key in vars && typeof vars[key] !== 'object' ? String(vars[key]) : m,
+        );
+    }
+    if (Array.isArray(template)) return template.map((t) => renderTemplate(t, vars));
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, renderTemplate(v, vars)]));
+    }
+    return template;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
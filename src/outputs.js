@@ -0,0 +1,214 @@
+// Output sinks - flattened CSV, NDJSON and SQLite exports of the run's records, saved as key-value store records
+import { Actor, log } from 'apify';
+import initSqlJs from 'sql.js';
+
+export const OUTPUT_FORMATS = ['csv', 'ndjson', 'sqlite'];
+
+const OUTPUT_KEYS = { csv: 'JOBS_CSV', ndjson: 'JOBS_NDJSON', sqlite: 'JOBS_SQLITE' };
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    sqlite: 'application/vnd.sqlite3',
+};
+const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t', pipe: '|' };
+// Joins arrays in flattened (CSV) output.
+const LIST_SEPARATOR = ' | ';
+
+// Throws on unknown formats or delimiters.
+export function normalizeOutputOptions(input = {}) {
+    const formats = [...new Set([].concat(input.outputFormats || []).map((f) => String(f).toLowerCase()))];
+    const unknown = formats.filter((f) => !OUTPUT_FORMATS.includes(f));
+    if (unknown.length) {
+        throw new Error(`Invalid outputFormats ${unknown.join(', ')}. Allowed values: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const delimiter = input.csvDelimiter ?? 'comma';
+    const csvDelimiter = CSV_DELIMITERS[delimiter] ?? (String(delimiter).length === 1 ? String(delimiter) : null);
+    if (!csvDelimiter) {
+        throw new Error(
+            `Invalid csvDelimiter "${delimiter}". Use ${Object.keys(CSV_DELIMITERS).join(', ')} or one character.`,
+        );
+    }
+
+    return {
+        formats,
+        csvDelimiter,
+        csvColumns: toList(input.csvColumns),
+        fields: toList(input.outputFields),
+        omitFields: toList(input.omitFields),
+        storeName: input.outputStoreName || null,
+    };
+}
+
+// Applies outputFields/omitFields to a record before it is stored; `id` is always kept so exports can upsert.
+export function selectFields(record, options) {
+    if (!options || (!options.fields.length && !options.omitFields.length)) return record;
+    const keep = options.fields.length ? new Set(['id', ...options.fields]) : null;
+    return Object.fromEntries(
+        Object.entries(record).filter(
+            ([key]) => (!keep || keep.has(key)) && (key === 'id' || !options.omitFields.includes(key)),
+        ),
+    );
+}
+
+// Reads the run's dataset once and writes every requested export. Companies come from the companies dataset
+// when profiles were collected, otherwise from the company fields of the offers.
+export async function writeOutputs(options, { companiesDataset = null } = {}) {
+    if (!options?.formats.length) return null;
+    const store = await Actor.openKeyValueStore(options.storeName || undefined);
+    const dataset = await Actor.openDataset();
+
+    const rows = [];
+    const columns = new Set(options.csvColumns);
+    const lines = [];
+    const records = [];
+    await dataset.forEach((record) => {
+        if (options.formats.includes('csv')) {
+            const row = flattenRecord(record);
+            if (!options.csvColumns.length) for (const key of Object.keys(row)) columns.add(key);
+            rows.push(row);
+        }
+        if (options.formats.includes('ndjson')) lines.push(JSON.stringify(record));
+        if (options.formats.includes('sqlite')) records.push(record);
+    });
+
+    const summary = {};
+    if (options.formats.includes('csv')) {
+        await store.setValue(OUTPUT_KEYS.csv, toCsv(rows, [...columns], options.csvDelimiter), {
+            contentType: CONTENT_TYPES.csv,
+        });
+        summary.csv = rows.length;
+    }
+    if (options.formats.includes('ndjson')) {
+        await store.setValue(OUTPUT_KEYS.ndjson, lines.length ? `${lines.join('\n')}\n` : '', {
+            contentType: CONTENT_TYPES.ndjson,
+        });
+        summary.ndjson = lines.length;
+    }
+    if (options.formats.includes('sqlite')) {
+        const companies = companiesDataset
+            ? (await companiesDataset.getData({ clean: true })).items
+            : companiesFromJobs(records);
+        summary.sqlite = await writeSqlite(store, records, companies);
+    }
+
+    log.info(
+        `Exports saved to ${options.storeName ? `key-value store "${options.storeName}"` : 'the default key-value store'}: ` +
+            Object.keys(summary)
+                .map((f) => OUTPUT_KEYS[f])
+                .join(', '),
+    );
+    return summary;
+}
+
+// { a: { b: 1 }, tags: ['x', 'y'] } -> { 'a.b': 1, tags: 'x | y' }
+export function flattenRecord(record, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(record || {})) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) {
+            out[name] = value
+                .map((v) => (v && typeof v === 'object' ? JSON.stringify(v) : v))
+                .filter((v) => v != null && v !== '')
+                .join(LIST_SEPARATOR);
+        } else if (value && typeof value === 'object') {
+            flattenRecord(value, name, out);
+        } else {
+            out[name] = value;
+        }
+    }
+    return out;
+}
+
+// UTF-8 BOM and CRLF line ends so Excel opens accents and line breaks correctly.
+export function toCsv(rows, columns, delimiter = ',') {
+    const cell = (value) => {
+        if (value == null) return '';
+        const text = String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) || text !== text.trim()
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    };
+    const lines = [columns.map(cell).join(delimiter)];
+    for (const row of rows) lines.push(columns.map((c) => cell(row[c])).join(delimiter));
+    return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+// Upserts into the database saved by an earlier run to the same store, so a named store accumulates offers.
+async function writeSqlite(store, jobs, companies) {
+    const SQL = await initSqlJs();
+    const previous = await store.getValue(OUTPUT_KEYS.sqlite);
+    const db = previous ? new SQL.Database(new Uint8Array(previous)) : new SQL.Database();
+    try {
+        upsertRows(db, 'jobs', 'id', jobs);
+        upsertRows(
+            db,
+            'companies',
+            'company_id',
+            companies.filter((c) => c.company_id),
+        );
+        const count = (table) => db.exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+        const summary = { jobs: count('jobs'), companies: count('companies') };
+        await store.setValue(OUTPUT_KEYS.sqlite, Buffer.from(db.export()), { contentType: CONTENT_TYPES.sqlite });
+        return summary;
+    } finally {
+        db.close();
+    }
+}
+
+// Columns are added as new fields show up; lists and objects are stored as JSON text.
+function upsertRows(db, table, key, rows) {
+    db.run(`CREATE TABLE IF NOT EXISTS ${table} (${quoteIdent(key)} TEXT PRIMARY KEY)`);
+    const existing = new Set(db.exec(`PRAGMA table_info(${table})`)[0]?.values.map((row) => row[1]) || []);
+
+    db.run('BEGIN');
+    for (const row of rows) {
+        const columns = Object.keys(row);
+        for (const column of columns) {
+            if (existing.has(column)) continue;
+            db.run(`ALTER TABLE ${table} ADD COLUMN ${quoteIdent(column)}`);
+            existing.add(column);
+        }
+        const names = columns.map(quoteIdent);
+        const updates = names.filter((_, i) => columns[i] !== key).map((n) => `${n} = excluded.${n}`);
+        db.run(
+            `INSERT INTO ${table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')}) ` +
+                `ON CONFLICT(${quoteIdent(key)}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`,
+            columns.map((c) => sqlValue(c === key ? String(row[c]) : row[c])),
+        );
+    }
+    db.run('COMMIT');
+}
+
+function companiesFromJobs(jobs) {
+    const companies = new Map();
+    for (const job of jobs) {
+        if (!job.company_id || companies.has(job.company_id)) continue;
+        companies.set(job.company_id, {
+            company_id: job.company_id,
+            company_id_type: job.company_id_type ?? null,
+            name: job.company ?? null,
+            url: job.company_profile_url ?? null,
+            website: job.company_url ?? null,
+            logo_url: job.company_logo ?? null,
+            sector: job.company_sector ?? null,
+            size: job.company_size ?? null,
+        });
+    }
+    return [...companies.values()];
+}
+
+function sqlValue(value) {
+    if (value == null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function toList(value) {
+    if (value == null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map((v) => String(v).trim()).filter(Boolean);
+}
@@ -0,0 +1,93 @@
+// Embedded page state - finds the offers the InfoJobs web app renders in its inline JSON state and XHR responses
+const OFFER_URL_RE = /\/of-[a-z0-9]{4,}/i;
+
+// Inline scripts that hold the app state: JSON script tags and `window.__STATE__ = {...}` assignments.
+const JSON_SCRIPT_SELECTOR = 'script#__NEXT_DATA__, script[type="application/json"]';
+const STATE_ASSIGNMENT_RE = /window\.(__[A-Z_]+__)\s*=\s*/g;
+
+const MAX_DEPTH = 12;
+
+export function isOfferUrl(url) {
+    return OFFER_URL_RE.test(url || '');
+}
+
+// Returns every JSON value embedded in the page; scripts that do not parse are skipped.
+export function extractPageState($) {
+    const states = [];
+    $(JSON_SCRIPT_SELECTOR).each((_, el) => {
+        const parsed = parseJson($(el).contents().text());
+        if (parsed) states.push(parsed);
+    });
+    $('script:not([src])').each((_, el) => {
+        const text = $(el).contents().text();
+        for (const match of text.matchAll(STATE_ASSIGNMENT_RE)) {
+            const parsed = parseJson(sliceJsonValue(text, match.index + match[0].length));
+            if (parsed) states.push(parsed);
+        }
+    });
+    return states;
+}
+
+// Walks page state or XHR bodies for objects that look like offers: a title and a link to an offer page.
+// Offers are returned once each, in the order found.
+export function findStateOffers(...sources) {
+    const offers = new Map();
+    const walk = (node, depth) => {
+        if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+        if (Array.isArray(node)) {
+            for (const child of node) walk(child, depth + 1);
+            return;
+        }
+        const link = offerLink(node);
+        if (link && typeof (node.title ?? node.jobTitle) === 'string') {
+            const key = String(node.id ?? node.code ?? node.offerId ?? link);
+            if (!offers.has(key)) offers.set(key, { ...node, link });
+            return;
+        }
+        for (const child of Object.values(node)) walk(child, depth + 1);
+    };
+    for (const source of sources) walk(source, 0);
+    return [...offers.values()];
+}
+
+function offerLink(node) {
+    const raw = [node.link, node.url, node.href, node.offerUrl].find((v) => typeof v === 'string' && isOfferUrl(v));
+    if (!raw) return null;
+    try {
+        return new URL(raw, 'https://www.infojobs.net').href.split('?')[0];
+    } catch {
+        return null;
+    }
+}
+
+// Cuts the object or array literal that starts at `start` out of a script, tracking strings and nesting.
+function sliceJsonValue(text, start) {
+    const open = text[start];
+    if (open !== '{' && open !== '[') return null;
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (ch === '\\') i += 1;
+            else if (ch === '"') inString = false;
+        } else if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            depth += 1;
+        } else if (ch === '}' || ch === ']') {
+            depth -= 1;
+            if (depth === 0) return text.slice(start, i + 1);
+        }
+    }
+    return null;
+}
+
+function parseJson(text) {
+    if (!text || !text.trim()) return null;
+    try {
+        return JSON.parse(text.trim());
+    } catch {
+        return null;
+    }
+}
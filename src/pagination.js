@@ -0,0 +1,184 @@
+// List pagination - reads a listing's result count, plans its remaining pages up front, ends listings whose pages
+// repeat and splits listings deeper than the pages InfoJobs serves
+import { isOfferUrl } from './pagestate.js';
+import { parseSearchUrl } from './starturls.js';
+
+const SEARCH_RESULTS_URL = 'https://www.infojobs.net/jobsearch/search-results/list.xhtml';
+
+// InfoJobs serves no results past this page of a listing, whatever count it shows.
+export const MAX_REACHABLE_PAGES = 50;
+
+const COUNT_SELECTORS = '.ij-SearchResults-count, [data-test*="count"], [data-testid*="count"], h1, title';
+// "1.234 ofertas de trabajo de ..." / "1 oferta de trabajo"
+const COUNT_RE = /(\d{1,3}(?:[.\s]\d{3})+|\d+)\s+ofertas?\b/i;
+const STATE_COUNT_KEYS = ['totalResults', 'totalOffers', 'numberOfResults', 'resultsCount'];
+const MAX_STATE_DEPTH = 8;
+
+// sinceDate values of the search form, narrowest first; a listing that is too deep is split into the narrower ones.
+const DATE_WINDOWS = ['_24_HOURS', '_7_DAYS', '_15_DAYS', 'ANY'];
+
+// Listings are tracked per phase, keyed by their URL without the page param.
+export function createPagination(phase = null) {
+    return { phase, listings: new Map() };
+}
+
+export function serializePagination(pagination) {
+    return {
+        phase: pagination.phase,
+        listings: [...pagination.listings].map(([key, listing]) => [
+            key,
+            { ...listing, fingerprints: [...listing.fingerprints] },
+        ]),
+    };
+}
+
+export function restorePagination(saved) {
+    const pagination = createPagination(saved.phase);
+    for (const [key, listing] of saved.listings || []) {
+        pagination.listings.set(key, { ...listing, fingerprints: new Set(listing.fingerprints) });
+    }
+    return pagination;
+}
+
+// The count shown above the results, else a count field of the page state or XHR bodies. Null when neither has one.
+export function readResultCount($, ...stateSources) {
+    for (const el of $(COUNT_SELECTORS).toArray()) {
+        const match = $(el).text().match(COUNT_RE);
+        if (match) return Number(match[1].replace(/[.\s]/g, ''));
+    }
+    for (const source of stateSources) {
+        const count = findStateCount(source, 0);
+        if (count != null) return count;
+    }
+    return null;
+}
+
+function findStateCount(node, depth) {
+    if (!node || typeof node !== 'object' || depth > MAX_STATE_DEPTH) return null;
+    if (!Array.isArray(node)) {
+        for (const key of STATE_COUNT_KEYS) {
+            const value = Number(node[key]);
+            if (node[key] != null && Number.isInteger(value) && value >= 0) return value;
+        }
+    }
+    for (const value of Object.values(node)) {
+        const count = findStateCount(value, depth + 1);
+        if (count != null) return count;
+    }
+    return null;
+}
+
+export function listingKey(url) {
+    const u = new URL(url);
+    u.searchParams.delete('page');
+    return u.href;
+}
+
+export function pageUrl(url, page) {
+    const u = new URL(url);
+    if (page > 1) u.searchParams.set('page', String(page));
+    else u.searchParams.delete('page');
+    return u.href;
+}
+
+// Called with the offer links of each list page crawled, and the result count or last page link it shows. Returns
+// { repeated, total, lastPage, pages, truncated, deep }:
+// - repeated: the page lists the same offers as an earlier page of the listing (InfoJobs repeats its last page)
+// - pages: page numbers to queue now, or null when the count is unknown and the next link has to be followed
+// - deep: the results wanted lie past the pages InfoJobs serves, so the listing is worth splitting
+// Pages are planned in batches that hold the `wanted` results; the last page of a batch plans the next one.
+export function planListing(pagination, { url, page, links, total = null, lastPage = null, maxPages, wanted }) {
+    const listing = trackListing(pagination, url, page);
+    const fingerprint = [...links].sort().join('\n');
+    const repeated = links.length > 0 && listing.fingerprints.has(fingerprint);
+    listing.fingerprints.add(fingerprint);
+    const plan = { repeated, total: listing.total, lastPage: null, pages: null, truncated: false, deep: false };
+    if (repeated || !links.length) listing.done = true;
+    if (listing.done) return { ...plan, pages: [] };
+
+    listing.perPage ||= links.length;
+    if (listing.total == null && total != null) {
+        listing.total = total;
+        listing.lastPage = Math.max(1, Math.ceil(total / listing.perPage));
+    } else if (listing.total == null && lastPage > (listing.lastPage || 0)) {
+        listing.lastPage = lastPage;
+    }
+    if (listing.lastPage == null) return plan;
+
+    const limit = Math.min(listing.lastPage, maxPages, MAX_REACHABLE_PAGES);
+    plan.total = listing.total;
+    plan.lastPage = listing.lastPage;
+    plan.truncated = listing.lastPage > limit;
+    plan.deep = listing.lastPage > MAX_REACHABLE_PAGES && wanted > MAX_REACHABLE_PAGES * listing.perPage;
+    // Pagination links may not reach the real last page; past the last one shown, the next link is followed.
+    if (listing.total == null && page >= listing.lastPage) return plan;
+    plan.pages = [];
+    if (page < listing.planned || wanted <= 0) return plan;
+
+    const to = Math.min(limit, listing.planned + Math.ceil(wanted / listing.perPage));
+    for (let n = listing.planned + 1; n <= to; n++) plan.pages.push(n);
+    listing.planned = Math.max(listing.planned, to);
+    return plan;
+}
+
+// Ends a listing before its last page, e.g. a date-sorted one past the cutoff date; no more of its pages are planned.
+export function endListing(pagination, url) {
+    trackListing(pagination, url, 1).done = true;
+}
+
+function trackListing(pagination, url, page) {
+    const key = listingKey(url);
+    let listing = pagination.listings.get(key);
+    if (!listing) {
+        listing = { total: null, perPage: 0, lastPage: null, planned: page, fingerprints: new Set(), done: false };
+        pagination.listings.set(key, listing);
+    }
+    return listing;
+}
+
+// A listing split into smaller ones that together hold its results: one per province when it covers several or all
+// of them, else one per posting-date window narrower than its own. Windows overlap, so the same offer can show up in
+// several of them and is deduplicated like any other; offers older than the widest window are only reachable through
+// the listing itself. Returns { by, urls } or null when it cannot be split further.
+export function splitListing(url, dictionaries) {
+    const query = parseSearchUrl(url, dictionaries);
+    const source = new URL(url);
+    const base = new URL(SEARCH_RESULTS_URL);
+    if (query.keyword) base.searchParams.set('keyword', query.keyword);
+    for (const id of query.categoryIds) base.searchParams.append('categoryIds', id);
+    for (const [key, value] of source.searchParams) {
+        if (!['page', 'keyword', 'provinceIds', 'categoryIds'].includes(key)) base.searchParams.append(key, value);
+    }
+
+    const withParam = (name, value) => {
+        const u = new URL(base);
+        u.searchParams.set(name, value);
+        return u.href;
+    };
+    if (query.provinceIds.length !== 1) {
+        const ids = query.provinceIds.length ? query.provinceIds : dictionaries.province.map((e) => e.id);
+        return { by: 'province', urls: ids.map((id) => withParam('provinceIds', id)) };
+    }
+
+    base.searchParams.set('provinceIds', query.provinceIds[0]);
+    const current = DATE_WINDOWS.indexOf(source.searchParams.get('sinceDate') || 'ANY');
+    const windows = DATE_WINDOWS.slice(0, Math.max(0, current));
+    if (!windows.length) return null;
+    return { by: 'date', urls: windows.map((window) => withParam('sinceDate', window)) };
+}
+
+// Highest page number among the pagination links, for listings that show no count.
+export function readLastPage($, baseUrl) {
+    let last = null;
+    $('a[href*="page="]').each((_, el) => {
+        const href = $(el).attr('href');
+        if (isOfferUrl(href)) return;
+        try {
+            const page = Number(new URL(href, baseUrl).searchParams.get('page'));
+            if (Number.isInteger(page) && page > 0) last = Math.max(last || 0, page);
+        } catch {
+            // ignore invalid
+        }
+    });
+    return last;
+}
@@ -0,0 +1,151 @@
+// Run report - per-phase counters and data-quality stats written to the RUN_REPORT record
+import { Actor, log } from 'apify';
+import { isFilled } from './identity.js';
+
+const REPORT_KEY = 'RUN_REPORT';
+const MAX_SAMPLES = 10;
+
+// Records from each phase are reported under the source name of that phase.
+export const PHASE_SOURCES = {
+    api: 'infojobs-api',
+    playwright: 'infojobs-playwright',
+    html: 'infojobs-html',
+    browser: 'infojobs-browser',
+};
+
+export function createRunReport() {
+    return {
+        started_at: new Date().toISOString(),
+        phases: {},
+        fields: {},
+        records: 0,
+    };
+}
+
+export function startPhase(report, phase) {
+    const p = phaseStats(report, phase);
+    p.runs += 1;
+    p.current_start = Date.now();
+}
+
+export function endPhase(report, phase, reason) {
+    const p = phaseStats(report, phase);
+    if (p.current_start) p.duration_ms += Date.now() - p.current_start;
+    p.current_start = null;
+    p.stop_reasons.push(reason);
+    log.info(`[${phase}] stopped: ${reason}`);
+    if (p.available_offers != null) {
+        log.info(`[${phase}] ${p.saved} of ${p.available_offers} available offers collected`);
+    }
+}
+
+// Adds the result count a listing or API search reports, so the phase can tell how much of it was collected.
+export function countAvailable(report, phase, total) {
+    const p = phaseStats(report, phase);
+    p.available_offers = (p.available_offers || 0) + total;
+}
+
+export function countPage(report, phase, kind) {
+    const p = phaseStats(report, phase);
+    p.pages[kind] = (p.pages[kind] || 0) + 1;
+}
+
+export function countBlock(report, phase, url, reason = 'blocked') {
+    const p = phaseStats(report, phase);
+    p.blocks.count += 1;
+    p.blocks.reasons[reason] = (p.blocks.reasons[reason] || 0) + 1;
+    addSample(p.blocks.samples, `${url} (${reason})`);
+}
+
+export function countParseFailure(report, phase, url, reason) {
+    const p = phaseStats(report, phase);
+    p.parse_failures.count += 1;
+    p.parse_failures.reasons[reason] = (p.parse_failures.reasons[reason] || 0) + 1;
+    addSample(p.parse_failures.samples, `${url} (${reason})`);
+}
+
+// Offers whose page shows a closed, expired or removed notice instead of the offer.
+export function countUnavailable(report, phase, url, status) {
+    const p = phaseStats(report, phase);
+    p.unavailable_offers.count += 1;
+    p.unavailable_offers.statuses[status] = (p.unavailable_offers.statuses[status] || 0) + 1;
+    addSample(p.unavailable_offers.samples, `${url} (${status})`);
+}
+
+// Offers left out for being published before the postedAfter/maxAgeDays cutoff.
+export function countBeforeCutoff(report, phase) {
+    phaseStats(report, phase).older_than_cutoff += 1;
+}
+
+export function countOutsideRadius(report, phase) {
+    phaseStats(report, phase).outside_radius += 1;
+}
+
+export function countDuplicate(report, phase) {
+    phaseStats(report, phase).duplicates_skipped += 1;
+}
+
+export function countRecord(report, phase, record) {
+    phaseStats(report, phase).saved += 1;
+    report.records += 1;
+    for (const [field, value] of Object.entries(record)) {
+        report.fields[field] = (report.fields[field] || 0) + (isFilled(value) ? 1 : 0);
+    }
+}
+
+export async function saveRunReport(report, extra = {}) {
+    const finishedAt = new Date();
+    const phases = {};
+    for (const [phase, p] of Object.entries(report.phases)) {
+        const { current_start: _, ...rest } = p;
+        phases[phase] = rest;
+    }
+
+    const fillRates = {};
+    for (const [field, filled] of Object.entries(report.fields)) {
+        fillRates[field] = report.records ? Math.round((filled / report.records) * 1000) / 1000 : 0;
+    }
+
+    const body = {
+        started_at: report.started_at,
+        finished_at: finishedAt.toISOString(),
+        duration_ms: finishedAt - new Date(report.started_at),
+        records: report.records,
+        by_source: Object.fromEntries(Object.entries(phases).map(([phase, p]) => [p.source, p.saved])),
+        duplicates_skipped: Object.values(phases).reduce((sum, p) => sum + p.duplicates_skipped, 0),
+        phases,
+        field_fill_rates: fillRates,
+        ...extra,
+    };
+    await Actor.setValue(REPORT_KEY, body);
+
+    const empty = Object.entries(fillRates)
+        .filter(([, rate]) => rate === 0)
+        .map(([field]) => field);
+    if (report.records && empty.length) log.info(`Run report: fields never filled: ${empty.join(', ')}`);
+    return body;
+}
+
+function phaseStats(report, phase) {
+    report.phases[phase] ??= {
+        source: PHASE_SOURCES[phase] || phase,
+        runs: 0,
+        saved: 0,
+        available_offers: null,
+        pages: { list: 0, detail: 0 },
+        blocks: { count: 0, reasons: {}, samples: [] },
+        parse_failures: { count: 0, reasons: {}, samples: [] },
+        unavailable_offers: { count: 0, statuses: {}, samples: [] },
+        duplicates_skipped: 0,
+        older_than_cutoff: 0,
+        outside_radius: 0,
+        duration_ms: 0,
+        stop_reasons: [],
+        current_start: null,
+    };
+    return report.phases[phase];
+}
+
+function addSample(samples, value) {
+    if (samples.length < MAX_SAMPLES && !samples.includes(value)) samples.push(value);
+}
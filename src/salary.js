@@ -0,0 +1,169 @@
+// Salary parsing - turns InfoJobs/JSON-LD salary data into structured min/max/currency/period fields
+import { fold } from './text.js';
+
+const PERIOD_PATTERNS = [
+    ['hour', /\b(hora|horas|hour|hourly|h)\b|\/h\b/],
+    ['day', /\b(dia|dias|jornada|day|daily)\b/],
+    ['week', /\b(semana|semanal|week|weekly)\b/],
+    ['month', /\b(mes|meses|mensual|mensuales|month|monthly)\b/],
+    ['year', /\b(ano|anos|anual|anuales|year|yearly|annual)\b/],
+];
+
+// schema.org unitText values used in JSON-LD baseSalary.
+const UNIT_TEXT_PERIODS = { HOUR: 'hour', DAY: 'day', WEEK: 'week', MONTH: 'month', YEAR: 'year' };
+
+// Multipliers to a yearly figure (12 monthly payments, 40h weeks, 220 working days).
+const ANNUAL_FACTORS = { hour: 1760, day: 220, week: 52, month: 12, year: 1 };
+
+const CURRENCY_PATTERNS = [
+    ['EUR', /€|\beur\b|\beuros?\b/],
+    ['USD', /\$|\busd\b|\bdolares\b/],
+    ['GBP', /£|\bgbp\b|\blibras\b/],
+];
+
+const EMPTY_SALARY = {
+    salary_min: null,
+    salary_max: null,
+    salary_currency: null,
+    salary_period: null,
+    salary_annualized: null,
+};
+
+// Combines structured hints (API salaryMin/salaryMax/salaryPeriod, JSON-LD baseSalary) with the free-text
+// description. Structured values win; the text fills whatever is still missing.
+export function normalizeSalary({ text, min, max, period, currency, baseSalary } = {}) {
+    const fromText = parseSalaryText(text);
+    const fromLd = parseBaseSalary(baseSalary);
+
+    const salaryMin = parseAmount(min) ?? fromLd.salary_min ?? fromText.salary_min;
+    const salaryMax = parseAmount(max) ?? fromLd.salary_max ?? fromText.salary_max;
+    if (salaryMin == null && salaryMax == null) return { ...EMPTY_SALARY };
+
+    const salaryPeriod = parsePeriod(period) || fromLd.salary_period || fromText.salary_period || 'year';
+    const salaryCurrency =
+        parseCurrency(currency) ||
+        parseCurrency(min) ||
+        fromLd.salary_currency ||
+        fromText.salary_currency ||
+        'EUR';
+
+    return {
+        salary_min: salaryMin,
+        salary_max: salaryMax,
+        salary_currency: salaryCurrency,
+        salary_period: salaryPeriod,
+        salary_annualized: annualize(salaryMin, salaryMax, salaryPeriod),
+    };
+}
+
+// "24.000€ - 30.000€ Bruto/año", "1.500 € brutos/mes", "Desde 20k €", "Salario no disponible"
+export function parseSalaryText(text) {
+    if (typeof text !== 'string' || !text.trim()) return { ...EMPTY_SALARY };
+    const clean = fold(text);
+    const matches = [...clean.matchAll(/(€|\$|£|\beur\b)?\s*(\d[\d.,]*)\s*(k|mil)?\b\s*(€|\$|£|eur)?/g)]
+        .map(({ 0: all, 1: pre, 2: num, 3: suffix, 4: post, index }) => {
+            const value = parseAmount(num);
+            return {
+                value: value != null && suffix ? value * 1000 : value,
+                thousands: Boolean(suffix),
+                priced: Boolean(pre || post),
+                start: index,
+                end: index + all.length,
+            };
+        })
+        .filter((m) => m.value != null && m.value > 0);
+    joinRanges(clean, matches);
+    // Prefer numbers attached to a currency so "14 pagas" or "40 horas" are not taken for amounts.
+    const priced = matches.filter((m) => m.priced);
+    const amounts = (priced.length ? priced : matches).map((m) => m.value);
+    if (!amounts.length) return { ...EMPTY_SALARY };
+
+    let [salaryMin, salaryMax] = amounts.length > 1 ? [amounts[0], amounts[1]] : [amounts[0], amounts[0]];
+    if (/\b(hasta|max|maximo)\b/.test(clean) && amounts.length === 1) salaryMin = null;
+    if (/\b(desde|min|minimo|a partir de)\b/.test(clean) && amounts.length === 1) salaryMax = null;
+    if (salaryMin != null && salaryMax != null && salaryMin > salaryMax) [salaryMin, salaryMax] = [salaryMax, salaryMin];
+
+    const salaryPeriod = parsePeriod(clean) || 'year';
+    return {
+        salary_min: salaryMin,
+        salary_max: salaryMax,
+        salary_currency: parseCurrency(text) || 'EUR',
+        salary_period: salaryPeriod,
+        salary_annualized: annualize(salaryMin, salaryMax, salaryPeriod),
+    };
+}
+
+// The two ends of "18.000 - 22.000 €", "20 a 25k €" or "€18.000 - 22.000" are one amount range: the currency and the
+// "k" written once apply to both.
+function joinRanges(text, matches) {
+    for (let i = 0; i + 1 < matches.length; i += 1) {
+        const [low, high] = [matches[i], matches[i + 1]];
+        if (!/^\s*(-|–|a|al|hasta)\s*$/.test(text.slice(low.end, high.start))) continue;
+        if (!low.priced && !high.priced) continue;
+        low.priced = true;
+        high.priced = true;
+        if (high.thousands && !low.thousands && low.value * 1000 <= high.value) low.value *= 1000;
+    }
+}
+
+// JSON-LD MonetaryAmount: { currency, value: { minValue, maxValue, value, unitText } }
+function parseBaseSalary(baseSalary) {
+    if (!baseSalary || typeof baseSalary !== 'object') return { ...EMPTY_SALARY };
+    const value = typeof baseSalary.value === 'object' ? baseSalary.value || {} : { value: baseSalary.value };
+    const salaryMin = parseAmount(value.minValue ?? value.value);
+    const salaryMax = parseAmount(value.maxValue ?? value.value);
+    return {
+        salary_min: salaryMin,
+        salary_max: salaryMax,
+        salary_currency: parseCurrency(baseSalary.currency),
+        salary_period: UNIT_TEXT_PERIODS[String(value.unitText || '').toUpperCase()] || null,
+        salary_annualized: null,
+    };
+}
+
+// Spanish number formats: "24.000", "1.500,50", "30000", 24000
+function parseAmount(raw) {
+    if (raw == null || raw === '') return null;
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+    if (typeof raw === 'object') return parseAmount(raw.value);
+    const match = String(raw).match(/\d[\d.,]*/);
+    if (!match) return null;
+    let num = match[0];
+    if (/,\d{1,2}$/.test(num)) {
+        num = num.replace(/\./g, '').replace(',', '.');
+    } else if (/\.\d{1,2}$/.test(num) && !/\.\d{3}/.test(num)) {
+        num = num.replace(/,/g, '');
+    } else {
+        num = num.replace(/[.,]/g, '');
+    }
+    const value = Number(num);
+    return Number.isFinite(value) ? value : null;
+}
+
+function parsePeriod(raw) {
+    if (raw == null || raw === '') return null;
+    const value = typeof raw === 'object' ? raw.value : raw;
+    if (!value) return null;
+    const folded = fold(String(value));
+    if (Object.values(UNIT_TEXT_PERIODS).includes(folded)) return folded;
+    const hit = PERIOD_PATTERNS.find(([, re]) => re.test(folded));
+    return hit ? hit[0] : null;
+}
+
+function parseCurrency(raw) {
+    if (raw == null || typeof raw === 'number') return null;
+    const value = typeof raw === 'object' ? raw.value : raw;
+    if (!value) return null;
+    const folded = fold(String(value));
+    const hit = CURRENCY_PATTERNS.find(([, re]) => re.test(folded));
+    if (hit) return hit[0];
+    return /^[a-z]{3}$/.test(folded) ? folded.toUpperCase() : null;
+}
+
+function annualize(min, max, period) {
+    const factor = ANNUAL_FACTORS[period];
+    const values = [min, max].filter((v) => v != null);
+    if (!factor || !values.length) return null;
+    const mid = values.reduce((a, b) => a + b, 0) / values.length;
+    return Math.round(mid * factor);
+}
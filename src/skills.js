@@ -0,0 +1,169 @@
+// Skills extraction - normalized skill tags from the API skills list, requirements and description text
+import { readFileSync } from 'node:fs';
+import { fold } from './text.js';
+
+const BUNDLED = JSON.parse(readFileSync(new URL('./data/skills.json', import.meta.url), 'utf8'));
+
+const TYPES = ['technology', 'language', 'certification', 'soft_skill'];
+
+// Explicit CEFR levels win; otherwise the first matching group of words, most specific first.
+const LEVEL_WORDS = [
+    ['B2', /\b(intermedio[- ]alto|medio[- ]alto|upper[- ]intermediate)\b/],
+    ['C2', /\b(nativo|nativa|bilingue|native|bilingual)\b/],
+    ['C1', /\b(alto|avanzado|fluido|fluent|advanced|proficient)\b/],
+    ['B1', /\b(intermedio|medio|intermediate)\b/],
+    ['A2', /\b(basico|elemental|basic)\b/],
+];
+const LEVEL_ORDER = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Ends the clause a language level is looked for in: "ingles alto y nivel medio de frances".
+const CLAUSE_END = /[.;,\n]|\s(?:y|e|o|u|and|or)\s/;
+
+// Characters that make a match part of a longer token ("js" in "node.js", "java" in "javascript").
+const BEFORE = '(?<![\\p{L}\\p{N}+#.])';
+const AFTER = '(?![\\p{L}\\p{N}+#]|\\.[\\p{L}\\p{N}])';
+
+// Bundled dictionary plus user entries; a user entry with the name of a bundled one adds to its aliases.
+export function createSkillMatcher(extraEntries = []) {
+    const entries = BUNDLED.map((e) => ({ ...e, aliases: [...e.aliases] }));
+    for (const extra of normalizeSkillEntries(extraEntries)) {
+        const existing = entries.find((e) => fold(e.name) === fold(extra.name));
+        if (existing) {
+            existing.aliases.push(...extra.aliases);
+        } else {
+            entries.push(extra);
+        }
+    }
+
+    const languages = entries.filter((e) => e.type === 'language').flatMap((e) => [e.name, ...e.aliases]);
+    return {
+        entries: entries.map((entry) => ({
+            ...entry,
+            // Case-sensitive aliases ("Go", "LESS") do not match in any other case, not even as the entry's name.
+            pattern: buildPattern(
+                [entry.name, ...entry.aliases].filter((a) => !entry.caseAliases?.includes(a)),
+                'giu',
+            ),
+            casePattern: entry.caseAliases?.length ? buildPattern(entry.caseAliases, 'gu') : null,
+        })),
+        // Any language mention, where the level phrase of another language ends
+        languagePattern: buildPattern(languages, 'giu'),
+        byAlias: new Map(
+            entries.flatMap((entry) => [entry.name, ...entry.aliases].map((alias) => [fold(alias), entry])),
+        ),
+    };
+}
+
+// Input entries are strings ("Odoo") or { name, type, aliases }. Throws on entries without a name.
+export function normalizeSkillEntries(raw) {
+    if (raw == null || raw === '') return [];
+    if (!Array.isArray(raw)) throw new Error('extraSkills must be a list of skill names or { name, aliases } objects.');
+    return raw.map((item) => {
+        const entry = typeof item === 'string' ? { name: item } : item || {};
+        const name = String(entry.name || '').trim();
+        if (!name) throw new Error(`Invalid extraSkills entry ${JSON.stringify(item)}: "name" is required.`);
+        const type = TYPES.includes(entry.type) ? entry.type : 'technology';
+        const aliases = []
+            .concat(entry.aliases || [])
+            .map((a) => String(a).trim())
+            .filter(Boolean);
+        return { name, type, aliases };
+    });
+}
+
+// Returns { skills, skills_by_type }. A listed skill that is a name or alias of an entry becomes that entry; any other
+// is kept exactly as written (type "other"), never cut down to a shorter skill it mentions.
+export function extractSkills(matcher, { skills = [], texts = [] } = {}) {
+    const found = new Map();
+    const add = (name, type) => {
+        const key = fold(name);
+        if (!found.has(key)) found.set(key, { name, type });
+    };
+    const languages = new Map();
+
+    for (const raw of [].concat(skills || [])) {
+        const text = String(raw ?? '').trim();
+        if (!text) continue;
+        const entry = matcher.byAlias.get(fold(text));
+        if (entry) {
+            addEntry(entry, text, 0, text.length);
+        } else {
+            add(text, 'other');
+        }
+    }
+    for (const text of texts) {
+        if (text) scan(String(text));
+    }
+
+    for (const [name, level] of languages) add(level ? `${name} ${level}` : name, 'language');
+    const list = [...found.values()];
+    const byType = Object.fromEntries([...TYPES, 'other'].map((t) => [t, []]));
+    for (const { name, type } of list) byType[type].push(name);
+    return { skills: list.map((s) => s.name), skills_by_type: byType };
+
+    // Finds dictionary entries in free text. Where matches overlap the longest wins, so "SQL Server" is not also SQL.
+    function scan(text) {
+        const folded = fold(text);
+        const matches = [];
+        matcher.entries.forEach((entry, order) => {
+            for (const [source, pattern] of [
+                [folded, entry.pattern],
+                [text, entry.casePattern],
+            ]) {
+                if (!pattern) continue;
+                for (const match of source.matchAll(pattern)) {
+                    matches.push({ entry, order, start: match.index, end: match.index + match[0].length });
+                }
+            }
+        });
+
+        const kept = [];
+        for (const match of matches.sort((a, b) => b.end - b.start - (a.end - a.start) || a.start - b.start)) {
+            if (!kept.some((k) => match.start < k.end && k.start < match.end)) kept.push(match);
+        }
+        kept.sort((a, b) => a.order - b.order || a.start - b.start);
+        for (const { entry, start, end } of kept) addEntry(entry, folded, start, end);
+    }
+
+    function addEntry(entry, text, start, end) {
+        if (entry.type !== 'language') {
+            add(entry.name, entry.type);
+            return;
+        }
+        // Languages keep the highest level mentioned anywhere ("Inglés alto" -> "English C1").
+        const level = languageLevel(fold(text), start, end, matcher.languagePattern);
+        const current = languages.get(entry.name);
+        if (!languages.has(entry.name) || LEVEL_ORDER.indexOf(level) > LEVEL_ORDER.indexOf(current)) {
+            languages.set(entry.name, level);
+        }
+    }
+}
+
+// Looks for a level right after the language ("inglés (B2)", "inglés alto") or in a "nivel ... de inglés"
+// phrase before it, within the same clause and not past another language.
+function languageLevel(folded, start, end, languagePattern) {
+    const split = (text) => (languagePattern ? text.split(languagePattern) : [text]);
+    const after = split(folded.slice(end, end + 30).split(CLAUSE_END)[0])[0];
+    const beforeClause = split(
+        folded
+            .slice(Math.max(0, start - 30), start)
+            .split(CLAUSE_END)
+            .pop(),
+    ).pop();
+    const before = /\b(nivel|level)\b/.test(beforeClause) ? beforeClause : '';
+    for (const window of [after, before]) {
+        const cefr = window.match(/\b([abc][12])\b/);
+        if (cefr) return cefr[1].toUpperCase();
+        const words = LEVEL_WORDS.find(([, re]) => re.test(window));
+        if (words) return words[0];
+    }
+    return null;
+}
+
+function buildPattern(aliases, flags) {
+    const parts = [...new Set(aliases.map((a) => (flags.includes('i') ? fold(a) : a.trim())))]
+        .filter(Boolean)
+        .sort((a, b) => b.length - a.length)
+        .map((a) => a.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '[\\s-]+'));
+    return parts.length ? new RegExp(`${BEFORE}(?:${parts.join('|')})${AFTER}`, flags) : null;
+}
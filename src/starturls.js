@@ -0,0 +1,72 @@
+// Start URLs - sorts start URLs into search listings, single offers and company pages, and reads search URLs back
+// into the keyword, places, categories and filters they encode
+import { companyIdFromUrl } from './companies.js';
+import { fromWebParams } from './filters.js';
+import { isOfferUrl } from './pagestate.js';
+
+const BASE_URL = 'https://www.infojobs.net';
+const SEO_SEARCH_PATH = '/ofertas-trabajo';
+
+export const START_URL_TYPES = ['search', 'offer', 'company'];
+
+// Accepts URL strings and the { url } objects of the input editor; relative URLs are resolved against infojobs.net
+// and invalid ones dropped.
+export function collectStartUrls(...sources) {
+    const urls = [];
+    for (const raw of sources.flat()) {
+        const u = typeof raw === 'string' ? raw : raw?.url || raw?.requests || raw?.href;
+        if (!u) continue;
+        try {
+            urls.push(new URL(u, BASE_URL).href);
+        } catch {
+            // ignore invalid
+        }
+    }
+    return [...new Set(urls)];
+}
+
+export function classifyStartUrl(url) {
+    if (isOfferUrl(url)) return 'offer';
+    if (companyIdFromUrl(url)) return 'company';
+    return 'search';
+}
+
+// -> { search: [...], offer: [...], company: [...] }. Offer URLs lose their tracking query string.
+export function groupStartUrls(urls) {
+    const groups = Object.fromEntries(START_URL_TYPES.map((type) => [type, []]));
+    for (const url of urls) {
+        const type = classifyStartUrl(url);
+        groups[type].push(type === 'offer' ? url.split('?')[0] : url);
+    }
+    return groups;
+}
+
+// Search form URLs carry everything in the query; SEO paths (/ofertas-trabajo/madrid/java) are matched against the
+// province and category keys, and the remaining segment is the keyword. Returns
+// { keyword, provinceIds, categoryIds, filters }.
+export function parseSearchUrl(url, dictionaries) {
+    const u = new URL(url);
+    const ids = (name) =>
+        u.searchParams
+            .getAll(name)
+            .flatMap((v) => v.split(','))
+            .filter(Boolean);
+    const query = {
+        keyword: u.searchParams.get('keyword') || null,
+        provinceIds: ids('provinceIds'),
+        categoryIds: ids('categoryIds'),
+        filters: fromWebParams(u.searchParams),
+    };
+
+    if (u.pathname === SEO_SEARCH_PATH || u.pathname.startsWith(`${SEO_SEARCH_PATH}/`)) {
+        const segments = u.pathname.slice(SEO_SEARCH_PATH.length).split('/').filter(Boolean);
+        for (const segment of segments) {
+            const province = dictionaries.province.find((e) => e.key === segment);
+            const category = dictionaries.category.find((e) => e.key === segment);
+            if (province) query.provinceIds.push(province.id);
+            else if (category) query.categoryIds.push(category.id);
+            else query.keyword ??= decodeURIComponent(segment).replace(/-+/g, ' ');
+        }
+    }
+    return query;
+}
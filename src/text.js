@@ -0,0 +1,40 @@
+// Text - folded forms of Spanish texts for matching (lower case and without accents) and their spelling distance
+
+// Lower case without accents; every other character is kept, so match positions carry over to the text.
+export function fold(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+// fold() with runs of whitespace as one space, trimmed.
+export function foldSpaces(text) {
+    return fold(text).replace(/\s+/g, ' ').trim();
+}
+
+// fold() keeping only letters, digits, "+" and "%" between single spaces: "C++", "100% remoto", names and keys.
+export function foldWords(text) {
+    return fold(text)
+        .replace(/[^a-z0-9+%]+/g, ' ')
+        .trim();
+}
+
+// Edits (insertions, deletions, substitutions) between two strings.
+export function levenshtein(a, b) {
+    if (a === b) return 0;
+    let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = curr;
+    }
+    return prev[b.length];
+}
+
+// Typos tolerated in a value: one edit per four characters, at least one.
+export function maxTypos(text) {
+    return Math.max(1, Math.floor(text.length / 4));
+}
@@ -0,0 +1,314 @@
+import './helpers/setup.js';
+import http from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { CheerioCrawler } from 'crawlee';
+import { createApiClient, fetchApiDetail, fetchApiPage, getToken } from '../src/api.js';
+import { loadDictionaries } from '../src/dictionaries.js';
+import {
+    createState,
+    mapApiOffer,
+    normalizeInput,
+    phaseRequest,
+    resolveSearchTerms,
+    runApiHarvest,
+    runHtmlHarvest,
+} from '../src/main.js';
+import { readFixture, readJsonFixture } from './helpers/fixtures.js';
+import { startApiServer, TEST_CREDS } from './helpers/api-server.js';
+
+const SENIOR_ID = '4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13';
+
+async function harvest(server, input) {
+    const cfg = normalizeInput({ keyword: 'java', ...input });
+    resolveSearchTerms(cfg, loadDictionaries());
+    cfg.pageSize = 2;
+    const state = await createState(cfg);
+    state.phase = 'api';
+    const client = createApiClient({
+        creds: TEST_CREDS,
+        baseUrl: server.baseUrl,
+        tokenUrl: server.tokenUrl,
+        cacheToken: false,
+        requestsPerSecond: 0,
+        maxRetries: 2,
+    });
+    const reason = await runApiHarvest(client, cfg, state);
+    const { items } = await (await Actor.openDataset()).getData();
+    return { reason, cfg, state, client, items };
+}
+
+function client(server, options) {
+    return createApiClient({
+        creds: TEST_CREDS,
+        baseUrl: server.baseUrl,
+        tokenUrl: server.tokenUrl,
+        cacheToken: false,
+        requestsPerSecond: 0,
+        maxRetries: 2,
+        ...options,
+    });
+}
+
+function tokenRequests(server) {
+    return server.requests.filter((r) => r.path === '/oauth/authorize');
+}
+
+describe('API client against the local API', () => {
+    it('refreshes a rejected token once and repeats the request with the new one', async () => {
+        const server = await startApiServer({ revokeFirstToken: true });
+        try {
+            const api = client(server);
+            const detail = await fetchApiDetail(api, SENIOR_ID);
+            assert.equal(detail.id, SENIOR_ID);
+            assert.equal(tokenRequests(server).length, 2);
+            const details = server.requests.filter((r) => r.path === `/api/9/offer/${SENIOR_ID}`);
+            assert.deepEqual(
+                details.map((r) => r.authorization),
+                ['Bearer test-token-1', 'Bearer test-token-2'],
+            );
+            assert.equal(api.stats.tokenRefreshes, 2);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('waits as long as Retry-After says after a 429', async () => {
+        const server = await startApiServer({ rateLimitOnce: [SENIOR_ID], retryAfter: 1 });
+        try {
+            const api = client(server);
+            assert.equal((await fetchApiDetail(api, SENIOR_ID)).id, SENIOR_ID);
+            const [limited, retry] = server.requests.filter((r) => r.path === `/api/9/offer/${SENIOR_ID}`);
+            assert.ok(retry.at - limited.at >= 950, `retried after ${retry.at - limited.at} ms`);
+            assert.equal(api.stats.rateLimited, 1);
+            assert.equal(api.stats.retries, 1);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('spaces requests out to the requests-per-second budget, also when they run concurrently', async () => {
+        const server = await startApiServer();
+        try {
+            const api = client(server, { requestsPerSecond: 10 });
+            await getToken(api);
+            await Promise.all([1, 2, 1, 2].map((page) => fetchApiPage(api, { page, pageSize: 2, filters: {} })));
+            const times = server.requests.filter((r) => r.path === '/api/9/offer').map((r) => r.at);
+            assert.equal(times.length, 4);
+            assert.ok(times.at(-1) - times[0] >= 280, `4 requests in ${times.at(-1) - times[0]} ms`);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('keeps the token in the key-value store for the next run, unless a refresh is forced', async () => {
+        const server = await startApiServer();
+        try {
+            const token = await getToken(client(server, { cacheToken: true }));
+            const next = client(server, { cacheToken: true });
+            assert.equal(await getToken(next), token);
+            assert.equal(next.stats.tokenRefreshes, 0);
+            assert.equal(tokenRequests(server).length, 1);
+
+            assert.notEqual(await getToken(next, { force: true }), token);
+            assert.equal(tokenRequests(server).length, 2);
+            assert.equal(await getToken(client(server, { cacheToken: true })), 'test-token-2');
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('marks an error as retried once the client gave up on it', async () => {
+        const server = await startApiServer({ unavailable: [SENIOR_ID] });
+        try {
+            await assert.rejects(fetchApiDetail(client(server, { maxRetries: 1 }), SENIOR_ID), (err) => {
+                assert.equal(err.statusCode, 503);
+                assert.equal(err.retried, true);
+                return true;
+            });
+        } finally {
+            await server.close();
+        }
+    });
+});
+
+describe('mapApiOffer', () => {
+    it('maps a search result completed with its detail', () => {
+        const [item] = readJsonFixture('api/offers-page-1.json').items;
+        const job = mapApiOffer(item, readJsonFixture(`api/offer-${SENIOR_ID}.json`));
+        assert.equal(job.id, SENIOR_ID);
+        assert.equal(job.company, 'Tecnologías Iberia');
+        assert.equal(job.company_id, '7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70');
+        assert.equal(job.company_url, 'https://www.tecnologiasiberia.example');
+        assert.equal(job.company_sector, 'Informática y telecomunicaciones');
+        assert.equal(job.location, 'Madrid, Madrid, España');
+        assert.equal(job.contract_type, 'Indefinido');
+        assert.equal(job.work_day, 'Completa');
+        assert.equal(job.remote, 'Híbrido');
+        assert.equal(job.date_updated, '2026-10-18T08:00:00.000Z');
+        assert.deepEqual(job.skills, ['Java', 'Spring Boot', 'Kubernetes']);
+        assert.deepEqual(job.upsellings, ['highlightLogo']);
+        assert.equal(job.vacancies, 2);
+        assert.equal(job.source, 'infojobs-api');
+    });
+});
+
+describe('runApiHarvest against the local API', () => {
+    let server;
+    before(async () => {
+        server = await startApiServer({ failOnce: ['0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4'] });
+    });
+    after(() => server.close());
+    beforeEach(async () => {
+        server.requests.length = 0;
+        await (await Actor.openDataset()).drop();
+    });
+
+    it('reads every page, fetches the details and retries a 503', async () => {
+        const { reason, state, client, items } = await harvest(server, { results_wanted: 10 });
+        assert.equal(reason, 'last page reached');
+        assert.equal(state.saved, 3);
+        assert.deepEqual(items.map((r) => r.id).sort(), [
+            '0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4',
+            SENIOR_ID,
+            'c3d2e1f0a9b8c7d6e5f4a3b2c1d0e9f8',
+        ]);
+        assert.equal(client.stats.serverErrors, 1);
+        assert.equal(state.report.phases.api.available_offers, 3);
+
+        const senior = items.find((r) => r.id === SENIOR_ID);
+        assert.equal(senior.salary_min, 36000);
+        assert.equal(senior.salary_max, 45000);
+        assert.equal(senior.salary_period, 'year');
+        assert.equal(senior.applications, 37);
+        assert.match(senior.description_text, /equipo de pagos/);
+        assert.ok(senior.skills.includes('English C1'));
+
+        const search = server.requests.find((r) => r.path === '/api/9/offer');
+        assert.equal(search.query.q, 'java');
+        assert.equal(search.query.maxResults, '2');
+    });
+
+    it('stops at results_wanted without fetching extra details', async () => {
+        const { state, items } = await harvest(server, { results_wanted: 2 });
+        assert.equal(state.saved, 2);
+        assert.equal(items.length, 2);
+        const details = server.requests.filter((r) => r.path.startsWith('/api/9/offer/'));
+        assert.equal(new Set(details.map((r) => r.path)).size, 2);
+    });
+
+    it('counts an offer as saved only once while its detail is pushed', async () => {
+        const missing = await startApiServer({ missing: [SENIOR_ID] });
+        try {
+            const { state, items } = await harvest(missing, { results_wanted: 3 });
+            assert.equal(state.saved, 3);
+            assert.equal(items.length, 2);
+            assert.equal(state.partials.size, 1);
+        } finally {
+            await missing.close();
+        }
+    });
+
+    it('does not queue a detail again that the client already retried', async () => {
+        const unavailable = await startApiServer({ unavailable: [SENIOR_ID] });
+        try {
+            const { state } = await harvest(unavailable, { results_wanted: 10 });
+            const details = unavailable.requests.filter((r) => r.path === `/api/9/offer/${SENIOR_ID}`);
+            // One request and the client's 2 retries
+            assert.equal(details.length, 3);
+            assert.equal(state.partials.size, 1);
+        } finally {
+            await unavailable.close();
+        }
+    });
+
+    it('fetches offer start URLs by ID without searching', async () => {
+        const startUrls = [
+            'https://www.infojobs.net/madrid/tech-lead-java/of-ic3d2e1f0a9b8c7d6e5f4a3b2c1d0e9f8?applicationOrigin=x',
+            'https://www.infojobs.net/madrid/oferta-retirada/of-i00000000000000000000000000000000',
+        ];
+        const { reason, state, items } = await harvest(server, { startUrls, results_wanted: 10 });
+        assert.equal(reason, 'no search to run for the start URLs');
+        assert.equal(state.saved, 1);
+        assert.equal(items[0].title, 'Tech Lead Java');
+        assert.equal(items[0].url, startUrls[0].split('?')[0]);
+        assert.ok(server.requests.every((r) => r.path !== '/api/9/offer'));
+    });
+
+    it('holds back an offer whose detail fails, and completes it from its page in a later phase', async () => {
+        const missing = await startApiServer({ missing: [SENIOR_ID] });
+        const fetched = [];
+        const pages = http.createServer((req, res) => {
+            fetched.push(req.url);
+            res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+            res.end(readFixture('html/detail-page.html'));
+        });
+        await new Promise((resolve) => pages.listen(0, '127.0.0.1', resolve));
+        try {
+            const { cfg, state, items } = await harvest(missing, { results_wanted: 3 });
+            assert.equal(state.saved, 3);
+            assert.equal(items.length, 2);
+            assert.ok(items.every((r) => r.id !== SENIOR_ID));
+            const held = state.partials.get(SENIOR_ID);
+            assert.equal(held.title, 'Desarrollador Java Senior');
+            assert.equal(held.description_text, null);
+
+            // The held offer's page, served locally. The Playwright phase already handled it on the shared queue
+            // without saving it.
+            const url = `http://127.0.0.1:${pages.address().port}/madrid/desarrollador-java-senior/of-i${SENIOR_ID}`;
+            state.htmlDetailUrls = new Set([url]);
+            const playwright = new CheerioCrawler({ requestHandler: () => {} });
+            await playwright.run([phaseRequest('playwright', { url })]);
+            assert.equal(fetched.length, 1);
+
+            state.phase = 'html';
+            await runHtmlHarvest(cfg, state);
+            assert.equal(fetched.length, 2);
+            assert.equal(state.partials.size, 0);
+            const completed = (await (await Actor.openDataset()).getData()).items.find((r) => r.id === SENIOR_ID);
+            assert.equal(completed.title, 'Desarrollador Java Senior');
+            assert.ok(completed.description_text);
+        } finally {
+            await missing.close();
+            await new Promise((resolve) => pages.close(resolve));
+        }
+    });
+
+    it('leaves out offers published before postedAfter and stops a date-sorted search at them', async () => {
+        const postedAfter = '2026-10-16T13:00:00+02:00';
+        const filtered = await harvest(server, { results_wanted: 10, postedAfter });
+        assert.equal(filtered.reason, 'last page reached');
+        assert.deepEqual(
+            filtered.items.map((r) => r.id),
+            [SENIOR_ID],
+        );
+        assert.equal(filtered.state.report.phases.api.older_than_cutoff, 2);
+
+        server.requests.length = 0;
+        const sorted = await harvest(server, { results_wanted: 10, postedAfter, sortBy: 'date' });
+        assert.equal(sorted.reason, 'cutoff date reached');
+        assert.equal(sorted.state.report.phases.api.older_than_cutoff, 1);
+        const pages = server.requests.filter((r) => r.path === '/api/9/offer').map((r) => r.query.page);
+        assert.deepEqual(pages, ['1']);
+    });
+
+    it('leaves out offers outside the nearLocation radius', async () => {
+        const { state, items } = await harvest(server, { results_wanted: 10, nearLocation: 'Madrid', radiusKm: 10 });
+        assert.deepEqual(items.map((r) => r.city).sort(), ['Madrid', 'Madrid']);
+        assert.ok(items.every((r) => r.autonomous_community === 'Comunidad de Madrid'));
+        assert.deepEqual(items.map((r) => r.remote).sort(), ['hybrid', 'remote']);
+        assert.equal(state.report.phases.api.outside_radius, 1);
+        const query = server.requests.find((r) => r.path === '/api/9/offer').query;
+        assert.equal(query.provinceIds, '28');
+    });
+
+    it('saves the search results as they are without collectDetails', async () => {
+        const { state, items } = await harvest(server, { results_wanted: 10, collectDetails: false });
+        assert.equal(state.saved, 3);
+        assert.ok(server.requests.every((r) => !r.path.startsWith('/api/9/offer/')));
+        const senior = items.find((r) => r.id === SENIOR_ID);
+        assert.equal(senior.salary, '36.000€ - 45.000€ Bruto/año');
+        assert.equal(senior.description_html, null);
+    });
+});
@@ -0,0 +1,100 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import {
+    buildSearchInputs,
+    createBatch,
+    bufferRecord,
+    tagDuplicate,
+    flushBatch,
+    saveSearchSummary,
+} from '../src/batch.js';
+
+const JAVA = { id: 'a1', url: 'https://www.infojobs.net/madrid/java/of-ia1', title: 'Java' };
+const GO = { id: 'b2', url: 'https://www.infojobs.net/madrid/go/of-ib2', title: 'Go' };
+
+describe('buildSearchInputs', () => {
+    it('merges each search over the shared input and keeps shared-only keys from the top level', () => {
+        const searches = buildSearchInputs({
+            location: 'Madrid',
+            monitor: true,
+            startUrl: 'https://www.infojobs.net/ofertas-trabajo/java',
+            searches: ['java', { id: 'go', keyword: 'go', location: 'Barcelona', monitor: false, label: 'Go BCN' }],
+        });
+        assert.deepEqual(
+            searches.map((s) => [s.id, s.query]),
+            [
+                ['search-1', 'java | Madrid'],
+                ['go', 'Go BCN'],
+            ],
+        );
+        assert.equal(searches[1].input.location, 'Barcelona');
+        assert.equal(searches[1].input.monitor, true);
+        assert.equal(searches[0].input.startUrl, undefined);
+        assert.equal(searches[0].input.searches, undefined);
+    });
+
+    it('rejects two searches with the same id', () => {
+        assert.throws(() => buildSearchInputs({ searches: [{ id: 'x' }, { id: 'x' }] }), /Duplicate search id "x"/);
+    });
+});
+
+describe('batch runs', () => {
+    const java = { id: 'java', query: 'java' };
+    const madrid = { id: 'madrid', query: 'Madrid' };
+    const go = { id: 'go', query: 'go' };
+
+    async function run() {
+        const batch = createBatch();
+        await bufferRecord(batch, JAVA, java);
+        await bufferRecord(batch, GO, go);
+        // Found again by its URL and by its ID
+        tagDuplicate(batch, madrid, 'https://www.infojobs.net/unknown/of-ix', JAVA.url);
+        tagDuplicate(batch, madrid, JAVA.id);
+        tagDuplicate(batch, madrid, 'never-stored');
+        await bufferRecord(batch, JAVA, go);
+        return batch;
+    }
+
+    it('tags a record found again with every search that matched it, once each', async () => {
+        const batch = await run();
+        const emitted = [];
+        await flushBatch(batch, async (record) => emitted.push(record));
+        assert.deepEqual(
+            emitted.map((r) => [r.id, r.search_ids, r.queries]),
+            [
+                ['a1', ['java', 'madrid', 'go'], ['java', 'Madrid', 'go']],
+                ['b2', ['go'], ['go']],
+            ],
+        );
+        assert.equal(emitted[0].title, 'Java');
+        assert.deepEqual(batch.counts, {
+            java: { saved: 1, duplicates: 0 },
+            go: { saved: 1, duplicates: 0 },
+            madrid: { saved: 0, duplicates: 1 },
+        });
+    });
+
+    it('writes one SEARCH_SUMMARY row per search, also for searches that found nothing', async () => {
+        const batch = await run();
+        const searches = [java, madrid, go, { id: 'rust', query: 'rust' }].map((s) => ({
+            ...s,
+            cfg: { maxItems: 50 },
+        }));
+        await saveSearchSummary(batch, searches);
+        assert.deepEqual(await Actor.getValue('SEARCH_SUMMARY'), [
+            { search_id: 'java', query: 'java', results_wanted: 50, new_offers: 1, shared_offers: 0, total_matched: 1 },
+            {
+                search_id: 'madrid',
+                query: 'Madrid',
+                results_wanted: 50,
+                new_offers: 0,
+                shared_offers: 1,
+                total_matched: 1,
+            },
+            { search_id: 'go', query: 'go', results_wanted: 50, new_offers: 1, shared_offers: 0, total_matched: 1 },
+            { search_id: 'rust', query: 'rust', results_wanted: 50, new_offers: 0, shared_offers: 0, total_matched: 0 },
+        ]);
+    });
+});
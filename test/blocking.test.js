@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { classifyResponse, createBlockTracker, recordResponse, blockRateExceeded, blockRate } from '../src/blocking.js';
+import { loadHtmlFixture } from './helpers/fixtures.js';
+
+function classifyFixture(name, kind, statusCode = 200) {
+    const { html, $ } = loadHtmlFixture(name);
+    return classifyResponse({ statusCode, html, $, kind });
+}
+
+describe('classifyResponse', () => {
+    it('accepts normal list and detail pages', () => {
+        assert.equal(classifyFixture('list-page.html', 'list'), null);
+        assert.equal(classifyFixture('detail-page.html', 'detail'), null);
+        assert.equal(classifyFixture('detail-page-no-jsonld.html', 'detail'), null);
+    });
+
+    it('does not treat offers that mention captchas as blocks', () => {
+        assert.equal(classifyFixture('detail-page-mentions-captcha.html', 'detail'), null);
+    });
+
+    it('flags blocking status codes and empty bodies', () => {
+        assert.equal(classifyFixture('detail-page.html', 'detail', 403), 'status 403');
+        assert.equal(classifyFixture('list-page.html', 'list', 429), 'status 429');
+        assert.equal(
+            classifyResponse({ statusCode: 200, html: '  ', $: cheerioLoad(''), kind: 'detail' }),
+            'empty body',
+        );
+    });
+
+    it('recognizes challenge pages by fingerprint and wording', () => {
+        assert.equal(
+            classifyFixture('challenge-captcha-delivery.html', 'detail'),
+            'challenge page (captcha-delivery.com)',
+        );
+        assert.equal(
+            classifyFixture('challenge-unusual-traffic.html', 'list'),
+            'challenge page ("hemos detectado un uso inusual")',
+        );
+    });
+
+    it('flags pages without the expected content', () => {
+        const html = '<html><body><h2>Bienvenido</h2></body></html>';
+        assert.equal(
+            classifyResponse({ statusCode: 200, html, $: cheerioLoad(html), kind: 'detail' }),
+            'missing offer content',
+        );
+        assert.equal(
+            classifyResponse({ statusCode: 200, html, $: cheerioLoad(html), kind: 'list' }),
+            'missing page content',
+        );
+    });
+});
+
+describe('block rate', () => {
+    it('needs a minimum number of responses before it triggers', () => {
+        const tracker = createBlockTracker();
+        for (let i = 0; i < 10; i++) recordResponse(tracker, true);
+        assert.equal(blockRate(tracker), 100);
+        assert.equal(blockRateExceeded(tracker, 50), false);
+        for (let i = 0; i < 10; i++) recordResponse(tracker, false);
+        assert.equal(blockRateExceeded(tracker, 50), false);
+        recordResponse(tracker, true);
+        assert.equal(blockRate(tracker), 52);
+        assert.equal(blockRateExceeded(tracker, 50), true);
+        assert.equal(blockRateExceeded(tracker, 0), false);
+    });
+});
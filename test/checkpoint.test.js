@@ -0,0 +1,123 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { restoreCheckpoint, saveCheckpoint, clearCheckpoint } from '../src/checkpoint.js';
+import { createState, normalizeInput } from '../src/main.js';
+import { trackChanges } from '../src/monitor.js';
+import { registerCompany } from '../src/companies.js';
+import { bufferRecord } from '../src/batch.js';
+import { countPage, countRecord, startPhase } from '../src/report.js';
+import { createPagination, planListing } from '../src/pagination.js';
+
+const INPUT = {
+    keyword: 'java',
+    monitor: true,
+    monitorStoreName: 'checkpoint-test',
+    collectCompanies: true,
+    companiesDatasetName: 'checkpoint-test',
+    webhookUrl: 'http://127.0.0.1:9/hook',
+    searches: [{ keyword: 'java' }, { keyword: 'go' }],
+};
+const OFFER = { id: 'a1', url: 'https://www.infojobs.net/madrid/java/of-ia1', title: 'Java', company: 'Acme' };
+const LIST_URL = 'https://www.infojobs.net/jobsearch/search-results/list.xhtml?keyword=java';
+
+function newState() {
+    return createState(normalizeInput(INPUT), INPUT);
+}
+
+describe('checkpoint', () => {
+    it('restores the sets, plain fields and every module state it saved', async () => {
+        const state = await newState();
+        state.saved = 3;
+        state.savedTotal = 10;
+        state.searchIndex = 1;
+        state.apiPage = 4;
+        state.truncated = true;
+        state.lost = 2;
+        state.covered = true;
+        state.phasesDone.add('api');
+        state.seenIds.add('a1');
+        state.processed.add('a1');
+        state.htmlDetailUrls.add(OFFER.url);
+        state.escalateUrls.add(LIST_URL);
+        state.partials.set('b2', { id: 'b2', title: 'Go' });
+        trackChanges(state.monitor, OFFER);
+        registerCompany(state.companies, { id: 'c1', name: 'Acme' });
+        state.notifier.pending.push(OFFER);
+        await bufferRecord(state.batch, OFFER, { id: 'java', query: 'java' });
+        startPhase(state.report, 'html');
+        countPage(state.report, 'html', 'list');
+        countRecord(state.report, 'html', OFFER);
+        state.pagination = createPagination('html');
+        planListing(state.pagination, {
+            url: LIST_URL,
+            page: 1,
+            links: [OFFER.url],
+            total: 5,
+            maxPages: 10,
+            wanted: 5,
+        });
+        await saveCheckpoint(state);
+
+        const resumed = await newState();
+        assert.equal(await restoreCheckpoint(resumed), true);
+        for (const key of ['saved', 'savedTotal', 'searchIndex', 'apiPage', 'truncated', 'lost', 'covered']) {
+            assert.deepEqual(resumed[key], state[key], key);
+        }
+        for (const key of ['phasesDone', 'seenIds', 'processed', 'htmlDetailUrls', 'escalateUrls']) {
+            assert.deepEqual([...resumed[key]], [...state[key]], key);
+        }
+        assert.deepEqual([...resumed.partials], [...state.partials]);
+        assert.deepEqual(resumed.monitor.current, state.monitor.current);
+        assert.deepEqual(resumed.monitor.counts, { new: 1, updated: 0, unchanged: 0, removed: 0 });
+        assert.deepEqual(resumed.companies.companies.get('c1'), { company_id: 'c1', name: 'Acme' });
+        assert.deepEqual(resumed.notifier.pending, [OFFER]);
+        assert.deepEqual([...resumed.batch.records], [...state.batch.records]);
+        assert.deepEqual(resumed.batch.counts, state.batch.counts);
+        assert.equal(resumed.report.phases.html.pages.list, 1);
+        assert.equal(resumed.report.records, 1);
+        assert.equal(resumed.pagination.phase, 'html');
+        assert.deepEqual(resumed.pagination.listings, state.pagination.listings);
+    });
+
+    it('goes on with the planned list pages instead of planning them again', async () => {
+        const state = await newState();
+        state.pagination = createPagination('html');
+        const first = planListing(state.pagination, {
+            url: LIST_URL,
+            page: 1,
+            links: ['a'],
+            total: 3,
+            maxPages: 10,
+            wanted: 3,
+        });
+        assert.deepEqual(first.pages, [2, 3]);
+        await saveCheckpoint(state);
+
+        const resumed = await newState();
+        await restoreCheckpoint(resumed);
+        const again = planListing(resumed.pagination, {
+            url: `${LIST_URL}&page=2`,
+            page: 2,
+            links: ['b'],
+            total: 3,
+            maxPages: 10,
+            wanted: 2,
+        });
+        assert.deepEqual(again.pages, []);
+        const repeated = planListing(resumed.pagination, {
+            url: LIST_URL,
+            page: 1,
+            links: ['a'],
+            maxPages: 10,
+            wanted: 2,
+        });
+        assert.equal(repeated.repeated, true);
+    });
+
+    it('starts afresh once the checkpoint is cleared', async () => {
+        await saveCheckpoint(await newState());
+        await clearCheckpoint();
+        assert.equal(await restoreCheckpoint(await newState()), false);
+    });
+});
@@ -0,0 +1,89 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import {
+    openCompanyCollector,
+    registerCompany,
+    collectCompanyProfiles,
+    companyIdentity,
+    extractCompanyProfile,
+} from '../src/companies.js';
+import { mapApiOffer } from '../src/main.js';
+import { loadHtmlFixture, readJsonFixture } from './helpers/fixtures.js';
+
+const PAGE_ID = '7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70';
+const PAGE_URL = `https://www.infojobs.net/tecnologias-iberia/em-i${PAGE_ID}`;
+
+describe('companyIdentity', () => {
+    it('prefers the ID in the company page URL over the API author ID', () => {
+        assert.deepEqual(companyIdentity({ url: PAGE_URL, apiId: 'other' }), {
+            company_id: PAGE_ID,
+            company_id_type: 'page',
+        });
+    });
+
+    it('falls back to the API author ID and says so', () => {
+        assert.deepEqual(companyIdentity({ url: null, apiId: 'AB12' }), { company_id: 'ab12', company_id_type: 'api' });
+        assert.deepEqual(companyIdentity({}), { company_id: null, company_id_type: null });
+    });
+
+    it('gives an API offer the same company ID as its page', () => {
+        const [item] = readJsonFixture('api/offers-page-1.json').items;
+        const job = mapApiOffer({ ...item, author: { ...item.author, id: 'api-only-id' } });
+        assert.equal(job.company_id, PAGE_ID);
+        assert.equal(job.company_id_type, 'page');
+
+        const noPage = mapApiOffer({ ...item, author: { id: 'API-ONLY-ID', name: 'Tecnologías Iberia' } });
+        assert.equal(noPage.company_id, 'api-only-id');
+        assert.equal(noPage.company_id_type, 'api');
+    });
+});
+
+describe('extractCompanyProfile', () => {
+    it('reads the Organization JSON-LD and skips blocks that do not parse', () => {
+        const { $ } = loadHtmlFixture('company-page.html');
+        assert.deepEqual(extractCompanyProfile($), {
+            name: 'Tecnologías Iberia',
+            sector: 'Informática y telecomunicaciones',
+            size: 'De 201 a 500 empleados',
+            website: 'https://www.tecnologiasiberia.example',
+            location: 'Madrid, Madrid',
+            description: 'Consultora tecnológica especializada en pagos y banca digital.',
+            active_offers: 12,
+            logo_url: 'https://multimedia.infojobs.net/logo-iberia.png',
+        });
+    });
+});
+
+describe('collectCompanyProfiles', () => {
+    const cfg = { collectCompanies: true, companiesDatasetName: 'companies-test', htmlDetailConcurrency: 1 };
+
+    async function run(companies) {
+        const collector = await openCompanyCollector(cfg);
+        for (const company of companies) registerCompany(collector, company);
+        await collectCompanyProfiles(collector, cfg, undefined, {});
+        return collector;
+    }
+
+    it('saves each company once, in one run and across runs', async () => {
+        const acme = { id: 'a1', company_id_type: 'api', name: 'Acme' };
+        const first = await run([
+            acme,
+            { ...acme, logo_url: 'https://example.com/acme.png' },
+            { id: 'b2', name: 'Beta' },
+        ]);
+        assert.equal(first.pushed, 2);
+
+        const second = await run([acme, { id: 'c3', name: 'Gamma' }]);
+        assert.equal(second.pushed, 1);
+
+        const { items } = await (await Actor.openDataset(cfg.companiesDatasetName)).getData();
+        assert.deepEqual(
+            items.map((c) => c.company_id),
+            ['a1', 'b2', 'c3'],
+        );
+        assert.equal(items[0].company_id_type, 'api');
+        assert.equal(items[0].logo_url, 'https://example.com/acme.png');
+    });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBeforeCutoff, isDateText, normalizeDate, postedWithinForCutoff, resolveDateCutoff } from '../src/dates.js';
+
+// Monday 19 October 2026, 12:00 in Madrid (summer time)
+const NOW = new Date('2026-10-19T10:00:00Z');
+const date = (value) => normalizeDate(value, { now: NOW });
+
+describe('normalizeDate', () => {
+    it('gives API and JSON-LD timestamps the Madrid offset', () => {
+        assert.equal(date('2026-10-18T08:00:00.000Z'), '2026-10-18T10:00:00+02:00');
+        assert.equal(date('2026-10-17T09:30:00+02:00'), '2026-10-17T09:30:00+02:00');
+        assert.equal(date('2026-01-15T10:00:00Z'), '2026-01-15T11:00:00+01:00');
+        assert.equal(date(new Date('2026-10-18T08:00:00Z')), '2026-10-18T10:00:00+02:00');
+    });
+
+    it('reads dates without an offset as Madrid time', () => {
+        assert.equal(date('2026-10-15'), '2026-10-15T00:00:00+02:00');
+        assert.equal(date('2026-01-15T10:00:00'), '2026-01-15T10:00:00+01:00');
+    });
+
+    it('counts relative texts back from now, to the precision of their unit', () => {
+        assert.equal(date('Hace 3 horas'), '2026-10-19T09:00:00+02:00');
+        assert.equal(date('Publicada hace 2d'), '2026-10-17T00:00:00+02:00');
+        assert.equal(date('hace 5 minutos'), '2026-10-19T11:55:00+02:00');
+        assert.equal(date('Actualizada hace una semana'), '2026-10-12T00:00:00+02:00');
+        assert.equal(date('Ayer'), '2026-10-18T00:00:00+02:00');
+        assert.equal(date('Publicada hoy'), '2026-10-19T00:00:00+02:00');
+        assert.equal(date('Ahora mismo'), '2026-10-19T12:00:00+02:00');
+        assert.equal(date('Hace un momento'), '2026-10-19T12:00:00+02:00');
+        assert.equal(date('hace unos instantes'), '2026-10-19T12:00:00+02:00');
+    });
+
+    it('gives the same date to a relative text read at another time of day', () => {
+        const later = { now: new Date('2026-10-19T17:45:30Z') };
+        assert.equal(normalizeDate('Hace 2d', later), date('Hace 2d'));
+        assert.equal(normalizeDate('Ayer', later), date('Ayer'));
+        assert.equal(normalizeDate('Hace 3 horas', { now: new Date('2026-10-19T10:20:00Z') }), date('Hace 3 horas'));
+    });
+
+    it('reads absolute Spanish dates, in the past year when they have none', () => {
+        assert.equal(date('Publicada el 12 oct'), '2026-10-12T00:00:00+02:00');
+        assert.equal(date('12 de diciembre'), '2025-12-12T00:00:00+01:00');
+        assert.equal(date('3 de marzo de 2026 a las 10:30'), '2026-03-03T10:30:00+01:00');
+        assert.equal(date('12/10/2026'), '2026-10-12T00:00:00+02:00');
+    });
+
+    it('returns null for texts that are not dates', () => {
+        for (const value of ['Madrid', 'Híbrido', '36.000€ - 45.000€ Bruto/año', '31/02/2026', '', null, undefined]) {
+            assert.equal(date(value), null, String(value));
+        }
+        assert.equal(date('Experiencia 2-3 años'), null);
+    });
+});
+
+describe('isDateText', () => {
+    it('accepts texts that start as a date phrase', () => {
+        for (const text of ['Hace 2h', 'Publicada el 12 oct', '12/10/2026', '12-10-2026', 'Ayer']) {
+            assert.equal(isDateText(text), true, text);
+        }
+    });
+
+    it('rejects card details that only contain numbers', () => {
+        for (const text of ['Experiencia 2-3 años', 'Contrato de 3 meses', 'Turno 6-14', '12/14 pagas', 'Valencia']) {
+            assert.equal(isDateText(text), false, text);
+        }
+    });
+});
+
+describe('resolveDateCutoff', () => {
+    it('takes the later of postedAfter and maxAgeDays', () => {
+        assert.equal(resolveDateCutoff({ postedAfter: '2026-10-01' }, { now: NOW }), '2026-10-01T00:00:00+02:00');
+        assert.equal(
+            resolveDateCutoff({ postedAfter: '2026-10-01', maxAgeDays: 7 }, { now: NOW }),
+            '2026-10-12T12:00:00+02:00',
+        );
+        assert.equal(resolveDateCutoff({ postedAfter: 'hace 3 días' }, { now: NOW }), '2026-10-16T00:00:00+02:00');
+        assert.equal(resolveDateCutoff({}, { now: NOW }), null);
+    });
+
+    it('rejects values that are not dates', () => {
+        assert.throws(() => resolveDateCutoff({ postedAfter: 'last week' }), /Invalid postedAfter "last week"/);
+        assert.throws(() => resolveDateCutoff({ maxAgeDays: -2 }), /Invalid maxAgeDays "-2"/);
+    });
+});
+
+describe('isBeforeCutoff and postedWithinForCutoff', () => {
+    it('compares dates across offsets and keeps undated offers', () => {
+        const cutoff = '2026-10-16T12:00:00+02:00';
+        assert.equal(isBeforeCutoff('2026-10-16T09:59:00Z', cutoff), true);
+        assert.equal(isBeforeCutoff('2026-10-16T10:00:00Z', cutoff), false);
+        assert.equal(isBeforeCutoff(null, cutoff), false);
+        assert.equal(isBeforeCutoff('2026-01-01', null), false);
+    });
+
+    it('picks the narrowest date window that holds the cutoff', () => {
+        assert.equal(postedWithinForCutoff('2026-10-18T13:00:00+02:00', NOW), '24h');
+        assert.equal(postedWithinForCutoff('2026-10-12T12:00:00+02:00', NOW), '7d');
+        assert.equal(postedWithinForCutoff('2026-10-05T00:00:00+02:00', NOW), '15d');
+        assert.equal(postedWithinForCutoff('2026-09-01T00:00:00+02:00', NOW), null);
+    });
+});
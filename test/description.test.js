@@ -0,0 +1,77 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import { processDescription } from '../src/description.js';
+import { extractJobFromDetail } from '../src/main.js';
+import { loadHtmlFixture } from './helpers/fixtures.js';
+
+const SECTIONS_URL = 'https://www.infojobs.net/valencia/camarero-sala/of-i5e4d3c2b1a0f9e8d7c6b5a4f3e2d1c0b';
+
+describe('processDescription', () => {
+    const job = extractJobFromDetail(loadHtmlFixture('detail-page-sections.html').$, SECTIONS_URL);
+
+    it('removes scripts, styles, attributes, media and page boilerplate from the HTML', () => {
+        assert.doesNotMatch(job.description_html, /<script|<style|<img|<button|<!--|style=|class=|onclick/);
+        assert.doesNotMatch(job.description_html, /Ver más|Inscribirme|Compartir oferta/);
+        assert.match(job.description_html, /<strong>camarero\/a de sala<\/strong>/);
+    });
+
+    it('converts the description to Markdown keeping headings and nested lists', () => {
+        assert.equal(
+            job.description_markdown,
+            [
+                'Restaurante en el centro de Valencia busca **camarero/a de sala** para la temporada.',
+                '### Funciones',
+                '- Atención y servicio en sala y terraza\n- Montaje y recogida de mesas',
+                '**Requisitos:**',
+                '- Al menos 1 año de experiencia en sala\n- Inglés nivel B1\n  - Valorable francés',
+                '**¿Qué te ofrecemos?**',
+                'Contrato indefinido\nComida de personal\nHorario: turnos de 8 horas',
+            ].join('\n\n'),
+        );
+        assert.match(job.description_text, /^Restaurante en el centro de Valencia busca camarero\/a de sala/);
+        assert.match(job.description_text, /\n\nFunciones\n\n- Atención y servicio/);
+    });
+
+    it('splits functions, requirements and benefits into their own fields', () => {
+        assert.equal(
+            job.description_responsibilities,
+            '- Atención y servicio en sala y terraza\n- Montaje y recogida de mesas',
+        );
+        assert.equal(
+            job.description_requirements,
+            '- Al menos 1 año de experiencia en sala\n- Inglés nivel B1\n  - Valorable francés',
+        );
+        assert.equal(job.description_benefits, 'Contrato indefinido\nComida de personal\nHorario: turnos de 8 horas');
+    });
+
+    it('reads sections from plain text and lead-ins', () => {
+        const text = processDescription(
+            'Buscamos conductor.\n\nRequisitos:\n- Carnet C\n- CAP\n\nSe ofrece: contrato fijo',
+        );
+        assert.match(text.description_html, /<p>Requisitos:<\/p><ul><li>Carnet C<\/li><li>CAP<\/li><\/ul>/);
+        assert.equal(text.description_requirements, '- Carnet C\n- CAP');
+        assert.equal(text.description_benefits, 'contrato fijo');
+        assert.equal(text.description_responsibilities, null);
+
+        const lead = processDescription(
+            '<p><strong>Tus funciones:</strong> reparto en furgoneta</p><p>Horario: de 9 a 18</p>',
+        );
+        assert.equal(lead.description_responsibilities, 'reparto en furgoneta\n\nHorario: de 9 a 18');
+    });
+
+    it('returns null fields without a description', () => {
+        assert.deepEqual(Object.values(processDescription(null)), Array(6).fill(null));
+        assert.equal(processDescription('<p><button>Inscribirme</button></p>').description_text, null);
+    });
+
+    it('never takes the whole page as the description', () => {
+        const $ = cheerioLoad(
+            '<html><body><h1>Camarero</h1><nav>Ofertas · Empresas</nav><p>Aviso legal</p></body></html>',
+        );
+        const page = extractJobFromDetail($, SECTIONS_URL);
+        assert.equal(page.description_html, null);
+        assert.equal(page.description_text, null);
+    });
+});
@@ -0,0 +1,107 @@
+import './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiClient } from '../src/api.js';
+import { loadDictionaries, refreshDictionaries, resolveDictionaryValues } from '../src/dictionaries.js';
+import { normalizeInput, resolveSearchTerms } from '../src/main.js';
+import { startApiServer, TEST_CREDS } from './helpers/api-server.js';
+
+const { province, category } = loadDictionaries();
+const names = (entries) => entries.map((e) => e.name);
+
+describe('resolveDictionaryValues', () => {
+    it('matches IDs, keys, names and aliases without regard to accents or case', () => {
+        assert.deepEqual(resolveDictionaryValues(province, 'province', '28, 08'), [
+            { id: '28', name: 'Madrid', key: 'madrid' },
+            { id: '8', name: 'Barcelona', key: 'barcelona' },
+        ]);
+        assert.deepEqual(names(resolveDictionaryValues(province, 'province', ['a-coruna', 'ALAVA', 'Vizcaya'])), [
+            'A Coruña',
+            'Álava',
+            'Bizkaia',
+        ]);
+        assert.deepEqual(resolveDictionaryValues(province, 'province', ''), []);
+    });
+
+    it('takes a unique prefix and corrects small typos', () => {
+        assert.deepEqual(names(resolveDictionaryValues(province, 'province', 'Barcelna; Valensia | Guipuz')), [
+            'Barcelona',
+            'Valencia',
+            'Gipuzkoa',
+        ]);
+        assert.deepEqual(names(resolveDictionaryValues(category, 'category', 'Informatica y telecomunicacion')), [
+            'Informática y telecomunicaciones',
+        ]);
+    });
+
+    it('does not guess between equally close names or past a quarter of the name', () => {
+        assert.deepEqual(names(resolveDictionaryValues(province, 'province', 'Zaragosa, Lugi')), ['Zaragoza', 'Lugo']);
+        // One edit from both Cuenca and Huesca
+        assert.throws(() => resolveDictionaryValues(province, 'province', 'Huenca'), /Unknown location "Huenca"/);
+        // Two edits from Soria, more than a five-letter name allows
+        assert.throws(
+            () => resolveDictionaryValues(province, 'province', 'Soira'),
+            /^Error: Unknown location "Soira"\. Did you mean: "Soria" \(42\), /,
+        );
+    });
+
+    it('fails with the closest names when nothing matches', () => {
+        assert.throws(
+            () => resolveDictionaryValues(province, 'province', 'Madrid, Narnia'),
+            (err) => {
+                assert.match(err.message, /^Unknown location "Narnia"\. Did you mean: /);
+                assert.equal(err.message.match(/"[^"]+" \(\d+\)/g).length, 5);
+                return true;
+            },
+        );
+        assert.throws(
+            () => resolveDictionaryValues(category, 'category', 'Astronautas'),
+            /Unknown category "Astronautas"/,
+        );
+    });
+});
+
+describe('refreshDictionaries', () => {
+    let server;
+    before(async () => {
+        server = await startApiServer();
+    });
+    after(() => server.close());
+
+    async function refreshed() {
+        const client = createApiClient({
+            creds: TEST_CREDS,
+            baseUrl: server.baseUrl,
+            tokenUrl: server.tokenUrl,
+            cacheToken: false,
+            requestsPerSecond: 0,
+            maxRetries: 0,
+        });
+        return refreshDictionaries(loadDictionaries(), client);
+    }
+
+    it('takes the API IDs and names by key and keeps the bundled aliases', async () => {
+        const dictionaries = await refreshed();
+        const madrid = dictionaries.province.find((e) => e.key === 'madrid');
+        assert.equal(madrid.id, '33');
+        assert.deepEqual(madrid.aliases, ['Comunidad de Madrid']);
+        assert.equal(dictionaries.province.find((e) => e.key === 'valencia').name, 'Valencia/València');
+        assert.equal(dictionaries.province.find((e) => e.key === 'extranjero').id, '60');
+        assert.equal(
+            dictionaries.province.some((e) => e.key === 'seleccionar'),
+            false,
+        );
+        // The category endpoint answers 404: the bundled table stays.
+        assert.deepEqual(dictionaries.category, loadDictionaries().category);
+        assert.ok(server.requests.some((r) => r.path === '/api/1/dictionary/province'));
+    });
+
+    it('narrows a radius search to the right provinces when the API IDs are not INE codes', async () => {
+        const dictionaries = await refreshed();
+        const cfg = normalizeInput({ keyword: 'java', nearLocation: 'Alcobendas', radiusKm: 10 });
+        resolveSearchTerms(cfg, dictionaries);
+        // INE code 28 is Madrid, but in the refreshed table ID 28 is Lleida.
+        assert.deepEqual(names(cfg.provinces), ['Guadalajara', 'Madrid']);
+        assert.equal(cfg.location, '19,33');
+    });
+});
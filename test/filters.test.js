@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fromWebParams, normalizeFilters, toApiParams, toWebParams } from '../src/filters.js';
+import { levenshtein } from '../src/text.js';
+
+describe('normalizeFilters', () => {
+    it('reads single and multi-value filters, the minimum salary and the city', () => {
+        const filters = normalizeFilters({
+            postedWithin: '7d',
+            contractType: 'permanent, temporary, permanent',
+            teleworking: ['remote'],
+            minSalary: '30000.4',
+            city: ' Alcalá de Henares ',
+        });
+        assert.equal(filters.postedWithin, '7d');
+        assert.deepEqual(filters.contractType, ['permanent', 'temporary']);
+        assert.deepEqual(filters.teleworking, ['remote']);
+        assert.deepEqual(filters.workDay, []);
+        assert.equal(filters.sortBy, null);
+        assert.equal(filters.minSalary, 30000);
+        assert.equal(filters.city, 'Alcalá de Henares');
+    });
+
+    it('suggests the closest allowed value for a misspelt one', () => {
+        assert.throws(
+            () => normalizeFilters({ contractType: 'permanet' }),
+            /^Error: Invalid contractType "permanet"\. Did you mean "permanent"\? Allowed values: permanent, temporary,/,
+        );
+        assert.throws(() => normalizeFilters({ teleworking: 'Hybrid' }), /Did you mean "hybrid"\?/);
+        assert.throws(() => normalizeFilters({ sortBy: 'dates' }), /Did you mean "date"\?/);
+    });
+
+    it('lists the allowed values without a guess when none is close or two are as close', () => {
+        assert.throws(
+            () => normalizeFilters({ postedWithin: 'yesterday' }),
+            /^Error: Invalid postedWithin "yesterday"\. Allowed values: any, 24h, 7d, 15d$/,
+        );
+        // One edit from both 1y and 2y
+        assert.throws(() => normalizeFilters({ experienceMin: '4y' }), /^Error: Invalid experienceMin "4y"\. Allowed/);
+    });
+});
+
+describe('API and web params', () => {
+    const filters = normalizeFilters({
+        postedWithin: '24h',
+        contractType: ['permanent', 'freelance'],
+        sortBy: 'date',
+        minSalary: 40000,
+        city: 'Alcalá de Henares',
+    });
+
+    it('translates each filter to the API and the search form', () => {
+        const api = toApiParams(filters);
+        assert.equal(api.get('sinceDate'), '_24_HOURS');
+        assert.deepEqual(api.getAll('contractType'), ['indefinido', 'autonomo']);
+        assert.equal(api.get('order'), 'updated-desc');
+        assert.equal(api.get('salaryPeriod'), 'bruto-anual');
+        assert.equal(api.get('city'), 'alcala-de-henares');
+
+        const web = toWebParams(filters);
+        assert.deepEqual(web.getAll('contractTypeIds'), ['1', '9']);
+        assert.equal(web.get('sortBy'), 'PUBLICATION_DATE');
+        assert.equal(web.get('salaryPeriod'), 'ANNUAL');
+    });
+
+    it('reads the same filters back out of a search form URL', () => {
+        const read = fromWebParams(toWebParams(filters));
+        assert.deepEqual(read, {
+            postedWithin: '24h',
+            contractType: ['permanent', 'freelance'],
+            sortBy: 'date',
+            minSalary: 40000,
+            city: 'alcala-de-henares',
+        });
+    });
+});
+
+describe('levenshtein', () => {
+    it('counts insertions, deletions and substitutions', () => {
+        assert.equal(levenshtein('barcelona', 'barcelona'), 0);
+        assert.equal(levenshtein('barcelna', 'barcelona'), 1);
+        assert.equal(levenshtein('valensia', 'valencia'), 1);
+        assert.equal(levenshtein('soira', 'soria'), 2);
+        assert.equal(levenshtein('', 'lugo'), 4);
+    });
+});
@@ -0,0 +1,93 @@
+// Local stand-in for the InfoJobs API - token endpoint, /offer result pages, /offer/:id details and dictionaries served
+// from the recorded responses in test/fixtures/api
+import { existsSync } from 'node:fs';
+import http from 'node:http';
+import { readJsonFixture } from './fixtures.js';
+
+export const TEST_CREDS = { id: 'test-client', secret: 'test-secret' };
+
+// `failOnce` lists offer IDs whose first detail request gets a 503, `unavailable` those whose detail is always a 503
+// and `missing` those whose detail is always a 404. `rateLimitOnce` lists offer IDs whose first detail request gets a
+// 429 with a Retry-After of `retryAfter` seconds. With `revokeFirstToken` the first token handed out is answered with
+// a 401, as if it had been revoked. Every request is logged in `requests`, with the time it arrived.
+export async function startApiServer({
+    failOnce = [],
+    unavailable = [],
+    missing = [],
+    rateLimitOnce = [],
+    retryAfter = 1,
+    revokeFirstToken = false,
+} = {}) {
+    const requests = [];
+    const failed = new Set();
+    const limited = new Set();
+    let issued = 0;
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            authorization: req.headers.authorization,
+            at: Date.now(),
+        });
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { 'content-type': 'application/json', ...headers });
+            res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === '/oauth/authorize') {
+            const basic = Buffer.from(`${TEST_CREDS.id}:${TEST_CREDS.secret}`).toString('base64');
+            if (req.method !== 'POST' || req.headers.authorization !== `Basic ${basic}`) {
+                return send(401, { error: 'invalid_client' });
+            }
+            issued += 1;
+            return send(200, { access_token: `test-token-${issued}`, token_type: 'bearer', expires_in: 3600 });
+        }
+        const token = (req.headers.authorization || '').match(/^Bearer test-token-(\d+)$/);
+        if (!token || Number(token[1]) > issued || (revokeFirstToken && token[1] === '1')) {
+            return send(401, { error: 'invalid_token' });
+        }
+
+        const dictionary = url.pathname.match(/^\/api\/1\/dictionary\/([a-z]+)$/);
+        if (dictionary) {
+            const name = `api/dictionary-${dictionary[1]}.json`;
+            return fixtureExists(name) ? send(200, readJsonFixture(name)) : send(404, { error: 'not found' });
+        }
+        if (url.pathname === '/api/9/offer') {
+            const name = `api/offers-page-${url.searchParams.get('page') || 1}.json`;
+            return send(200, fixtureExists(name) ? readJsonFixture(name) : { items: [], totalPages: 2 });
+        }
+        const detail = url.pathname.match(/^\/api\/9\/offer\/([^/]+)$/);
+        if (detail) {
+            const [, id] = detail;
+            if ((failOnce.includes(id) && !failed.has(id)) || unavailable.includes(id)) {
+                failed.add(id);
+                return send(503, { error: 'unavailable' });
+            }
+            if (rateLimitOnce.includes(id) && !limited.has(id)) {
+                limited.add(id);
+                return send(429, { error: 'too many requests' }, { 'retry-after': String(retryAfter) });
+            }
+            const name = `api/offer-${id}.json`;
+            return fixtureExists(name) && !missing.includes(id)
+                ? send(200, readJsonFixture(name))
+                : send(404, { error: 'not found' });
+        }
+        return send(404, { error: 'not found' });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    return {
+        baseUrl: `${base}/api/9`,
+        tokenUrl: `${base}/oauth/authorize`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+function fixtureExists(name) {
+    return existsSync(new URL(`../fixtures/${name}`, import.meta.url));
+}
@@ -0,0 +1,18 @@
+// Fixture loading - saved InfoJobs pages and recorded API responses under test/fixtures
+import { readFileSync } from 'node:fs';
+import { load as cheerioLoad } from 'cheerio';
+
+const FIXTURES_DIR = new URL('../fixtures/', import.meta.url);
+
+export function readFixture(name) {
+    return readFileSync(new URL(name, FIXTURES_DIR), 'utf8');
+}
+
+export function loadHtmlFixture(name) {
+    const html = readFixture(`html/${name}`);
+    return { html, $: cheerioLoad(html) };
+}
+
+export function readJsonFixture(name) {
+    return JSON.parse(readFixture(name));
+}
@@ -0,0 +1,12 @@
+// Test setup - in-memory storages and quiet logs. Import it before anything that loads apify or crawlee.
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const storageDir = mkdtempSync(join(tmpdir(), 'infojobs-test-'));
+process.on('exit', () => rmSync(storageDir, { recursive: true, force: true }));
+
+process.env.CRAWLEE_STORAGE_DIR = storageDir;
+process.env.CRAWLEE_PERSIST_STORAGE = 'false';
+process.env.CRAWLEE_LOG_LEVEL = process.env.CRAWLEE_LOG_LEVEL || 'ERROR';
+process.env.APIFY_LOG_LEVEL = process.env.APIFY_LOG_LEVEL || 'ERROR';
@@ -0,0 +1,27 @@
+// Local stand-in for a webhook receiver - records every POST and answers with the given status codes in turn
+import http from 'node:http';
+
+// `statuses` are answered one per request, the last one for every request after them.
+export async function startWebhookServer({ statuses = [200] } = {}) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ method: req.method, headers: req.headers, body, json: JSON.parse(body || 'null') });
+            res.writeHead(statuses[Math.min(requests.length, statuses.length) - 1]);
+            res.end();
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
@@ -0,0 +1,80 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalOfferId, mergeRecords, offerIdFromUrl, offerKey } from '../src/identity.js';
+import { extractJobFromDetail, mapApiOffer, normalizeJobRecord } from '../src/main.js';
+import { loadHtmlFixture, readJsonFixture } from './helpers/fixtures.js';
+
+const SENIOR_ID = '4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13';
+const OFFER_URL = `https://www.infojobs.net/madrid/desarrollador-java-senior/of-i${SENIOR_ID}`;
+
+describe('offerIdFromUrl', () => {
+    it('reads the same ID from every offer URL form', () => {
+        const forms = [
+            OFFER_URL,
+            `${OFFER_URL}?applicationOrigin=search-new&page=1`,
+            `//www.infojobs.net/madrid/desarrollador-java-senior/of-i${SENIOR_ID}`,
+            `/madrid/desarrollador-java-senior/of-i${SENIOR_ID.toUpperCase()}`,
+            `https://m.infojobs.net/madrid/desarrollador-java-senior/of-i${SENIOR_ID}`,
+            `https://api.infojobs.net/api/9/offer/${SENIOR_ID}`,
+            `https://www.infojobs.net/candidate/application/application-form.xhtml?offerId=${SENIOR_ID}`,
+            `https://www.infojobs.net/jobsearch/search-results/detail.xhtml?of_codigo=${SENIOR_ID}`,
+        ];
+        for (const url of forms) assert.equal(offerIdFromUrl(url), SENIOR_ID, url);
+    });
+
+    it('returns null for URLs that name no offer', () => {
+        assert.equal(
+            offerIdFromUrl('https://www.infojobs.net/tecnologias-iberia/em-i7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70'),
+            null,
+        );
+        assert.equal(offerIdFromUrl('https://www.infojobs.net/ofertas-trabajo/madrid'), null);
+        assert.equal(offerIdFromUrl('http://[bad'), null);
+    });
+});
+
+describe('canonicalOfferId and offerKey', () => {
+    it('accepts API IDs and offer URLs alike', () => {
+        assert.equal(canonicalOfferId(SENIOR_ID.toUpperCase()), SENIOR_ID);
+        assert.equal(canonicalOfferId(`${OFFER_URL}?x=1`), SENIOR_ID);
+        assert.equal(canonicalOfferId(null), null);
+        assert.equal(offerKey(`${OFFER_URL}?x=1`), offerKey(SENIOR_ID));
+        assert.equal(offerKey('https://www.infojobs.net/ofertas-trabajo'), 'https://www.infojobs.net/ofertas-trabajo');
+    });
+
+    it('gives HTML and API records the same ID', () => {
+        const [item] = readJsonFixture('api/offers-page-1.json').items;
+        const api = normalizeJobRecord(mapApiOffer(item));
+        const html = extractJobFromDetail(loadHtmlFixture('detail-page.html').$, `${OFFER_URL}?applicationOrigin=x`);
+        assert.equal(api.id, SENIOR_ID);
+        assert.equal(html.id, SENIOR_ID);
+        assert.deepEqual(api.sources, ['infojobs-api']);
+    });
+});
+
+describe('mergeRecords', () => {
+    it('prefers API values, fills the gaps from the page and lists both sources', () => {
+        const [item] = readJsonFixture('api/offers-page-1.json').items;
+        const api = normalizeJobRecord(mapApiOffer(item));
+        const html = extractJobFromDetail(loadHtmlFixture('detail-page.html').$, OFFER_URL);
+        const merged = mergeRecords(html, api);
+
+        assert.equal(merged.id, SENIOR_ID);
+        assert.equal(merged.source, 'infojobs-api');
+        assert.deepEqual(merged.sources, ['infojobs-api', 'infojobs-html']);
+        assert.equal(merged.location, api.location);
+        assert.equal(merged.postal_code, '28020');
+        assert.match(merged.description_text, /equipo de pagos/);
+        assert.equal(merged.valid_through, html.valid_through);
+    });
+
+    it('takes grouped fields from one record', () => {
+        const merged = mergeRecords(
+            { source: 'infojobs-html', salary_min: 30000, salary_max: 40000, salary_period: 'year' },
+            { source: 'infojobs-api', salary_min: 1500, salary_max: null, salary_period: 'month' },
+        );
+        assert.equal(merged.salary_min, 1500);
+        assert.equal(merged.salary_max, null);
+        assert.equal(merged.salary_period, 'month');
+    });
+});
@@ -0,0 +1,245 @@
+import './helpers/setup.js';
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { load as cheerioLoad } from 'cheerio';
+import { createApiClient } from '../src/api.js';
+import {
+    offerRedirect,
+    offerStatusFromApi,
+    offerStatusFromRecord,
+    readOfferNotice,
+    readRecheckTargets,
+    recheckPageUrl,
+} from '../src/lifecycle.js';
+import { createState, normalizeInput, runRecheck } from '../src/main.js';
+import { loadHtmlFixture, readFixture, readJsonFixture } from './helpers/fixtures.js';
+import { startApiServer, TEST_CREDS } from './helpers/api-server.js';
+
+const SENIOR_ID = '4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13';
+const CLOSED_ID = '0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4';
+const GONE_ID = '9e8d7c6b5a4f3e2d1c0b9a8f7e6d5c4b';
+const MOVED_ID = '3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f';
+const LOGIN_ID = '6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c';
+const OFFER_URL = `https://www.infojobs.net/madrid/desarrollador-java-senior/of-i${SENIOR_ID}`;
+const NOW = new Date('2026-10-19T10:00:00Z');
+
+describe('readOfferNotice', () => {
+    it('recognizes the "oferta no disponible" page', () => {
+        const { $ } = loadHtmlFixture('detail-page-unavailable.html');
+        const notice = readOfferNotice($, { statusCode: 200, url: OFFER_URL });
+        assert.equal(notice.status, 'closed');
+        assert.match(notice.reason, /no disponible/);
+    });
+
+    it('leaves offer pages alone, even when their description uses the same words', () => {
+        assert.equal(readOfferNotice(loadHtmlFixture('detail-page.html').$, { statusCode: 200, url: OFFER_URL }), null);
+        const $ = cheerioLoad(
+            '<h1>Dependiente/a</h1><div id="jobDescription"><p>Tienda cerrada los domingos. La oferta ha finalizado ' +
+                'su primera fase.</p></div>',
+        );
+        assert.equal(readOfferNotice($, { statusCode: 200, url: OFFER_URL }), null);
+    });
+
+    it('tells expired, removed and redirected offers apart', () => {
+        const expired = cheerioLoad('<title>InfoJobs</title><h1>Esta oferta ha caducado</h1>');
+        assert.equal(readOfferNotice(expired, { statusCode: 200, url: OFFER_URL }).status, 'expired');
+        assert.deepEqual(readOfferNotice(cheerioLoad('<p>Not Found</p>'), { statusCode: 404, url: OFFER_URL }), {
+            status: 'not_found',
+            reason: 'status 404',
+        });
+        const redirected = readOfferNotice(cheerioLoad('<h1>Ofertas de trabajo</h1>'), {
+            statusCode: 200,
+            url: OFFER_URL,
+            loadedUrl: 'https://www.infojobs.net/ofertas-trabajo/madrid',
+        });
+        assert.deepEqual(redirected, { status: 'closed', reason: 'redirected to /ofertas-trabajo/madrid' });
+    });
+
+    it('takes only redirects to a listing for closed offers', () => {
+        const to = (loadedUrl) => offerRedirect({ url: OFFER_URL, loadedUrl });
+        assert.equal(to('https://www.infojobs.net/jobsearch/search-results/list.xhtml?keyword=java'), 'listing');
+        assert.equal(to('https://www.infojobs.net/candidate/login.xhtml?dgv=1'), 'elsewhere');
+        assert.equal(to('https://geo.captcha-delivery.com/captcha/?initialCid=x'), 'elsewhere');
+        assert.equal(to(`${OFFER_URL}?applicationOrigin=x`), null);
+        const login = cheerioLoad('<h1>Inicia sesión</h1>');
+        const loadedUrl = 'https://www.infojobs.net/candidate/login.xhtml';
+        assert.equal(readOfferNotice(login, { statusCode: 200, url: OFFER_URL, loadedUrl }), null);
+    });
+});
+
+describe('offer status', () => {
+    it('reads the API detail flags and dates', () => {
+        const detail = readJsonFixture(`api/offer-${SENIOR_ID}.json`);
+        assert.equal(offerStatusFromApi(detail, { now: NOW }).status, 'active');
+        assert.equal(offerStatusFromApi({ ...detail, active: false }, { now: NOW }).status, 'closed');
+        assert.equal(offerStatusFromApi({ ...detail, archived: true }, { now: NOW }).reason, 'API archived flag');
+        const expired = offerStatusFromApi({ ...detail, expirationDate: '2026-10-01T00:00:00Z' }, { now: NOW });
+        assert.equal(expired.status, 'expired');
+    });
+
+    it('expires offer pages past their validThrough date', () => {
+        assert.equal(
+            offerStatusFromRecord({ valid_through: '2026-11-16T23:59:59+01:00' }, { now: NOW }).status,
+            'active',
+        );
+        assert.equal(
+            offerStatusFromRecord({ valid_through: '2026-10-18T23:59:59+02:00' }, { now: NOW }).status,
+            'expired',
+        );
+        assert.equal(offerStatusFromRecord({ valid_through: null }, { now: NOW }).status, 'active');
+    });
+});
+
+describe('readRecheckTargets', () => {
+    it('takes IDs, URLs and earlier records once each', async () => {
+        const cfg = normalizeInput({
+            recheckOffers: [
+                SENIOR_ID,
+                `${OFFER_URL}?applicationOrigin=x`,
+                { id: CLOSED_ID, title: 'Programador Java' },
+            ],
+        });
+        const targets = await readRecheckTargets(cfg);
+        assert.deepEqual(
+            targets.map((t) => [t.id, t.url, t.title]),
+            [
+                [SENIOR_ID, null, null],
+                [CLOSED_ID, null, 'Programador Java'],
+            ],
+        );
+        assert.equal(
+            recheckPageUrl(targets[0]),
+            `https://www.infojobs.net/jobsearch/search-results/detail.xhtml?of_codigo=${SENIOR_ID}`,
+        );
+    });
+
+    it('reads the offers of a dataset', async () => {
+        const dataset = await Actor.openDataset('earlier-run');
+        await dataset.pushData([
+            { id: SENIOR_ID, url: OFFER_URL, title: 'Desarrollador Java Senior' },
+            { id: GONE_ID, url: null },
+            { title: 'no id' },
+        ]);
+        const targets = await readRecheckTargets(normalizeInput({ recheckDatasetId: 'earlier-run' }));
+        assert.deepEqual(
+            targets.map((t) => t.id),
+            [SENIOR_ID, GONE_ID],
+        );
+        assert.equal(targets[0].url, OFFER_URL);
+    });
+});
+
+describe('runRecheck', () => {
+    let api;
+    let pages;
+    let pagesBase;
+
+    before(async () => {
+        api = await startApiServer({ missing: [CLOSED_ID] });
+        pages = http.createServer((req, res) => {
+            const send = (status, html) => {
+                res.writeHead(status, { 'content-type': 'text/html; charset=utf-8' });
+                res.end(html);
+            };
+            const redirect = (location) => {
+                res.writeHead(302, { location });
+                res.end();
+            };
+            if (req.url.includes(CLOSED_ID)) return send(200, readFixture('html/detail-page-unavailable.html'));
+            if (req.url.includes(MOVED_ID)) return redirect('/ofertas-trabajo/madrid');
+            if (req.url.includes(LOGIN_ID)) return redirect('/candidate/login.xhtml');
+            if (req.url.startsWith('/ofertas-trabajo')) return send(200, readFixture('html/list-page.html'));
+            if (req.url.startsWith('/candidate/login'))
+                return send(200, '<html><body><h1>Inicia sesión</h1></body></html>');
+            if (req.url.includes(SENIOR_ID)) return send(200, readFixture('html/detail-page.html'));
+            return send(404, '<html><body><p>Not Found</p></body></html>');
+        });
+        await new Promise((resolve) => pages.listen(0, '127.0.0.1', resolve));
+        pagesBase = `http://127.0.0.1:${pages.address().port}`;
+    });
+
+    after(async () => {
+        await api.close();
+        await new Promise((resolve) => pages.close(resolve));
+    });
+
+    it('reports a status for every offer, through the API first and the page when the API has no answer', async () => {
+        const cfg = normalizeInput({
+            recheckOffers: [
+                SENIOR_ID,
+                `${pagesBase}/madrid/programador-java/of-i${CLOSED_ID}`,
+                `${pagesBase}/madrid/camarero/of-i${GONE_ID}`,
+            ],
+        });
+        const state = await createState(cfg);
+        state.phase = 'recheck';
+        const client = createApiClient({
+            creds: TEST_CREDS,
+            baseUrl: api.baseUrl,
+            tokenUrl: api.tokenUrl,
+            cacheToken: false,
+            requestsPerSecond: 0,
+            maxRetries: 0,
+        });
+        const dataset = await Actor.openDataset();
+        const before = (await dataset.getData()).items.length;
+
+        const reason = await runRecheck(cfg, state, { apiClient: client });
+        const items = (await dataset.getData()).items.slice(before);
+        const byId = Object.fromEntries(items.map((item) => [item.id, item]));
+
+        assert.equal(reason, 'all offers rechecked');
+        assert.equal(items.length, 3);
+        assert.equal(byId[SENIOR_ID].status, 'active');
+        assert.equal(byId[SENIOR_ID].checked_via, 'api');
+        assert.equal(byId[SENIOR_ID].applications, 37);
+        assert.equal(byId[SENIOR_ID].date_updated, '2026-10-18T10:00:00+02:00');
+        assert.equal(byId[CLOSED_ID].status, 'closed');
+        assert.equal(byId[CLOSED_ID].checked_via, 'page');
+        assert.equal(byId[GONE_ID].status, 'not_found');
+        assert.deepEqual(state.recheck, { active: 1, closed: 1, expired: 0, not_found: 1, unknown: 0 });
+        assert.equal(state.report.phases.recheck.parse_failures.count, 0);
+        assert.equal(state.report.phases.recheck.blocks.count, 0);
+
+        assert.equal(await runRecheck(cfg, state, { apiClient: client }), 'no offers to recheck');
+    });
+
+    it('reads the status from the page without API credentials', async () => {
+        const cfg = normalizeInput({
+            recheckOffers: [`${pagesBase}/madrid/desarrollador-java-senior/of-i${SENIOR_ID}`],
+        });
+        const state = await createState(cfg);
+        state.phase = 'recheck';
+        const dataset = await Actor.openDataset();
+        const before = (await dataset.getData()).items.length;
+
+        await runRecheck(cfg, state);
+        const [item] = (await dataset.getData()).items.slice(before);
+        assert.equal(item.status, 'active');
+        assert.equal(item.checked_via, 'page');
+        assert.equal(item.title, 'Desarrollador Java Senior');
+        assert.equal(item.valid_through, '2026-11-16T23:59:59+01:00');
+    });
+
+    it('reports redirects to a listing as closed and to a login page as blocked', async () => {
+        const cfg = normalizeInput({
+            recheckOffers: [
+                `${pagesBase}/madrid/camarero/of-i${MOVED_ID}`,
+                `${pagesBase}/madrid/cocinero/of-i${LOGIN_ID}`,
+            ],
+        });
+        const state = await createState(cfg);
+        state.phase = 'recheck';
+        const dataset = await Actor.openDataset();
+        const before = (await dataset.getData()).items.length;
+
+        await runRecheck(cfg, state);
+        const items = (await dataset.getData()).items.slice(before);
+        const byId = Object.fromEntries(items.map((item) => [item.id, item]));
+        assert.equal(byId[MOVED_ID].status, 'closed');
+        assert.equal(byId[LOGIN_ID].status, 'unknown');
+        assert.ok(state.report.phases.recheck.blocks.count > 0);
+    });
+});
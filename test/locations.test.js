@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { distanceKm, isWithinRadius, normalizeLocation, normalizeWorkMode, resolveRadius } from '../src/locations.js';
+
+const VALENCIA = { latitude: 39.4699, longitude: -0.3763 };
+
+describe('normalizeLocation', () => {
+    it('gives API fields and page texts the same canonical place', () => {
+        const fromApi = normalizeLocation({ city: 'Alcobendas', province: 'Madrid', country: 'España' });
+        const fromPage = normalizeLocation({ location: 'Alcobendas (Madrid)' });
+        const fromPostalCode = normalizeLocation({ location: '28100 Alcobendas' });
+        for (const place of [fromApi, fromPage, fromPostalCode]) {
+            assert.equal(place.location, 'Alcobendas, Madrid');
+            assert.equal(place.city, 'Alcobendas');
+            assert.equal(place.province, 'Madrid');
+            assert.equal(place.autonomous_community, 'Comunidad de Madrid');
+            assert.equal(place.country, 'España');
+            assert.equal(place.latitude, 40.5475);
+        }
+        assert.equal(fromPostalCode.postal_code, '28100');
+    });
+
+    it('matches accents, local names and province aliases', () => {
+        assert.equal(normalizeLocation({ location: 'València, Valencia/València' }).city, 'Valencia');
+        const bilbao = normalizeLocation({ location: 'Bilbao, Vizcaya' });
+        assert.equal(bilbao.province, 'Bizkaia');
+        assert.equal(bilbao.autonomous_community, 'País Vasco');
+    });
+
+    it('places towns that are not provincial capitals', () => {
+        const place = normalizeLocation({ location: 'Paiporta' });
+        assert.equal(place.location, 'Paiporta, Valencia');
+        assert.equal(place.autonomous_community, 'Comunitat Valenciana');
+        assert.ok(distanceKm(place, VALENCIA) < 10);
+        assert.equal(normalizeLocation({ location: 'Burjassot (Valencia/València)' }).city, 'Burjassot');
+        assert.equal(normalizeLocation({ city: 'Arroyomolinos', province: 'Cáceres' }).province, 'Cáceres');
+    });
+
+    it('keeps towns missing from the table with the province of the text', () => {
+        const place = normalizeLocation({ location: 'Urbanización Los Pinos, Valencia' });
+        assert.equal(place.city, 'Urbanización Los Pinos');
+        assert.equal(place.province, 'Valencia');
+        assert.equal(place.autonomous_community, 'Comunitat Valenciana');
+        assert.equal(place.latitude, null);
+    });
+
+    it('prefers source coordinates and leaves work mode texts out', () => {
+        const place = normalizeLocation({
+            location: 'Madrid, Teletrabajo parcial',
+            latitude: 40.453,
+            longitude: -3.69,
+        });
+        assert.equal(place.location, 'Madrid');
+        assert.equal(place.latitude, 40.453);
+        assert.equal(normalizeLocation({ location: 'Solo teletrabajo' }).location, null);
+    });
+
+    it('leaves places outside Spain as they are', () => {
+        const place = normalizeLocation({ location: 'Lisboa', country: 'Portugal' });
+        assert.equal(place.city, 'Lisboa');
+        assert.equal(place.province, null);
+        assert.equal(place.country, 'Portugal');
+        for (const location of ['Lisboa, Portugal', 'Lisboa (Portugal)']) {
+            assert.equal(normalizeLocation({ location }).location, 'Lisboa, Portugal', location);
+            assert.equal(normalizeLocation({ location }).country, 'Portugal', location);
+        }
+        // Not the Spanish province of the same name
+        const cordoba = normalizeLocation({ location: 'Córdoba, Argentina' });
+        assert.equal(cordoba.province, null);
+        assert.equal(cordoba.country, 'Argentina');
+        assert.equal(normalizeLocation({ location: 'Londres, United Kingdom' }).country, 'Reino Unido');
+    });
+});
+
+describe('normalizeWorkMode', () => {
+    it('reads the teleworking value first, then the location, title and description', () => {
+        assert.equal(normalizeWorkMode({ remote: 'Solo teletrabajo' }), 'remote');
+        assert.equal(normalizeWorkMode({ remote: 'Teletrabajo parcial' }), 'hybrid');
+        assert.equal(normalizeWorkMode({ remote: 'Presencial', title: 'Java 100% remoto' }), 'on_site');
+        assert.equal(normalizeWorkMode({ location: 'Madrid (Híbrido)' }), 'hybrid');
+        assert.equal(normalizeWorkMode({ title: 'Desarrollador Java - Remoto' }), 'remote');
+        assert.equal(normalizeWorkMode({ description: 'Modalidad híbrida: 2 días en oficina.' }), 'hybrid');
+    });
+
+    it('reads teleworking that is ruled out as on site, and mixed with presence as hybrid', () => {
+        assert.equal(normalizeWorkMode({ remote: 'Teletrabajo no disponible' }), 'on_site');
+        assert.equal(normalizeWorkMode({ title: 'Mozo de almacén sin teletrabajo' }), 'on_site');
+        assert.equal(normalizeWorkMode({ description: 'Puesto en oficina, no se ofrece teletrabajo.' }), 'on_site');
+        assert.equal(normalizeWorkMode({ remote: 'Presencial y teletrabajo' }), 'hybrid');
+        assert.equal(normalizeWorkMode({ location: 'Madrid (remoto / presencial)' }), 'hybrid');
+    });
+
+    it('needs more than a passing mention in the description', () => {
+        assert.equal(normalizeWorkMode({ description: 'Ofrecemos flexibilidad y algún día de teletrabajo.' }), null);
+        assert.equal(normalizeWorkMode({}), null);
+    });
+
+    it('keeps normalized values', () => {
+        for (const mode of ['remote', 'hybrid', 'on_site']) assert.equal(normalizeWorkMode({ remote: mode }), mode);
+    });
+});
+
+describe('resolveRadius and isWithinRadius', () => {
+    it('centres the radius on a municipality and lists the provinces in reach', () => {
+        const radius = resolveRadius({ nearLocation: 'Valensia' });
+        assert.equal(radius.center, 'Valencia');
+        assert.equal(radius.km, 30);
+        // Castellón has no municipality in the table within 30 km, but its southern border is.
+        assert.deepEqual(radius.provinces, ['12', '46']);
+        assert.deepEqual(resolveRadius({ nearLocation: 'Valencia', radiusKm: 10 }).provinces, ['46']);
+        assert.equal(resolveRadius({ nearLocation: '40.4168, -3.7038', radiusKm: 20 }).provinces.includes('28'), true);
+        assert.equal(resolveRadius({}), null);
+    });
+
+    it('places offers by their coordinates, else by their province', () => {
+        const radius = resolveRadius({ nearLocation: 'Valencia', radiusKm: 30 });
+        assert.equal(isWithinRadius({ latitude: 39.3, longitude: -0.3 }, radius), true);
+        assert.equal(isWithinRadius({ latitude: 40.4168, longitude: -3.7038 }, radius), false);
+        assert.equal(isWithinRadius({ province: 'Madrid', latitude: null, longitude: null }, radius), false);
+        assert.equal(isWithinRadius({ latitude: null, longitude: null }, radius), true);
+        assert.equal(isWithinRadius({}, null), true);
+    });
+
+    it('places towns around the centre and keeps towns missing from the table when their province is in reach', () => {
+        const radius = resolveRadius({ nearLocation: 'Valencia', radiusKm: 30 });
+        for (const location of ['Burjassot, Valencia', 'Manises (Valencia/València)', 'Manises', 'Paiporta']) {
+            const place = normalizeLocation({ location });
+            assert.notEqual(place.latitude, null, location);
+            assert.equal(isWithinRadius(place, radius), true, location);
+        }
+        assert.equal(isWithinRadius(normalizeLocation({ location: 'Gandia, Valencia' }), radius), false);
+        assert.equal(isWithinRadius(normalizeLocation({ location: 'Urbanización Los Pinos, Valencia' }), radius), true);
+        assert.equal(isWithinRadius(normalizeLocation({ location: 'Lisboa, Portugal' }), radius), false);
+    });
+
+    it('measures great-circle distances', () => {
+        const madrid = { latitude: 40.4168, longitude: -3.7038 };
+        assert.ok(Math.abs(distanceKm(madrid, VALENCIA) - 302) < 3);
+        assert.equal(distanceKm(VALENCIA, VALENCIA), 0);
+    });
+
+    it('rejects unknown places and radii', () => {
+        assert.throws(() => resolveRadius({ nearLocation: 'Gotham' }), /Unknown nearLocation "Gotham"/);
+        assert.throws(() => resolveRadius({ nearLocation: 'Valencia', radiusKm: 0 }), /Invalid radiusKm "0"/);
+    });
+});
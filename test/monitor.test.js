@@ -0,0 +1,88 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import { openMonitor, trackChanges, finalizeMonitor } from '../src/monitor.js';
+
+const JAVA = { id: 'a1', url: 'https://www.infojobs.net/madrid/java/of-ia1', title: 'Java', company: 'Acme' };
+const GO = { id: 'b2', url: 'https://www.infojobs.net/madrid/go/of-ib2', title: 'Go', company: 'Beta' };
+
+let stores = 0;
+
+// Runs the monitor once over `records`; returns the records pushed and the monitor counts.
+async function monitorRun(storeName, records, { complete = true } = {}) {
+    const monitor = await openMonitor({ monitor: true, monitorStoreName: storeName });
+    const pushed = [];
+    for (const record of records) {
+        const out = trackChanges(monitor, { ...record, scraped_at: new Date().toISOString() });
+        if (out) pushed.push(out);
+    }
+    await finalizeMonitor(monitor, { complete, emit: async (record) => pushed.push(record) });
+    return { pushed, counts: monitor.counts };
+}
+
+function storeName() {
+    stores += 1;
+    return `monitor-test-${stores}`;
+}
+
+describe('monitor', () => {
+    it('labels every offer of the first run as new', async () => {
+        const { pushed, counts } = await monitorRun(storeName(), [JAVA, GO]);
+        assert.deepEqual(
+            pushed.map((r) => [r.id, r.change_type]),
+            [
+                ['a1', 'new'],
+                ['b2', 'new'],
+            ],
+        );
+        assert.deepEqual(counts, { new: 2, updated: 0, unchanged: 0, removed: 0 });
+    });
+
+    it('skips unchanged offers, even when only scraped_at differs', async () => {
+        const name = storeName();
+        await monitorRun(name, [JAVA, GO]);
+        const { pushed, counts } = await monitorRun(name, [JAVA, GO]);
+        assert.deepEqual(pushed, []);
+        assert.deepEqual(counts, { new: 0, updated: 0, unchanged: 2, removed: 0 });
+    });
+
+    it('labels a changed offer as updated with the fields that differ', async () => {
+        const name = storeName();
+        const first = await monitorRun(name, [JAVA]);
+        const { pushed, counts } = await monitorRun(name, [{ ...JAVA, title: 'Java senior', salary_min: 40000 }]);
+        assert.equal(pushed.length, 1);
+        assert.equal(pushed[0].change_type, 'updated');
+        assert.deepEqual(pushed[0].changed_fields.sort(), ['salary_min', 'title']);
+        assert.equal(pushed[0].first_seen_at, first.pushed[0].first_seen_at);
+        assert.deepEqual(counts, { new: 0, updated: 1, unchanged: 0, removed: 0 });
+    });
+
+    it('emits offers missing from a complete run as removed, and forgets them', async () => {
+        const name = storeName();
+        await monitorRun(name, [JAVA, GO]);
+        const { pushed, counts } = await monitorRun(name, [JAVA]);
+        assert.equal(pushed.length, 1);
+        assert.equal(pushed[0].change_type, 'removed');
+        assert.equal(pushed[0].id, 'b2');
+        assert.equal(pushed[0].url, GO.url);
+        assert.equal(pushed[0].title, 'Go');
+        assert.deepEqual(counts, { new: 0, updated: 0, unchanged: 1, removed: 1 });
+
+        const later = await monitorRun(name, [JAVA]);
+        assert.deepEqual(later.pushed, []);
+    });
+
+    it('carries unseen offers over when the run is incomplete', async () => {
+        const name = storeName();
+        await monitorRun(name, [JAVA, GO]);
+        const incomplete = await monitorRun(name, [JAVA], { complete: false });
+        assert.deepEqual(incomplete.pushed, []);
+        assert.equal(incomplete.counts.removed, 0);
+
+        const { pushed } = await monitorRun(name, [JAVA, GO]);
+        assert.deepEqual(pushed, []);
+        const snapshot = await (await Actor.openKeyValueStore(name)).getValue('OFFERS');
+        assert.deepEqual(Object.keys(snapshot).sort(), ['a1', 'b2']);
+    });
+});
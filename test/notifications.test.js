@@ -0,0 +1,157 @@
+import './helpers/setup.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNotifier, flushNotifications, notifyRecord, signPayload } from '../src/notifications.js';
+import { startWebhookServer } from './helpers/webhook-server.js';
+
+const OFFERS = [
+    { id: 'a1', url: 'https://www.infojobs.net/madrid/java/of-ia1', title: 'Java', company: 'Acme', extra: 'dropped' },
+    {
+        id: 'b2',
+        url: 'https://www.infojobs.net/madrid/go/of-ib2',
+        title: 'Go',
+        salary_min: 30000,
+        salary_max: 40000,
+        salary_currency: 'EUR',
+        salary_period: 'year',
+    },
+];
+
+function notifier(url, options = {}) {
+    const created = createNotifier({ webhookUrl: url, webhookFormat: 'json', webhookMaxRetries: 2, ...options });
+    created.retryDelayMs = 1;
+    return created;
+}
+
+async function send(hook, options) {
+    const target = notifier(hook.url, options);
+    for (const offer of OFFERS) await notifyRecord(target, offer);
+    await flushNotifications(target);
+    return target;
+}
+
+describe('webhook notifications', () => {
+    let hook;
+    before(async () => {
+        hook = await startWebhookServer();
+    });
+    after(() => hook.close());
+
+    it('posts the pushed offers in one default JSON payload', async () => {
+        hook.requests.length = 0;
+        const target = await send(hook);
+        assert.equal(hook.requests.length, 1);
+        const [{ method, headers, json }] = hook.requests;
+        assert.equal(method, 'POST');
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(json.count, 2);
+        assert.deepEqual(
+            json.records.map((r) => r.id),
+            ['a1', 'b2'],
+        );
+        assert.equal(json.records[0].extra, undefined);
+        assert.equal(json.records[1].company, null);
+        assert.ok(json.sent_at);
+        assert.equal(target.sent, 2);
+    });
+
+    it('sends every batchSize offers', async () => {
+        hook.requests.length = 0;
+        await send(hook, { webhookBatchSize: 1 });
+        assert.deepEqual(
+            hook.requests.map((r) => r.json.count),
+            [1, 1],
+        );
+    });
+
+    it('fills {{records}} and {{count}} into a payload template', async () => {
+        hook.requests.length = 0;
+        await send(hook, {
+            webhookPayloadTemplate: { text: 'Found {{count}} offers', offers: '{{records}}', total: '{{count}}' },
+        });
+        const { json } = hook.requests[0];
+        assert.equal(json.text, 'Found 2 offers');
+        assert.equal(json.total, 2);
+        assert.deepEqual(
+            json.offers.map((r) => r.title),
+            ['Java', 'Go'],
+        );
+    });
+
+    it('signs the body when a secret is set', async () => {
+        hook.requests.length = 0;
+        await send(hook, { webhookSecret: 's3cret' });
+        const { headers, body } = hook.requests[0];
+        const signature = signPayload('s3cret', headers['x-webhook-timestamp'], body);
+        assert.equal(headers['x-webhook-signature'], `sha256=${signature}`);
+    });
+
+    it('formats Slack messages', async () => {
+        hook.requests.length = 0;
+        await send(hook, { webhookFormat: 'slack' });
+        const { json } = hook.requests[0];
+        assert.equal(json.text, '2 new InfoJobs offers');
+        assert.match(json.blocks[2].text.text, /30000 - 40000 EUR\/year/);
+    });
+
+    it('lists at most 45 offers in a Slack or Teams message and counts the rest', async () => {
+        const many = Array.from({ length: 50 }, (_, i) => ({
+            id: `o${i}`,
+            url: `https://www.infojobs.net/madrid/oferta/of-io${i}`,
+            title: `Oferta ${i}`,
+        }));
+        for (const format of ['slack', 'teams']) {
+            hook.requests.length = 0;
+            const target = notifier(hook.url, { webhookFormat: format, webhookBatchSize: 100 });
+            for (const offer of many) await notifyRecord(target, offer);
+            await flushNotifications(target);
+            assert.equal(hook.requests.length, 1);
+            const { json } = hook.requests[0];
+            const lines = format === 'slack' ? json.blocks.slice(1) : json.sections;
+            assert.equal(lines.length, 46);
+            assert.equal(format === 'slack' ? lines[45].elements[0].text : lines[45].text, '…and 5 more');
+            assert.equal(target.sent, 50);
+        }
+    });
+
+    it('formats Teams cards', async () => {
+        hook.requests.length = 0;
+        await send(hook, { webhookFormat: 'teams' });
+        const { json } = hook.requests[0];
+        assert.equal(json.title, '2 new InfoJobs offers');
+        assert.equal(json.sections[0].activityTitle, '[Java](https://www.infojobs.net/madrid/java/of-ia1)');
+        assert.deepEqual(json.sections[1].facts[2], { name: 'Salary', value: '30000 - 40000 EUR/year' });
+    });
+
+    it('retries 5xx responses and gives up after webhookMaxRetries', async () => {
+        const flaky = await startWebhookServer({ statuses: [503, 200] });
+        const failing = await startWebhookServer({ statuses: [500] });
+        try {
+            assert.equal((await send(flaky)).sent, 2);
+            assert.equal(flaky.requests.length, 2);
+
+            const target = await send(failing);
+            assert.equal(target.sent, 0);
+            assert.equal(target.failed, 2);
+            assert.equal(target.pending.length, 0);
+            assert.equal(failing.requests.length, 3);
+        } finally {
+            await Promise.all([flaky.close(), failing.close()]);
+        }
+    });
+
+    it('does not retry other client errors', async () => {
+        const rejecting = await startWebhookServer({ statuses: [400] });
+        try {
+            assert.equal((await send(rejecting)).failed, 2);
+            assert.equal(rejecting.requests.length, 1);
+        } finally {
+            await rejecting.close();
+        }
+    });
+
+    it('rejects unknown formats and stays off without a URL', () => {
+        assert.equal(createNotifier({ webhookUrl: null }), null);
+        assert.throws(() => notifier('http://127.0.0.1/', { webhookFormat: 'xml' }), /Invalid webhookFormat "xml"/);
+    });
+});
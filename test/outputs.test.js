@@ -0,0 +1,125 @@
+import './helpers/setup.js';
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import initSqlJs from 'sql.js';
+import { flattenRecord, normalizeOutputOptions, selectFields, toCsv, writeOutputs } from '../src/outputs.js';
+
+const JOBS = [
+    {
+        id: 'a1',
+        title: 'Desarrollador "Java"',
+        company: 'Tecnologías Iberia',
+        company_id: 'c1',
+        location: 'Madrid',
+        skills: ['Java', 'SQL'],
+        skills_by_type: { language: ['Java'] },
+    },
+    { id: 'b2', title: 'Data engineer; remoto', company: 'Acme', company_id: 'c2', salary_min: 30000, skills: [] },
+];
+
+describe('normalizeOutputOptions and selectFields', () => {
+    it('reads formats, delimiters and field lists', () => {
+        const options = normalizeOutputOptions({
+            outputFormats: ['CSV', 'sqlite'],
+            csvDelimiter: 'semicolon',
+            outputFields: 'title, company',
+        });
+        assert.deepEqual(options.formats, ['csv', 'sqlite']);
+        assert.equal(options.csvDelimiter, ';');
+        assert.deepEqual(selectFields(JOBS[0], options), {
+            id: 'a1',
+            title: 'Desarrollador "Java"',
+            company: 'Tecnologías Iberia',
+        });
+        assert.deepEqual(Object.keys(selectFields(JOBS[1], normalizeOutputOptions({ omitFields: ['id', 'skills'] }))), [
+            'id',
+            'title',
+            'company',
+            'company_id',
+            'salary_min',
+        ]);
+    });
+
+    it('rejects unknown formats and delimiters', () => {
+        assert.throws(() => normalizeOutputOptions({ outputFormats: ['xml'] }), /Invalid outputFormats xml/);
+        assert.throws(() => normalizeOutputOptions({ csvDelimiter: 'double' }), /Invalid csvDelimiter "double"/);
+    });
+});
+
+describe('flattenRecord and toCsv', () => {
+    it('flattens nested objects and joins lists', () => {
+        assert.deepEqual(flattenRecord(JOBS[0]), {
+            id: 'a1',
+            title: 'Desarrollador "Java"',
+            company: 'Tecnologías Iberia',
+            company_id: 'c1',
+            location: 'Madrid',
+            skills: 'Java | SQL',
+            'skills_by_type.language': 'Java',
+        });
+    });
+
+    it('quotes cells with quotes, delimiters and line breaks', () => {
+        const csv = toCsv(
+            [
+                { a: 'say "hi"', b: 'x;y' },
+                { a: 'one\ntwo', b: null },
+            ],
+            ['a', 'b'],
+            ';',
+        );
+        assert.equal(csv, '\ufeffa;b\r\n"say ""hi""";"x;y"\r\n"one\ntwo";\r\n');
+    });
+});
+
+describe('writeOutputs', () => {
+    let store;
+    before(async () => {
+        await (await Actor.openDataset()).pushData(JOBS);
+        store = await Actor.openKeyValueStore('exports-test');
+    });
+
+    it('saves CSV and NDJSON exports of the dataset', async () => {
+        const options = normalizeOutputOptions({
+            outputFormats: ['csv', 'ndjson'],
+            csvColumns: 'id,title,salary_min',
+            outputStoreName: 'exports-test',
+        });
+        assert.deepEqual(await writeOutputs(options), { csv: 2, ndjson: 2 });
+
+        const csv = await store.getValue('JOBS_CSV');
+        assert.equal(
+            csv.toString(),
+            '\ufeffid,title,salary_min\r\na1,"Desarrollador ""Java""",\r\nb2,Data engineer; remoto,30000\r\n',
+        );
+        const lines = (await store.getValue('JOBS_NDJSON')).toString().trim().split('\n');
+        assert.deepEqual(
+            lines.map((line) => JSON.parse(line).id),
+            ['a1', 'b2'],
+        );
+    });
+
+    it('upserts offers and their companies into the SQLite database', async () => {
+        const options = normalizeOutputOptions({ outputFormats: ['sqlite'], outputStoreName: 'exports-test' });
+        assert.deepEqual(await writeOutputs(options), { sqlite: { jobs: 2, companies: 2 } });
+        // A second run to the same store updates rows instead of adding them.
+        assert.deepEqual(await writeOutputs(options), { sqlite: { jobs: 2, companies: 2 } });
+
+        const SQL = await initSqlJs();
+        const db = new SQL.Database(new Uint8Array(await store.getValue('JOBS_SQLITE')));
+        try {
+            const [{ values }] = db.exec('SELECT id, skills, salary_min FROM jobs ORDER BY id');
+            assert.deepEqual(values, [
+                ['a1', '["Java","SQL"]', null],
+                ['b2', '[]', 30000],
+            ]);
+            assert.deepEqual(db.exec('SELECT name FROM companies ORDER BY company_id')[0].values, [
+                ['Tecnologías Iberia'],
+                ['Acme'],
+            ]);
+        } finally {
+            db.close();
+        }
+    });
+});
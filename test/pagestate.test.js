@@ -0,0 +1,76 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPageState, findStateOffers, isOfferUrl } from '../src/pagestate.js';
+import { mapStateOffer } from '../src/main.js';
+import { loadHtmlFixture } from './helpers/fixtures.js';
+
+const SENIOR = 'https://www.infojobs.net/madrid/desarrollador-java-senior/of-i4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13';
+const JUNIOR = 'https://www.infojobs.net/getafe/programador-java-junior/of-i0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4';
+const LEAD = 'https://www.infojobs.net/madrid/tech-lead-java/of-ic3d2e1f0a9b8c7d6e5f4a3b2c1d0e9f8';
+
+describe('extractPageState', () => {
+    it('parses JSON script tags and window state assignments, skipping what does not parse', () => {
+        const { $ } = loadHtmlFixture('list-page-state.html');
+        const states = extractPageState($);
+        assert.equal(states.length, 3);
+        assert.equal(states[0].props.pageProps.search.totalResults, 2);
+        assert.equal(states[1].searchResults.items[1].title, 'Tech Lead "Java" {remoto}');
+        assert.deepEqual(states[2], [1, 2, { env: 'production' }]);
+    });
+
+    it('returns nothing for a page without state', () => {
+        const { $ } = loadHtmlFixture('detail-page-no-jsonld.html');
+        assert.deepEqual(extractPageState($), []);
+    });
+});
+
+describe('findStateOffers', () => {
+    it('finds each offer once, with an absolute link without its query', () => {
+        const { $ } = loadHtmlFixture('list-page-state.html');
+        const offers = findStateOffers(...extractPageState($));
+        assert.deepEqual(
+            offers.map((o) => o.link),
+            [SENIOR, JUNIOR, LEAD],
+        );
+        assert.equal(offers[0].companyName, 'Tecnologías Iberia');
+        assert.equal(offers[1].jobTitle, 'Programador Java Junior');
+    });
+
+    it('reads XHR bodies too and ignores objects that link elsewhere or have no title', () => {
+        const body = {
+            data: [
+                { title: 'Empresa', link: 'https://www.infojobs.net/acme/em-i1a2b3c' },
+                { id: 'x1', link: '/madrid/sin-titulo/of-i1a2b3c4d' },
+                { offerId: 'x2', title: 'Camarero', href: '/madrid/camarero/of-i9f8e7d6c' },
+            ],
+        };
+        const offers = findStateOffers(null, body);
+        assert.deepEqual(
+            offers.map((o) => [o.offerId, o.link]),
+            [['x2', 'https://www.infojobs.net/madrid/camarero/of-i9f8e7d6c']],
+        );
+    });
+
+    it('maps the offers found to records', () => {
+        const { $ } = loadHtmlFixture('list-page-state.html');
+        const [senior, junior] = findStateOffers(...extractPageState($)).map(mapStateOffer);
+        assert.equal(senior.id, '4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13');
+        assert.equal(senior.url, SENIOR);
+        assert.equal(senior.company, 'Tecnologías Iberia');
+        assert.equal(senior.company_id, '7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70');
+        assert.equal(senior.location, 'Madrid, Madrid');
+        assert.equal(junior.id, '0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4');
+        assert.equal(junior.title, 'Programador Java Junior');
+        assert.equal(junior.city, 'Getafe');
+    });
+});
+
+describe('isOfferUrl', () => {
+    it('tells offer pages from other InfoJobs pages', () => {
+        assert.equal(isOfferUrl(JUNIOR), true);
+        assert.equal(isOfferUrl('/madrid/camarero/of-i9f8e7d6c'), true);
+        assert.equal(isOfferUrl('https://www.infojobs.net/acme/em-i1a2b3c'), false);
+        assert.equal(isOfferUrl(null), false);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import {
+    MAX_REACHABLE_PAGES,
+    createPagination,
+    endListing,
+    pageUrl,
+    planListing,
+    readLastPage,
+    readResultCount,
+    splitListing,
+} from '../src/pagination.js';
+import { loadDictionaries } from '../src/dictionaries.js';
+import { loadHtmlFixture } from './helpers/fixtures.js';
+
+const LIST_URL = 'https://www.infojobs.net/ofertas-trabajo/madrid/desarrollador-java';
+const links = (page, count = 20) => Array.from({ length: count }, (_, i) => `${LIST_URL}/of-ip${page}n${i}`);
+
+function plan(pagination, { page = 1, total = null, lastPage = null, maxPages = 20, wanted = 1000, count } = {}) {
+    const url = pageUrl(LIST_URL, page);
+    return planListing(pagination, { url, page, links: links(page, count), total, lastPage, maxPages, wanted });
+}
+
+describe('readResultCount', () => {
+    it('reads the count shown above the results', () => {
+        assert.equal(readResultCount(loadHtmlFixture('list-page.html').$), 125);
+        assert.equal(readResultCount(loadHtmlFixture('list-page-last.html').$), 1);
+    });
+
+    it('reads thousands separators', () => {
+        const $ = cheerioLoad('<p class="ij-SearchResults-count">12.345 ofertas de trabajo</p>');
+        assert.equal(readResultCount($), 12345);
+    });
+
+    it('falls back to a count field of the page state', () => {
+        const $ = cheerioLoad('<h1>Ofertas de trabajo</h1>');
+        const pageState = { props: { pageProps: { search: { totalResults: 480, offers: [] } } } };
+        assert.equal(readResultCount($, pageState), 480);
+        assert.equal(readResultCount($, {}), null);
+    });
+});
+
+describe('readLastPage', () => {
+    it('takes the highest page link and ignores offer links', () => {
+        assert.equal(readLastPage(loadHtmlFixture('list-page.html').$, LIST_URL), 3);
+        assert.equal(readLastPage(cheerioLoad('<p>nada</p>'), LIST_URL), null);
+    });
+});
+
+describe('planListing', () => {
+    it('queues the remaining pages of a counted listing at once', () => {
+        const result = plan(createPagination(), { total: 95 });
+        assert.equal(result.lastPage, 5);
+        assert.deepEqual(result.pages, [2, 3, 4, 5]);
+        assert.equal(result.truncated, false);
+    });
+
+    it('queues only the pages the wanted results need and plans more from the last of them', () => {
+        const pagination = createPagination();
+        assert.deepEqual(plan(pagination, { total: 400, wanted: 50 }).pages, [2, 3, 4]);
+        assert.deepEqual(plan(pagination, { page: 2, wanted: 30 }).pages, []);
+        assert.deepEqual(plan(pagination, { page: 4, wanted: 30 }).pages, [5, 6]);
+    });
+
+    it('stops at max_pages and reports the listing as truncated', () => {
+        const result = plan(createPagination(), { total: 400, maxPages: 3 });
+        assert.deepEqual(result.pages, [2, 3]);
+        assert.equal(result.truncated, true);
+    });
+
+    it('never plans past the pages InfoJobs serves and flags deep listings', () => {
+        const result = plan(createPagination(), { total: 5000, maxPages: 500, wanted: 5000 });
+        assert.equal(result.pages.at(-1), MAX_REACHABLE_PAGES);
+        assert.equal(result.deep, true);
+        assert.equal(plan(createPagination(), { total: 5000, wanted: 100 }).deep, false);
+    });
+
+    it('ends a listing when a page repeats an earlier one', () => {
+        const pagination = createPagination();
+        plan(pagination, { page: 3 });
+        const url = pageUrl(LIST_URL, 4);
+        const repeated = planListing(pagination, { url, page: 4, links: links(3), maxPages: 20, wanted: 100 });
+        assert.equal(repeated.repeated, true);
+        assert.deepEqual(repeated.pages, []);
+        assert.deepEqual(plan(pagination, { page: 5 }).pages, []);
+    });
+
+    it('follows the next link without a count, and past the last page link shown', () => {
+        const pagination = createPagination();
+        assert.equal(plan(pagination).pages, null);
+        assert.deepEqual(plan(createPagination(), { lastPage: 3 }).pages, [2, 3]);
+
+        const shown = createPagination();
+        plan(shown, { lastPage: 3 });
+        assert.equal(plan(shown, { page: 3, lastPage: 3 }).pages, null);
+    });
+
+    it('ends a listing on an empty page', () => {
+        assert.deepEqual(plan(createPagination(), { total: 40, count: 0 }).pages, []);
+    });
+
+    it('plans no more pages of a listing ended early', () => {
+        const pagination = createPagination();
+        assert.deepEqual(plan(pagination, { total: 400, wanted: 1 }).pages, [2]);
+        endListing(pagination, pageUrl(LIST_URL, 2));
+        assert.deepEqual(plan(pagination, { page: 2, wanted: 1 }).pages, []);
+    });
+});
+
+describe('splitListing', () => {
+    const dictionaries = loadDictionaries();
+
+    it('splits a nationwide listing by province into search form URLs', () => {
+        const split = splitListing(
+            'https://www.infojobs.net/ofertas-trabajo/camarero?sortBy=PUBLICATION_DATE',
+            dictionaries,
+        );
+        assert.equal(split.by, 'province');
+        assert.equal(split.urls.length, dictionaries.province.length);
+        const url = new URL(split.urls[0]);
+        assert.equal(url.pathname, '/jobsearch/search-results/list.xhtml');
+        assert.equal(url.searchParams.get('keyword'), 'camarero');
+        assert.equal(url.searchParams.get('provinceIds'), '1');
+        assert.equal(url.searchParams.get('sortBy'), 'PUBLICATION_DATE');
+    });
+
+    it('splits a single-province listing into narrower date windows', () => {
+        const split = splitListing(`${LIST_URL}?page=7`, dictionaries);
+        assert.equal(split.by, 'date');
+        assert.deepEqual(
+            split.urls.map((u) => new URL(u).searchParams.get('sinceDate')),
+            ['_24_HOURS', '_7_DAYS', '_15_DAYS'],
+        );
+        assert.ok(split.urls.every((u) => new URL(u).searchParams.get('provinceIds') === '28'));
+        assert.ok(split.urls.every((u) => !new URL(u).searchParams.has('page')));
+    });
+
+    it('cannot split a one-day listing of one province', () => {
+        const url =
+            'https://www.infojobs.net/jobsearch/search-results/list.xhtml?keyword=java&provinceIds=28&sinceDate=_24_HOURS';
+        assert.equal(splitListing(url, dictionaries), null);
+    });
+});
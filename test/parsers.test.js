@@ -0,0 +1,164 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { load as cheerioLoad } from 'cheerio';
+import {
+    extractJobLinksCheerio,
+    extractListDates,
+    findNextPageCheerio,
+    extractJobFromDetail,
+    parseJsonLdJob,
+} from '../src/main.js';
+import { loadHtmlFixture } from './helpers/fixtures.js';
+
+const LIST_URL = 'https://www.infojobs.net/ofertas-trabajo/madrid/desarrollador-java';
+const DETAIL_URL = 'https://www.infojobs.net/madrid/desarrollador-java-senior/of-i4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13';
+
+describe('extractJobLinksCheerio', () => {
+    it('returns absolute offer URLs without query strings, once each', () => {
+        const { $ } = loadHtmlFixture('list-page.html');
+        assert.deepEqual(extractJobLinksCheerio($, LIST_URL), [
+            'https://www.infojobs.net/madrid/desarrollador-java-senior/of-i4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13',
+            'https://www.infojobs.net/alcobendas/programador-java-spring/of-i0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4',
+            'https://www.infojobs.net/madrid/tech-lead-java/of-ic3d2e1f0a9b8c7d6e5f4a3b2c1d0e9f8',
+        ]);
+    });
+
+    it('ignores company, pagination, mailto and javascript links', () => {
+        const { $ } = loadHtmlFixture('list-page.html');
+        const links = extractJobLinksCheerio($, LIST_URL);
+        assert.ok(links.every((u) => u.includes('/of-i')));
+    });
+});
+
+describe('extractListDates', () => {
+    it('reads the relative date of each offer card', () => {
+        const { $ } = loadHtmlFixture('list-page.html');
+        const dates = extractListDates($, LIST_URL, { now: new Date('2026-10-19T10:00:00Z') });
+        assert.deepEqual(Object.fromEntries(dates), {
+            'https://www.infojobs.net/madrid/desarrollador-java-senior/of-i4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13':
+                '2026-10-19T10:00:00+02:00',
+            'https://www.infojobs.net/alcobendas/programador-java-spring/of-i0b9d8c7a6f5e4d3c2b1a09f8e7d6c5b4':
+                '2026-10-18T00:00:00+02:00',
+            'https://www.infojobs.net/madrid/tech-lead-java/of-ic3d2e1f0a9b8c7d6e5f4a3b2c1d0e9f8':
+                '2026-10-16T00:00:00+02:00',
+        });
+    });
+
+    it('reads only date phrases, not ranges like "Experiencia 2-3 años"', () => {
+        const { $ } = loadHtmlFixture('list-page-dates.html');
+        const dates = extractListDates($, LIST_URL, { now: new Date('2026-10-19T10:00:00Z') });
+        assert.deepEqual(Object.fromEntries(dates), {
+            'https://www.infojobs.net/paiporta/soldador-tig/of-i1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a1a':
+                '2026-10-18T00:00:00+02:00',
+            'https://www.infojobs.net/manises/calderero/of-i3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c3c':
+                '2026-10-12T00:00:00+02:00',
+        });
+    });
+});
+
+describe('findNextPageCheerio', () => {
+    it('follows the "Siguiente" link', () => {
+        const { $ } = loadHtmlFixture('list-page.html');
+        assert.equal(findNextPageCheerio($, LIST_URL), `${LIST_URL}?page=2`);
+    });
+
+    it('increments the page parameter when there is no next link', () => {
+        const { $ } = loadHtmlFixture('list-page-last.html');
+        const url = 'https://www.infojobs.net/ofertas-trabajo/teruel/soldador?page=3';
+        assert.equal(findNextPageCheerio($, url), 'https://www.infojobs.net/ofertas-trabajo/teruel/soldador?page=4');
+    });
+
+    it('does not guess a next page when asked not to', () => {
+        const { $ } = loadHtmlFixture('list-page-last.html');
+        const url = 'https://www.infojobs.net/tecnologias-iberia/em-i7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70';
+        assert.equal(findNextPageCheerio($, url, { guess: false }), null);
+    });
+});
+
+describe('parseJsonLdJob', () => {
+    it('finds the JobPosting inside an @graph and maps its fields', () => {
+        const { $ } = loadHtmlFixture('detail-page.html');
+        const job = parseJsonLdJob($);
+        assert.equal(job.title, 'Desarrollador Java Senior');
+        assert.equal(job.company, 'Tecnologías Iberia');
+        assert.equal(job.company_url, 'https://www.tecnologiasiberia.example');
+        assert.match(job.company_logo, /logo-iberia\.png$/);
+        assert.equal(job.city, 'Madrid');
+        assert.equal(job.postal_code, '28020');
+        assert.equal(job.country, 'España');
+        assert.equal(job.latitude, 40.453);
+        assert.equal(job.longitude, -3.6883);
+        assert.equal(job.date_posted, '2026-10-17T09:30:00+02:00');
+        assert.equal(job.valid_through, '2026-11-16T23:59:59+01:00');
+        assert.equal(job.employment_type, 'FULL_TIME');
+        assert.equal(job.experience_requirements, '48 months');
+        assert.equal(job.education_requirements, 'Grado');
+        assert.equal(job.identifier, '4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13');
+    });
+
+    it('returns null when the page has no JobPosting', () => {
+        const { $ } = loadHtmlFixture('detail-page-no-jsonld.html');
+        assert.equal(parseJsonLdJob($), null);
+    });
+});
+
+describe('extractJobFromDetail', () => {
+    it('combines JSON-LD with the facts listed on the page', () => {
+        const { $ } = loadHtmlFixture('detail-page.html');
+        const job = extractJobFromDetail($, DETAIL_URL);
+        assert.equal(job.url, DETAIL_URL);
+        assert.equal(job.title, 'Desarrollador Java Senior');
+        assert.equal(job.company_id, '7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70');
+        assert.equal(job.salary_min, 36000);
+        assert.equal(job.salary_max, 45000);
+        assert.equal(job.salary_period, 'year');
+        assert.equal(job.contract_type, 'Indefinido');
+        assert.equal(job.work_day, 'Completa');
+        assert.equal(job.experience_min, 'Al menos 4 años');
+        assert.equal(job.study_level, 'Grado - Grado en Ingeniería Informática');
+        assert.equal(job.requirements_desired, 'Conocimientos de Kafka.');
+        assert.equal(job.category, 'Informática y telecomunicaciones');
+        assert.equal(job.subcategory, 'Programación');
+        assert.equal(job.job_level, 'Especialista');
+        assert.equal(job.vacancies, 2);
+        assert.equal(job.applications, 37);
+        assert.deepEqual(job.skills, ['Java', 'Spring Boot', 'Kubernetes']);
+        assert.match(job.description_html, /<strong>desarrollador Java<\/strong>/);
+        assert.equal(job.source, 'infojobs-html');
+        assert.equal(
+            extractJobFromDetail($, DETAIL_URL, { source: 'infojobs-playwright' }).source,
+            'infojobs-playwright',
+        );
+    });
+
+    it('falls back to the page markup without JSON-LD', () => {
+        const { $ } = loadHtmlFixture('detail-page-no-jsonld.html');
+        const job = extractJobFromDetail($, 'https://www.infojobs.net/getafe/mozo-almacen/of-i1a2b3c4d5e6f');
+        assert.equal(job.title, 'Mozo/a de almacén');
+        assert.equal(job.company, 'Logística Sur');
+        assert.equal(job.company_id, '2c3d4e5f6a7b8c9d0e1f2a3b4c5d6e7f');
+        assert.equal(job.location, 'Getafe, Madrid');
+        assert.equal(job.salary_min, 1400);
+        assert.equal(job.salary_period, 'month');
+        assert.equal(job.date_posted, '2026-10-15T08:00:00+02:00');
+        assert.equal(job.contract_type, 'Temporal');
+        assert.equal(job.work_day, 'Turnos rotativos');
+        assert.equal(job.vacancies, 5);
+        assert.equal(job.applications, 12);
+        assert.deepEqual(job.skills, ['Carretillero', 'Carnet de conducir']);
+        assert.match(job.description_text, /radiofrecuencia/);
+    });
+
+    it('reads the dates a page only shows as text', () => {
+        const $ = cheerioLoad(
+            '<h1>Mozo/a de almacén</h1><span data-test="job-published">Publicada el 12 oct</span>' +
+                '<span data-test="job-updated">Actualizada hace 3 horas</span>',
+        );
+        const job = extractJobFromDetail($, 'https://www.infojobs.net/getafe/mozo-almacen/of-i1a2b3c4d5e6f');
+        assert.match(job.date_posted, /^\d{4}-10-12T00:00:00\+02:00$/);
+        // Cut to the hour: three to four hours back, depending on the minute the test runs
+        const age = Date.now() - Date.parse(job.date_updated);
+        assert.ok(age >= 3 * 3600 * 1000 && age < 4 * 3600 * 1000, job.date_updated);
+    });
+});
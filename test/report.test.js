@@ -0,0 +1,101 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Actor } from 'apify';
+import {
+    createRunReport,
+    startPhase,
+    endPhase,
+    countAvailable,
+    countPage,
+    countBlock,
+    countParseFailure,
+    countUnavailable,
+    countBeforeCutoff,
+    countOutsideRadius,
+    countDuplicate,
+    countRecord,
+    saveRunReport,
+} from '../src/report.js';
+
+function runReport() {
+    const report = createRunReport();
+    startPhase(report, 'api');
+    countAvailable(report, 'api', 40);
+    countPage(report, 'api', 'list');
+    countPage(report, 'api', 'detail');
+    countRecord(report, 'api', { id: 'a1', title: 'Java', salary_min: 30000, skills: ['Java'], city: '' });
+    countRecord(report, 'api', { id: 'b2', title: 'Go', salary_min: null, skills: [], city: 'Madrid' });
+    countDuplicate(report, 'api');
+    countBeforeCutoff(report, 'api');
+    endPhase(report, 'api', 'last page reached');
+
+    startPhase(report, 'html');
+    for (let i = 0; i < 12; i++) countBlock(report, 'html', `https://www.infojobs.net/of-i${i}`, 'captcha');
+    countBlock(report, 'html', 'https://www.infojobs.net/of-i0', 'status 403');
+    countParseFailure(report, 'html', 'https://www.infojobs.net/of-ix', 'missing title');
+    countUnavailable(report, 'html', 'https://www.infojobs.net/of-iy', 'expired');
+    countOutsideRadius(report, 'html');
+    countDuplicate(report, 'html');
+    countRecord(report, 'html', { id: 'c3', title: 'Rust', salary_min: 50000, skills: ['Rust'], city: 'Bilbao' });
+    endPhase(report, 'html', 'all discovered offers processed');
+    return report;
+}
+
+describe('run report', () => {
+    it('writes RUN_REPORT with per-phase counters, totals and field fill rates', async () => {
+        const body = await saveRunReport(runReport(), { searches: 1, saved: 3 });
+        assert.deepEqual(await Actor.getValue('RUN_REPORT'), body);
+
+        assert.equal(body.records, 3);
+        assert.deepEqual(body.by_source, { 'infojobs-api': 2, 'infojobs-html': 1 });
+        assert.equal(body.duplicates_skipped, 2);
+        assert.equal(body.searches, 1);
+        assert.equal(body.saved, 3);
+        assert.ok(body.duration_ms >= 0);
+        assert.ok(Date.parse(body.finished_at) >= Date.parse(body.started_at));
+        assert.deepEqual(body.field_fill_rates, { id: 1, title: 1, salary_min: 0.667, skills: 0.667, city: 0.667 });
+
+        const { api, html } = body.phases;
+        assert.equal(api.source, 'infojobs-api');
+        assert.equal(api.runs, 1);
+        assert.equal(api.saved, 2);
+        assert.equal(api.available_offers, 40);
+        assert.deepEqual(api.pages, { list: 1, detail: 1 });
+        assert.equal(api.older_than_cutoff, 1);
+        assert.deepEqual(api.stop_reasons, ['last page reached']);
+        assert.equal('current_start' in api, false);
+
+        assert.equal(html.blocks.count, 13);
+        assert.deepEqual(html.blocks.reasons, { captcha: 12, 'status 403': 1 });
+        // Samples are capped at 10
+        assert.equal(html.blocks.samples.length, 10);
+        assert.deepEqual(html.parse_failures, {
+            count: 1,
+            reasons: { 'missing title': 1 },
+            samples: ['https://www.infojobs.net/of-ix (missing title)'],
+        });
+        assert.deepEqual(html.unavailable_offers.statuses, { expired: 1 });
+        assert.equal(html.outside_radius, 1);
+        assert.equal(html.available_offers, null);
+    });
+
+    it('adds up the runs and stop reasons of a phase run for several searches', async () => {
+        const report = runReport();
+        startPhase(report, 'api');
+        countAvailable(report, 'api', 10);
+        endPhase(report, 'api', 'results_wanted reached');
+        const body = await saveRunReport(report);
+        assert.equal(body.phases.api.runs, 2);
+        assert.equal(body.phases.api.available_offers, 50);
+        assert.deepEqual(body.phases.api.stop_reasons, ['last page reached', 'results_wanted reached']);
+    });
+
+    it('reports no fill rates for a run without records', async () => {
+        const body = await saveRunReport(createRunReport());
+        assert.equal(body.records, 0);
+        assert.deepEqual(body.phases, {});
+        assert.deepEqual(body.field_fill_rates, {});
+        assert.deepEqual(body.by_source, {});
+    });
+});
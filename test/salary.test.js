@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSalary, parseSalaryText } from '../src/salary.js';
+
+describe('parseSalaryText', () => {
+    it('reads ranges with the currency on one or both ends', () => {
+        for (const text of ['18.000 - 22.000 € bruto anual', '18.000€ - 22.000€ Bruto/año', '€18.000 - 22.000']) {
+            const salary = parseSalaryText(text);
+            assert.equal(salary.salary_min, 18000, text);
+            assert.equal(salary.salary_max, 22000, text);
+            assert.equal(salary.salary_currency, 'EUR', text);
+            assert.equal(salary.salary_period, 'year', text);
+        }
+    });
+
+    it('reads "k" amounts, also when only the upper end has it', () => {
+        assert.deepEqual(
+            [parseSalaryText('20k - 25k €'), parseSalaryText('20 a 25k €')].map((s) => [s.salary_min, s.salary_max]),
+            [
+                [20000, 25000],
+                [20000, 25000],
+            ],
+        );
+        const from = parseSalaryText('Desde 20k €');
+        assert.equal(from.salary_min, 20000);
+        assert.equal(from.salary_max, null);
+    });
+
+    it('annualizes monthly and hourly amounts', () => {
+        const monthly = parseSalaryText('1.500 € brutos/mes');
+        assert.equal(monthly.salary_period, 'month');
+        assert.equal(monthly.salary_annualized, 18000);
+        assert.equal(parseSalaryText('12 €/hora').salary_annualized, 21120);
+    });
+
+    it('prefers amounts with a currency and ignores texts without one', () => {
+        const salary = parseSalaryText('Jornada de 40 horas, 1.800 € al mes');
+        assert.equal(salary.salary_min, 1800);
+        assert.equal(salary.salary_max, 1800);
+        assert.equal(parseSalaryText('Salario no disponible').salary_min, null);
+        assert.equal(parseSalaryText(null).salary_currency, null);
+    });
+});
+
+describe('normalizeSalary', () => {
+    it('lets structured values win over the text', () => {
+        const salary = normalizeSalary({
+            text: '18.000 - 22.000 € bruto anual',
+            min: { id: 36, value: '36.000 €' },
+            max: '45.000',
+            period: { id: 3, value: 'Bruto/año' },
+        });
+        assert.equal(salary.salary_min, 36000);
+        assert.equal(salary.salary_max, 45000);
+        assert.equal(salary.salary_annualized, 40500);
+    });
+
+    it('reads JSON-LD baseSalary with its unit', () => {
+        const salary = normalizeSalary({
+            baseSalary: { currency: 'EUR', value: { minValue: 2000, maxValue: 2500, unitText: 'MONTH' } },
+        });
+        assert.equal(salary.salary_period, 'month');
+        assert.equal(salary.salary_annualized, 27000);
+    });
+});
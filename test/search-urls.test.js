@@ -0,0 +1,106 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSeoSearchUrl, buildStartUrls, normalizeInput, resolveSearchTerms } from '../src/main.js';
+import { loadDictionaries } from '../src/dictionaries.js';
+
+// normalizeInput plus the dictionary lookup the actor does before building URLs.
+function searchConfig(input) {
+    const cfg = normalizeInput(input);
+    resolveSearchTerms(cfg, loadDictionaries());
+    return cfg;
+}
+
+describe('buildSeoSearchUrl', () => {
+    it('builds keyword, location and category paths with slugs', () => {
+        const base = 'https://www.infojobs.net/ofertas-trabajo';
+        assert.equal(buildSeoSearchUrl('Técnico de Logística', null, null), `${base}/tecnico-de-logistica`);
+        assert.equal(buildSeoSearchUrl('java', 'madrid', null), `${base}/madrid/java`);
+        assert.equal(
+            buildSeoSearchUrl('java', 'madrid', 'informatica-telecomunicaciones'),
+            `${base}/madrid/informatica-telecomunicaciones/java`,
+        );
+        assert.equal(buildSeoSearchUrl(null, 'a-coruna', null), `${base}/a-coruna`);
+        assert.equal(buildSeoSearchUrl('', '', ''), base);
+    });
+});
+
+describe('buildStartUrls', () => {
+    it('uses the SEO path for a keyword and one province', () => {
+        const cfg = searchConfig({ keyword: 'Desarrollador Java', location: 'Comunidad de Madrid' });
+        assert.deepEqual(buildStartUrls(cfg), ['https://www.infojobs.net/ofertas-trabajo/madrid/desarrollador-java']);
+    });
+
+    it('switches to the search form URL for filters and several provinces', () => {
+        const cfg = searchConfig({
+            keyword: 'java',
+            location: 'Madrid, Barcelona',
+            contractType: ['permanent'],
+            teleworking: 'remote,hybrid',
+        });
+        const [url, ...rest] = buildStartUrls(cfg);
+        assert.equal(rest.length, 0);
+        const u = new URL(url);
+        assert.equal(u.pathname, '/jobsearch/search-results/list.xhtml');
+        assert.equal(u.searchParams.get('keyword'), 'java');
+        assert.deepEqual(u.searchParams.getAll('provinceIds'), ['28', '8']);
+        assert.deepEqual(u.searchParams.getAll('contractTypeIds'), ['1']);
+        assert.deepEqual(u.searchParams.getAll('teleworkingIds'), ['2', '3']);
+    });
+
+    it('keeps start URLs as given and adds filters only to search result URLs', () => {
+        const cfg = searchConfig({
+            startUrls: [
+                { url: 'https://www.infojobs.net/jobsearch/search-results/list.xhtml?keyword=sql&contractTypeIds=4' },
+                '/ofertas-trabajo/barcelona',
+            ],
+            contractType: 'permanent',
+            workDay: 'full_time',
+        });
+        const [search, seo] = buildStartUrls(cfg);
+        const u = new URL(search);
+        assert.deepEqual(u.searchParams.getAll('contractTypeIds'), ['4']);
+        assert.deepEqual(u.searchParams.getAll('workdayIds'), ['1']);
+        assert.equal(seo, 'https://www.infojobs.net/ofertas-trabajo/barcelona');
+    });
+
+    it('falls back to all offers without any search input', () => {
+        assert.deepEqual(buildStartUrls(searchConfig({})), ['https://www.infojobs.net/ofertas-trabajo']);
+    });
+});
+
+describe('normalizeInput', () => {
+    it('applies defaults', () => {
+        const cfg = normalizeInput({});
+        assert.equal(cfg.maxItems, 100);
+        assert.equal(cfg.maxPages, 20);
+        assert.equal(cfg.collectDetails, true);
+        assert.equal(cfg.dedupe, true);
+        assert.equal(cfg.apiDetailConcurrency, 10);
+        assert.equal(cfg.maxBlockRate, 50);
+        assert.equal(cfg.escalateToBrowser, true);
+        assert.equal(cfg.browserOnly, false);
+        assert.deepEqual(cfg.output.formats, []);
+    });
+
+    it('clamps numbers and coerces flags', () => {
+        const cfg = normalizeInput({
+            results_wanted: '0',
+            max_pages: -3,
+            apiDetailConcurrency: 0,
+            maxBlockRate: 250,
+            escalateToBrowser: false,
+            monitor: 1,
+        });
+        assert.equal(cfg.maxItems, 50);
+        assert.equal(cfg.maxPages, 1);
+        assert.equal(cfg.apiDetailConcurrency, 1);
+        assert.equal(cfg.maxBlockRate, 100);
+        assert.equal(cfg.escalateToBrowser, false);
+        assert.equal(cfg.monitor, true);
+    });
+
+    it('rejects unknown filter values', () => {
+        assert.throws(() => normalizeInput({ contractType: 'forever' }), /Invalid contractType "forever"/);
+    });
+});
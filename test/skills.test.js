@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSkillMatcher, extractSkills, normalizeSkillEntries } from '../src/skills.js';
+
+const matcher = createSkillMatcher();
+const skillsOf = (...texts) => extractSkills(matcher, { texts }).skills;
+
+describe('extractSkills', () => {
+    it('normalizes aliases and keeps listed skills it does not know', () => {
+        const { skills, skills_by_type: byType } = extractSkills(matcher, {
+            skills: ['Golang', 'Odoo'],
+            texts: ['Experiencia con ReactJS y node.js'],
+        });
+        assert.deepEqual(skills, ['Go', 'Odoo', 'React', 'Node.js']);
+        assert.deepEqual(byType.other, ['Odoo']);
+    });
+
+    it('matches case-sensitive aliases only as written', () => {
+        assert.deepEqual(skillsOf('Maquetación con LESS y Sass'), ['Sass', 'LESS']);
+        assert.deepEqual(skillsOf('Buscamos a alguien con less experience in go'), []);
+        assert.deepEqual(skillsOf('Conocimientos de css'), ['CSS']);
+    });
+
+    it('keeps the longest of overlapping mentions', () => {
+        assert.deepEqual(skillsOf('Administración de SQL Server y consultas SQL'), ['SQL', 'SQL Server']);
+        assert.deepEqual(skillsOf('Experiencia en SQL Server'), ['SQL Server']);
+        assert.deepEqual(skillsOf('Desarrollo con Spring Boot'), ['Spring Boot']);
+        assert.deepEqual(skillsOf('Spring Framework y Spring Boot'), ['Spring', 'Spring Boot']);
+    });
+
+    it('keeps listed skills as written unless they are a known name or alias', () => {
+        const { skills, skills_by_type: byType } = extractSkills(matcher, {
+            skills: ['Spring Boot', 'SQL Server', 'Java 17', 'MSSQL'],
+        });
+        assert.deepEqual(skills, ['Spring Boot', 'SQL Server', 'Java 17']);
+        assert.deepEqual(byType.technology, ['Spring Boot', 'SQL Server']);
+        assert.deepEqual(byType.other, ['Java 17']);
+    });
+
+    it('reads the level of each language from its own phrase', () => {
+        assert.deepEqual(skillsOf('Se requiere inglés alto y nivel medio de francés.'), ['English C1', 'French B1']);
+        assert.deepEqual(skillsOf('Inglés B2 y alemán'), ['English B2', 'German']);
+        assert.deepEqual(skillsOf('Nivel avanzado de inglés', 'Inglés (B1)'), ['English C1']);
+    });
+});
+
+describe('normalizeSkillEntries', () => {
+    it('accepts names and entries, and adds to bundled aliases', () => {
+        const custom = createSkillMatcher(['Odoo', { name: 'CSS', aliases: ['Stylus'] }]);
+        assert.deepEqual(extractSkills(custom, { texts: ['Odoo y Stylus'] }).skills, ['CSS', 'Odoo']);
+    });
+
+    it('rejects entries without a name', () => {
+        assert.throws(() => normalizeSkillEntries([{ aliases: ['x'] }]), /"name" is required/);
+        assert.throws(() => normalizeSkillEntries('Odoo'), /extraSkills must be a list/);
+    });
+});
@@ -0,0 +1,106 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyStartUrl, collectStartUrls, groupStartUrls, parseSearchUrl } from '../src/starturls.js';
+import { fromWebParams } from '../src/filters.js';
+import { loadDictionaries } from '../src/dictionaries.js';
+import { buildStartUrls, normalizeInput, resolveSearchTerms } from '../src/main.js';
+
+const OFFER_URL = 'https://www.infojobs.net/madrid/desarrollador-java-senior/of-i4f2c0e7d3b8a4e1f9c6d5b2a7e8f0c13';
+const COMPANY_URL = 'https://www.infojobs.net/tecnologias-iberia/em-i7a6c3e1f0b2d4c8e9f1a2b3c4d5e6f70';
+const SEARCH_URL =
+    'https://www.infojobs.net/jobsearch/search-results/list.xhtml?keyword=java&provinceIds=28&categoryIds=150' +
+    '&contractTypeIds=1&teleworkingIds=2,3&sinceDate=_7_DAYS&salaryMin=30000&salaryPeriod=ANNUAL';
+
+describe('start URL classification', () => {
+    it('tells offers, company pages and searches apart', () => {
+        assert.equal(classifyStartUrl(`${OFFER_URL}?applicationOrigin=search-new`), 'offer');
+        assert.equal(classifyStartUrl(COMPANY_URL), 'company');
+        assert.equal(classifyStartUrl(SEARCH_URL), 'search');
+        assert.equal(classifyStartUrl('https://www.infojobs.net/ofertas-trabajo/madrid'), 'search');
+    });
+
+    it('groups the input URLs and strips the query of offer URLs', () => {
+        const urls = collectStartUrls([{ url: `${OFFER_URL}?applicationOrigin=search-new` }, COMPANY_URL], SEARCH_URL);
+        assert.deepEqual(groupStartUrls(urls), { search: [SEARCH_URL], offer: [OFFER_URL], company: [COMPANY_URL] });
+    });
+
+    it('drops invalid entries and resolves relative URLs', () => {
+        assert.deepEqual(collectStartUrls(['/ofertas-trabajo/teruel', null, { url: '' }, 'http://[bad']), [
+            'https://www.infojobs.net/ofertas-trabajo/teruel',
+        ]);
+    });
+});
+
+describe('parseSearchUrl', () => {
+    it('reads keyword, places, categories and filters from the search form query', () => {
+        assert.deepEqual(parseSearchUrl(SEARCH_URL, loadDictionaries()), {
+            keyword: 'java',
+            provinceIds: ['28'],
+            categoryIds: ['150'],
+            filters: {
+                postedWithin: '7d',
+                contractType: ['permanent'],
+                teleworking: ['remote', 'hybrid'],
+                minSalary: 30000,
+            },
+        });
+    });
+
+    it('reads SEO paths against the dictionary keys', () => {
+        const dictionaries = loadDictionaries();
+        const query = parseSearchUrl(
+            'https://www.infojobs.net/ofertas-trabajo/madrid/informatica-telecomunicaciones/tecnico-de-sistemas',
+            dictionaries,
+        );
+        assert.equal(query.keyword, 'tecnico de sistemas');
+        assert.deepEqual(query.provinceIds, ['28']);
+        assert.deepEqual(query.categoryIds, ['100']);
+        assert.deepEqual(
+            parseSearchUrl('https://www.infojobs.net/ofertas-trabajo/barcelona', dictionaries).provinceIds,
+            ['8'],
+        );
+    });
+
+    it('ignores filter values it does not know and monthly salaries', () => {
+        const params = new URLSearchParams('contractTypeIds=99&salaryMin=1500&salaryPeriod=MONTHLY&city=getafe');
+        assert.deepEqual(fromWebParams(params), { city: 'getafe' });
+    });
+});
+
+describe('start URLs in the search config', () => {
+    const configure = (input) => {
+        const cfg = normalizeInput(input);
+        resolveSearchTerms(cfg, loadDictionaries());
+        return cfg;
+    };
+
+    it('turns a single search URL into the API query, input values first', () => {
+        const cfg = configure({ startUrls: [{ url: SEARCH_URL }], keyword: 'kotlin', contractType: 'temporary' });
+        assert.equal(cfg.apiSearch, true);
+        assert.equal(cfg.keyword, 'kotlin');
+        assert.equal(cfg.location, '28');
+        assert.deepEqual(cfg.filters.contractType, ['temporary']);
+        assert.deepEqual(cfg.filters.teleworking, ['remote', 'hybrid']);
+        assert.equal(cfg.filters.minSalary, 30000);
+    });
+
+    it('does not search the API for several search URLs or offers only', () => {
+        const several = configure({
+            startUrls: [
+                'https://www.infojobs.net/ofertas-trabajo/madrid',
+                'https://www.infojobs.net/ofertas-trabajo/teruel',
+            ],
+        });
+        assert.equal(several.apiSearch, false);
+        assert.equal(several.location, '');
+        assert.equal(configure({ startUrl: OFFER_URL }).apiSearch, false);
+        assert.equal(configure({ keyword: 'java' }).apiSearch, true);
+    });
+
+    it('keeps every start URL for the website phases', () => {
+        const cfg = configure({ startUrls: [OFFER_URL, COMPANY_URL] });
+        assert.deepEqual(buildStartUrls(cfg), [OFFER_URL, COMPANY_URL]);
+        assert.deepEqual(cfg.startTargets.offer, [OFFER_URL]);
+    });
+});